@@ -1,15 +1,42 @@
 import { getRedisClient } from './redis.js';
 import { InMemoryCache } from './inMemoryCache.js';
+import { TieredCache } from './tieredCache.js';
+import { encodeValue, decodeValue, isCompressionSupported } from './compression.js';
+import { openDiskCache } from './diskCache.js';
 import { config } from '../config/index.js';
 
 export class CacheManager {
-  constructor() {
+  // options.namespace scopes every key (e.g. 'chain:137') so several chains
+  // can share one cache
+  constructor(options = {}) {
     this.client = null;
     this.staleKeys = new Map(); // Track stale data for stale-while-revalidate
     this.cacheType = null;
+    this.namespace = options.namespace || null;
+    this.tiered = null; // In-process L1 in front of Redis (CACHE_TYPE=tiered)
+    this.disk = null; // Store of permanent entries behind the hot cache (CACHE_TYPE=disk)
+    this.compression = {
+      algorithm: config.cache.compression || 'none',
+      threshold: config.cache.compressionThreshold ?? 1024
+    };
+    this.compressionStats = { compressedWrites: 0, bytesSaved: 0 };
+  }
+
+  // Scope all keys to a namespace (null for none)
+  setNamespace(namespace) {
+    this.namespace = namespace || null;
+  }
+
+  // Get the key as stored in the cache client
+  getKey(key) {
+    return this.namespace ? `${this.namespace}:${key}` : key;
   }
 
   async initialize() {
+    if (!isCompressionSupported(this.compression.algorithm)) {
+      throw new Error(`Unsupported CACHE_COMPRESSION: ${this.compression.algorithm}`);
+    }
+
     // Determine cache type based on configuration
     if (!config.redis.url || config.redis.url === 'memory' || config.cache.type === 'memory') {
       // Use in-memory cache
@@ -26,8 +53,12 @@ export class CacheManager {
         // Test connection
         await this.client.ping();
         this.cacheType = 'redis';
+        if (config.cache.type === 'tiered') {
+          this.tiered = new TieredCache(this.client);
+          await this.tiered.connect();
+        }
         if (process.env.NODE_ENV !== 'test') {
-          console.log('Using Redis cache');
+          console.log(this.tiered ? 'Using Redis cache with in-memory L1' : 'Using Redis cache');
         }
       } catch (error) {
         // Fall back to in-memory cache if Redis fails
@@ -39,6 +70,75 @@ export class CacheManager {
         await this.client.connect();
       }
     }
+
+    if (config.cache.type === 'disk') {
+      this.disk = await openDiskCache();
+      if (process.env.NODE_ENV !== 'test') {
+        console.log(`Keeping permanent cache entries on disk in ${this.disk.dir}`);
+      }
+    }
+  }
+
+  // Release the L1 invalidation subscription
+  async close() {
+    if (this.tiered) {
+      await this.tiered.disconnect();
+      this.tiered = null;
+    }
+  }
+
+  // Read and parse a stored value (through L1 in tiered mode, falling back
+  // to the disk store)
+  async readValue(storedKey) {
+    const value = this.tiered
+      ? await this.tiered.get(storedKey)
+      : await this.deserialize(await this.client.get(storedKey));
+    if (value !== null || !this.disk) {
+      return value;
+    }
+    return this.readFromDisk(storedKey);
+  }
+
+  // Read a permanent entry from disk and put it back in the hot cache
+  async readFromDisk(storedKey) {
+    const stored = await this.disk.get(storedKey);
+    if (stored === null) return null;
+
+    await this.client.set(storedKey, stored);
+    return this.deserialize(stored);
+  }
+
+  // Write a value (and its L1 copy in tiered mode); ttl null caches permanently
+  async writeValue(storedKey, value, ttl = null) {
+    const stringValue = JSON.stringify(value);
+    const stored = await this.compress(stringValue);
+    if (ttl === null) {
+      await this.client.set(storedKey, stored);
+      await this.disk?.set(storedKey, stored);
+    } else {
+      await this.client.set(storedKey, stored, { EX: ttl });
+    }
+    this.tiered?.write(storedKey, value, stringValue.length, ttl);
+  }
+
+  // Compress a serialized value when it's over the threshold
+  async compress(stringValue) {
+    const stored = await encodeValue(stringValue, this.compression);
+    if (stored !== stringValue) {
+      this.compressionStats.compressedWrites++;
+      this.compressionStats.bytesSaved += stringValue.length - stored.length;
+    }
+    return stored;
+  }
+
+  // Parse a stored value, compressed or not
+  async deserialize(stored) {
+    return stored ? JSON.parse(await decodeValue(stored)) : null;
+  }
+
+  // Compression settings and savings of writes since startup
+  getCompressionStats() {
+    return { ...this.compression, ...this.compressionStats };
   }
 
   // Legacy method - no longer used (replaced by methodCaching.js)
@@ -62,11 +162,7 @@ export class CacheManager {
     }
     
     try {
-      const value = await this.client.get(key);
-      if (value) {
-        return JSON.parse(value);
-      }
-      return null;
+      return await this.readValue(this.getKey(key));
     } catch (error) {
       // Only log actual errors, not expected JSON parse failures
       if (error.name !== 'SyntaxError') {
@@ -81,18 +177,7 @@ export class CacheManager {
     if (!key) return false;
     
     try {
-      const stringValue = JSON.stringify(value);
-      
-      if (ttl === null) {
-        // Permanent cache
-        await this.client.set(key, stringValue);
-      } else {
-        // Cache with TTL
-        await this.client.set(key, stringValue, {
-          EX: ttl
-        });
-      }
-      
+      await this.writeValue(this.getKey(key), value, ttl);
       return true;
     } catch (error) {
       console.error(`Cache set error for key ${key}:`, error);
@@ -106,10 +191,23 @@ export class CacheManager {
     return false;
   }
 
-  // Clear all cache (useful for testing)
+  // Clear all cache (useful for testing); with a namespace only its keys
   async flush() {
     try {
-      await this.client.flushAll();
+      if (this.namespace) {
+        const keys = await this.client.keys(`${this.namespace}:*`);
+        if (keys.length > 0) {
+          await this.client.del(keys);
+        }
+      } else {
+        await this.client.flushAll();
+      }
+      await this.tiered?.invalidatePattern(this.namespace ? `${this.namespace}:*` : '*');
+      if (this.namespace) {
+        await this.disk?.deleteKeys(`${this.namespace}:*`);
+      } else {
+        await this.disk?.flushAll();
+      }
       if (process.env.NODE_ENV !== 'test') {
         console.log('Cache flushed');
       }
@@ -125,16 +223,23 @@ export class CacheManager {
     try {
       if (this.cacheType === 'memory') {
         // Get stats from in-memory cache
-        return this.client.getStats();
+        return {
+          ...this.client.getStats(),
+          compression: this.getCompressionStats(),
+          ...(this.disk && { disk: this.disk.getStats() })
+        };
       } else {
         // Get stats from Redis
         const info = await this.client.info('stats');
         const dbSize = await this.client.dbSize();
         
         return {
-          type: 'redis',
+          type: this.tiered ? 'tiered' : 'redis',
           dbSize,
-          info
+          info,
+          compression: this.getCompressionStats(),
+          ...(this.tiered && { l1: this.tiered.getStats() }),
+          ...(this.disk && { disk: this.disk.getStats() })
         };
       }
     } catch (error) {
@@ -160,7 +265,7 @@ export class CacheManager {
         options.EX = ttl;
       }
       
-      const result = await this.client.set(key, value, options);
+      const result = await this.client.set(this.getKey(key), value, options);
       return result === 'OK';
     } catch (error) {
       console.error(`SetNX error for key ${key}:`, error);
@@ -178,17 +283,16 @@ export class CacheManager {
     
     try {
       // Try to get fresh value
-      const value = await this.client.get(key);
+      const value = await this.readValue(this.getKey(key));
       if (value) {
-        return { value: JSON.parse(value), isStale: false };
+        return { value, isStale: false };
       }
       
       // Check for stale value if enabled
       if (config.advanced?.staleWhileRevalidate) {
-        const staleKey = `stale:${key}`;
-        const staleValue = await this.client.get(staleKey);
+        const staleValue = await this.readValue(this.getKey(`stale:${key}`));
         if (staleValue) {
-          return { value: JSON.parse(staleValue), isStale: true };
+          return { value: staleValue, isStale: true };
         }
       }
       
@@ -208,19 +312,14 @@ export class CacheManager {
     }
     
     try {
-      const stringValue = JSON.stringify(value);
-      
       // Set main cache
-      const setPromise = ttl === null 
-        ? this.client.set(key, stringValue)
-        : this.client.set(key, stringValue, { EX: ttl });
+      const setPromise = this.writeValue(this.getKey(key), value, ttl);
       
       // Set stale copy if enabled
       let stalePromise = Promise.resolve();
       if (config.advanced?.staleWhileRevalidate && ttl !== null) {
         const staleTtl = ttl + (config.advanced.staleTtl || 300);
-        const staleKey = `stale:${key}`;
-        stalePromise = this.client.set(staleKey, stringValue, { EX: staleTtl });
+        stalePromise = this.writeValue(this.getKey(`stale:${key}`), value, staleTtl);
       }
       
       await Promise.all([setPromise, stalePromise]);
@@ -234,18 +333,17 @@ export class CacheManager {
     }
   }
 
-  // Cache negative results (errors/not found)
-  async setNegative(key, error) {
+  // Cache negative results (errors/not found), keeping the upstream error
+  // object; ttl null caches permanently
+  async setNegative(key, error, ttl = config.advanced?.negativeTtl || 60) {
     if (!config.advanced?.negativeCaching || !key) return false;
     
     try {
-      const negativeKey = `negative:${key}`;
-      const ttl = config.advanced.negativeTtl || 60;
-      
-      await this.client.set(negativeKey, JSON.stringify({
+      await this.writeValue(this.getKey(`negative:${key}`), {
         error: error.message || 'Not found',
+        ...(error.rpcError && { rpcError: error.rpcError }),
         timestamp: Date.now()
-      }), { EX: ttl });
+      }, ttl);
       
       return true;
     } catch (err) {
@@ -263,13 +361,7 @@ export class CacheManager {
     }
     
     try {
-      const negativeKey = `negative:${key}`;
-      const value = await this.client.get(negativeKey);
-      
-      if (value) {
-        return JSON.parse(value);
-      }
-      return null;
+      return await this.readValue(this.getKey(`negative:${key}`));
     } catch (error) {
       // Only log if client was initialized (not a test setup issue)
       if (this.client) {
@@ -284,31 +376,75 @@ export class CacheManager {
     if (!keys || keys.length === 0) return [];
     
     try {
-      const values = await this.client.mGet(keys);
-      return values.map(v => v ? JSON.parse(v) : null);
+      if (this.tiered) {
+        return await this.tiered.mGet(keys.map(key => this.getKey(key)));
+      }
+      const values = await this.client.mGet(keys.map(key => this.getKey(key)));
+      return await Promise.all(values.map((v, index) =>
+        v === null && this.disk ? this.readFromDisk(this.getKey(keys[index])) : this.deserialize(v)
+      ));
     } catch (error) {
       console.error('Multi-get error:', error);
       return keys.map(() => null);
     }
   }
 
+  // Multi-get with stale-while-revalidate support
+  async mGetWithStale(keys) {
+    const values = await this.mGet(keys);
+    if (!config.advanced?.staleWhileRevalidate) {
+      return values.map(value => ({ value, isStale: false }));
+    }
+    
+    // Only look up stale copies for keys without a fresh value
+    const missing = keys.filter((key, index) => values[index] === null);
+    const staleValues = await this.mGet(missing.map(key => `stale:${key}`));
+    
+    let staleIndex = 0;
+    return values.map(value => {
+      if (value !== null) {
+        return { value, isStale: false };
+      }
+      const staleValue = staleValues[staleIndex++] ?? null;
+      return { value: staleValue, isStale: staleValue !== null };
+    });
+  }
+
+  // Multi-get of negative cache entries
+  async mGetNegative(keys) {
+    if (!config.advanced?.negativeCaching) {
+      return keys.map(() => null);
+    }
+    
+    return this.mGet(keys.map(key => `negative:${key}`));
+  }
+
   // Multi-set for batch operations
   async mSet(entries, ttl = null) {
     if (!entries || entries.length === 0) return false;
     
     try {
+      const serialized = await Promise.all(entries.map(async ([key, value]) => {
+        const stringValue = JSON.stringify(value);
+        return [this.getKey(key), await this.compress(stringValue), value, stringValue.length];
+      }));
       if (ttl === null) {
         // Use MSET for permanent cache
-        const pairs = entries.flatMap(([key, value]) => [key, JSON.stringify(value)]);
-        await this.client.mSet(pairs);
+        await this.client.mSet(serialized.flatMap(([key, stored]) => [key, stored]));
       } else {
         // Use pipeline for TTL support
         const pipeline = this.client.multi();
-        entries.forEach(([key, value]) => {
-          pipeline.set(key, JSON.stringify(value), { EX: ttl });
+        serialized.forEach(([key, stored]) => {
+          pipeline.set(key, stored, { EX: ttl });
         });
         await pipeline.exec();
       }
+      serialized.forEach(([key, , value, size]) => {
+        this.tiered?.write(key, value, size, ttl);
+      });
+      if (ttl === null && this.disk) {
+        await Promise.all(serialized.map(([key, stored]) => this.disk.set(key, stored)));
+      }
       return true;
     } catch (error) {
       console.error('Multi-set error:', error);
@@ -316,10 +452,33 @@ export class CacheManager {
     }
   }
 
-  // Delete multiple keys
+  // Delete specific keys along with their stale and negative copies
+  async purgeKeys(keys) {
+    if (!keys || keys.length === 0) return 0;
+    
+    try {
+      const allKeys = keys
+        .flatMap(key => [key, `stale:${key}`, `negative:${key}`])
+        .map(key => this.getKey(key));
+      const deleted = await this.client.del(allKeys);
+      await this.tiered?.invalidate(allKeys);
+      await this.disk?.del(allKeys);
+      if (process.env.NODE_ENV !== 'test') {
+        console.log(`Purged ${keys.length} cache keys`);
+      }
+      return deleted;
+    } catch (error) {
+      console.error('Purge keys error:', error);
+      return 0;
+    }
+  }
+
+  // Delete multiple keys (pattern is matched within the namespace)
   async deleteKeys(pattern) {
     try {
-      const keys = await this.client.keys(pattern);
+      const keys = await this.client.keys(this.getKey(pattern));
+      await this.tiered?.invalidatePattern(this.getKey(pattern));
+      await this.disk?.deleteKeys(this.getKey(pattern));
       if (keys.length > 0) {
         await this.client.del(keys);
         if (process.env.NODE_ENV !== 'test') {
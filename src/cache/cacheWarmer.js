@@ -0,0 +1,344 @@
+import { readFile } from 'fs/promises';
+import { config } from '../config/index.js';
+import { shouldCacheMethod, generateMethodCacheKey, getMethodTTL } from '../config/methodCaching.js';
+import { cacheWarmings } from '../utils/metrics.js';
+
+// Requests kept warm when no WARMING_TARGETS_FILE is configured
+const DEFAULT_TARGETS = [
+  { method: 'eth_chainId', params: [] },
+  { method: 'eth_blockNumber', params: [] },
+  { method: 'eth_getBlockByNumber', params: ['latest', false] }
+];
+
+// How often hot keys are checked for an upcoming expiry (ms)
+const HOT_CHECK_INTERVAL = 1000;
+
+// Hit counts of hot keys are halved this often so old traffic fades out (ms)
+const HOT_DECAY_INTERVAL = 60000;
+
+// Upper bound on keys whose traffic is tracked
+const MAX_TRACKED_KEYS = 10000;
+
+/**
+ * CacheWarmer keeps selected cache entries fresh so clients don't pay for
+ * the upstream round trip:
+ * - Targets: a declarative list of requests refreshed on every new head (when
+ *   the head tracker runs) and on every WARMING_INTERVAL
+ * - Hot keys: the WARMING_HOT_KEYS most requested keys, learned from live
+ *   traffic and refreshed shortly before their TTL runs out
+ *
+ * Each refresh takes a distributed lock on the key that is left to expire
+ * when the key is due again, so with several proxy instances sharing Redis
+ * only one of them warms it per period.
+ *
+ * Targets file format:
+ * {
+ *   "targets": [
+ *     { "method": "eth_chainId" },
+ *     { "method": "eth_call", "params": [{ "to": "0x...", "data": "0x18160ddd" }, "latest"] }
+ *   ],
+ *   "balances": ["0x..."]   // eth_getBalance at latest for each watched address
+ * }
+ */
+export class CacheWarmer {
+  constructor(rpcHandler, options = {}) {
+    this.rpcHandler = rpcHandler;
+
+    // Configuration
+    this.enabled = options.enabled ?? config.advanced?.cacheWarming ?? false;
+    this.interval = options.interval || config.advanced?.warmingInterval || 300000;
+    this.targetsFile = options.targetsFile ?? config.advanced?.warmingTargetsFile ?? null;
+    this.hotKeys = options.hotKeys ?? config.advanced?.warmingHotKeys ?? 0;
+    this.refreshAhead = options.refreshAhead ?? config.advanced?.warmingRefreshAhead ?? 0.2;
+
+    // State
+    this.targets = DEFAULT_TARGETS;
+    this.tracked = new Map(); // cache key -> { method, params, hits, ttl, expiresAt }
+    this.lastDecay = Date.now();
+    this.timer = null;
+    this.hotTimer = null;
+    this.warming = false;
+    this.refreshingHot = false;
+
+    // Metrics
+    this.metrics = {
+      runs: 0,
+      refreshed: 0,
+      skipped: 0,
+      failed: 0
+    };
+  }
+
+  /**
+   * Load warm targets from the configured file
+   * @returns {Promise<number>} - Number of targets
+   */
+  async load() {
+    if (!this.targetsFile) return this.targets.length;
+
+    const content = JSON.parse(await readFile(this.targetsFile, 'utf8'));
+    return this.setTargets(content);
+  }
+
+  /**
+   * Replace the warm targets
+   * @param {Object|Array} definition - { targets, balances } or a list of targets
+   * @returns {number} - Number of targets
+   */
+  setTargets(definition) {
+    const targets = Array.isArray(definition) ? definition : (definition.targets || []);
+    const balances = Array.isArray(definition) ? [] : (definition.balances || []);
+
+    this.targets = [
+      ...targets.map((target, index) => {
+        if (!target || typeof target.method !== 'string') {
+          throw new Error(`Warm target ${index} needs a "method"`);
+        }
+        return { method: target.method, params: target.params || [] };
+      }),
+      ...balances.map(address => ({ method: 'eth_getBalance', params: [address, 'latest'] }))
+    ];
+    return this.targets.length;
+  }
+
+  /**
+   * Start warming targets on the interval and watching hot keys
+   */
+  start() {
+    if (!this.enabled || this.timer) return;
+
+    this.timer = setInterval(() => this.warmTargets(), this.interval);
+    // Unref the timers so they don't block process exit
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+
+    if (this.hotKeys > 0) {
+      this.hotTimer = setInterval(() => this.refreshHotKeys(), HOT_CHECK_INTERVAL);
+      if (this.hotTimer.unref) {
+        this.hotTimer.unref();
+      }
+    }
+
+    this.warmTargets();
+  }
+
+  /**
+   * Stop warming
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.hotTimer) {
+      clearInterval(this.hotTimer);
+      this.hotTimer = null;
+    }
+  }
+
+  /**
+   * Check if the warmer is running
+   * @returns {boolean} - True if running
+   */
+  isRunning() {
+    return this.timer !== null;
+  }
+
+  /**
+   * Warm the targets again when the head tracker sees a new head
+   */
+  onNewHead() {
+    if (this.isRunning()) {
+      this.warmTargets();
+    }
+  }
+
+  /**
+   * Refresh every warm target once
+   */
+  async warmTargets() {
+    // Skip if the previous run is still going
+    if (this.warming) return;
+    this.warming = true;
+    this.metrics.runs++;
+
+    try {
+      await Promise.all(this.targets.map(target => {
+        const params = this.rpcHandler.normalizeRequestParams(target.method, target.params);
+        if (!shouldCacheMethod(target.method, params, this.rpcHandler.chainId)) {
+          return null; // never cached, nothing to warm
+        }
+        const cacheKey = generateMethodCacheKey(target.method, params);
+        return this.refresh('target', target.method, params, cacheKey, this.getTargetPeriod(target.method, params));
+      }));
+    } finally {
+      this.warming = false;
+    }
+  }
+
+  /**
+   * Count a client request for a cache key
+   * @param {string} method - RPC method
+   * @param {Array} params - Normalized params
+   * @param {string} cacheKey - Cache key of the request
+   */
+  recordAccess(method, params, cacheKey) {
+    if (!this.enabled || this.hotKeys <= 0) return;
+
+    let entry = this.tracked.get(cacheKey);
+    if (!entry) {
+      if (this.tracked.size >= MAX_TRACKED_KEYS) return;
+      entry = { method, params, hits: 0, ttl: null, expiresAt: null };
+      this.tracked.set(cacheKey, entry);
+    }
+    entry.hits++;
+  }
+
+  /**
+   * Remember when a tracked key expires
+   * @param {string} cacheKey - Cache key written
+   * @param {number|null} ttl - TTL in seconds (null for permanent)
+   */
+  recordWrite(cacheKey, ttl) {
+    const entry = this.tracked.get(cacheKey);
+    if (!entry) return;
+
+    entry.ttl = ttl;
+    entry.expiresAt = ttl === null ? null : Date.now() + ttl * 1000;
+  }
+
+  /**
+   * Get the most requested tracked keys
+   * @returns {Array<Array>} - [cacheKey, entry] pairs, hottest first
+   */
+  getHotKeys() {
+    return [...this.tracked]
+      .sort(([, a], [, b]) => b.hits - a.hits)
+      .slice(0, this.hotKeys);
+  }
+
+  /**
+   * Refresh the hot keys that are about to expire
+   */
+  async refreshHotKeys() {
+    if (this.refreshingHot) return;
+    this.refreshingHot = true;
+
+    try {
+      const now = Date.now();
+      if (now - this.lastDecay >= HOT_DECAY_INTERVAL) {
+        this.decay();
+        this.lastDecay = now;
+      }
+
+      // Permanent and uncached keys have no expiry to get ahead of
+      const due = this.getHotKeys().filter(([, entry]) =>
+        entry.expiresAt !== null && entry.expiresAt - now <= entry.ttl * 1000 * this.refreshAhead
+      );
+
+      await Promise.all(due.map(async ([cacheKey, entry]) => {
+        // Set again by recordWrite once the refreshed result is cached; failed
+        // or uncacheable refreshes are left to the next client request
+        const { ttl } = entry;
+        entry.expiresAt = null;
+
+        // Due again once the refreshed entry enters its last refreshAhead share
+        const period = ttl * 1000 * (1 - this.refreshAhead);
+        const outcome = await this.refresh('hot', entry.method, entry.params, cacheKey, period);
+        if (outcome === 'skipped') {
+          // Another instance is refreshing it
+          entry.expiresAt = Date.now() + ttl * 1000;
+        }
+      }));
+    } finally {
+      this.refreshingHot = false;
+    }
+  }
+
+  /**
+   * Get how long until a target is due again: on the next head, which its
+   * cache TTL approximates, or on the next interval
+   * @param {string} method - RPC method
+   * @param {Array} params - Normalized params
+   * @returns {number} - Period in ms
+   */
+  getTargetPeriod(method, params) {
+    const ttl = getMethodTTL(method, params, this.rpcHandler.chainId);
+    return ttl === null ? this.interval : Math.min(ttl * 1000, this.interval);
+  }
+
+  /**
+   * Halve hit counts and forget keys that went cold
+   */
+  decay() {
+    this.tracked.forEach((entry, cacheKey) => {
+      entry.hits = Math.floor(entry.hits / 2);
+      if (entry.hits === 0) {
+        this.tracked.delete(cacheKey);
+      }
+    });
+  }
+
+  /**
+   * Fetch a request upstream and write it to the cache, unless another
+   * instance holds the warming lock of the key. After a refresh the lock is
+   * kept until the key is due again, so instances that get to the key later
+   * in the same period skip it; a failed refresh releases it.
+   * @param {string} source - 'target' or 'hot'
+   * @param {string} method - RPC method
+   * @param {Array} params - Normalized params
+   * @param {string} cacheKey - Cache key
+   * @param {number} period - Time until the key is due again (ms)
+   * @returns {Promise<string>} - Outcome: refreshed, skipped or failed
+   */
+  async refresh(source, method, params, cacheKey, period) {
+    const handler = this.rpcHandler;
+    const lockKey = `warm:${handler.cacheManager.getKey(cacheKey)}`;
+    let outcome;
+
+    if (!await handler.distributedLock.tryAcquireLock(lockKey, Math.max(1, Math.floor(period)))) {
+      outcome = 'skipped';
+    } else {
+      try {
+        // Share the fetch with client requests for the same key
+        await handler.requestCoalescer.getOrFetch(cacheKey, () => handler.fetchWithCircuitBreaker(method, params, cacheKey));
+        handler.distributedLock.keepLock(lockKey);
+        outcome = 'refreshed';
+      } catch (error) {
+        outcome = 'failed';
+        await handler.distributedLock.releaseLock(lockKey);
+        if (process.env.NODE_ENV !== 'test') {
+          console.error(`Cache warming failed for ${cacheKey}:`, error.message);
+        }
+      }
+    }
+
+    this.metrics[outcome]++;
+    cacheWarmings.inc({ source, outcome });
+    return outcome;
+  }
+
+  /**
+   * Get warmer metrics
+   * @returns {Object} - Metrics object
+   */
+  getMetrics() {
+    return {
+      ...this.metrics,
+      enabled: this.enabled,
+      targets: this.targets.length,
+      trackedKeys: this.tracked.size,
+      hotKeys: this.getHotKeys().map(([cacheKey, entry]) => ({ key: cacheKey, hits: entry.hits }))
+    };
+  }
+
+  /**
+   * Reset metrics
+   */
+  resetMetrics() {
+    Object.keys(this.metrics).forEach(key => {
+      this.metrics[key] = 0;
+    });
+  }
+}
@@ -0,0 +1,91 @@
+/**
+ * Compression of cached values
+ *
+ * Compressed values are stored as `~c1:<algorithm>:<base64 data>`. Plain JSON
+ * never starts with `~`, so compressed and uncompressed entries can coexist
+ * and entries written before compression was enabled (or with another
+ * algorithm) still decode.
+ *
+ * The data is base64 encoded because every cache backend (Redis in string
+ * mode, the in-memory cache, the disk store's JSON lines) stores strings.
+ * That costs a third of the compressed size, which the length check in
+ * encodeValue accounts for.
+ */
+
+import zlib from 'zlib';
+import { promisify } from 'util';
+
+export const COMPRESSION_HEADER = '~c1:';
+
+// The default brotli quality (11) is far too slow for writes on the request
+// path; 4 is in gzip's range of speed and ratio
+const BROTLI_QUALITY = 4;
+
+const brotliCompress = promisify(zlib.brotliCompress);
+
+const CODECS = {
+  gzip: { compress: promisify(zlib.gzip), decompress: promisify(zlib.gunzip) },
+  brotli: {
+    compress: (value) => brotliCompress(value, { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: BROTLI_QUALITY } }),
+    decompress: promisify(zlib.brotliDecompress)
+  },
+  // zstd is only available in newer Node.js versions
+  ...(zlib.zstdCompress && {
+    zstd: { compress: promisify(zlib.zstdCompress), decompress: promisify(zlib.zstdDecompress) }
+  })
+};
+
+/**
+ * Whether an algorithm can be used in this Node.js version
+ * @param {string} algorithm - gzip, brotli, zstd or none
+ * @returns {boolean} - True if supported
+ */
+export function isCompressionSupported(algorithm) {
+  return algorithm === 'none' || Object.hasOwn(CODECS, algorithm);
+}
+
+/**
+ * Whether a stored value carries the compression header
+ * @param {string} stored - Value as stored in the cache
+ * @returns {boolean} - True if compressed
+ */
+export function isCompressed(stored) {
+  return typeof stored === 'string' && stored.startsWith(COMPRESSION_HEADER);
+}
+
+/**
+ * Compress a serialized value if it's at least threshold bytes long and
+ * compression makes it smaller
+ * @param {string} value - Serialized value
+ * @param {Object} options - { algorithm, threshold }
+ * @returns {Promise<string>} - Value to store
+ */
+export async function encodeValue(value, { algorithm = 'none', threshold = 0 } = {}) {
+  if (algorithm === 'none' || value.length < threshold) {
+    return value;
+  }
+
+  const compressed = await CODECS[algorithm].compress(value);
+  const encoded = `${COMPRESSION_HEADER}${algorithm}:${compressed.toString('base64')}`;
+  return encoded.length < value.length ? encoded : value;
+}
+
+/**
+ * Restore a stored value; values without the header are returned as is
+ * @param {string|null} stored - Value as stored in the cache
+ * @returns {Promise<string|null>} - Serialized value
+ */
+export async function decodeValue(stored) {
+  if (!isCompressed(stored)) {
+    return stored;
+  }
+
+  const separator = stored.indexOf(':', COMPRESSION_HEADER.length);
+  const algorithm = stored.slice(COMPRESSION_HEADER.length, separator);
+  if (separator === -1 || !Object.hasOwn(CODECS, algorithm)) {
+    throw new Error(`Unsupported cache compression: ${algorithm}`);
+  }
+
+  const data = Buffer.from(stored.slice(separator + 1), 'base64');
+  return (await CODECS[algorithm].decompress(data)).toString('utf8');
+}
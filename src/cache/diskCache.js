@@ -0,0 +1,348 @@
+import { open, mkdir, rename, stat, truncate, appendFile } from 'fs/promises';
+import { createReadStream } from 'fs';
+import { createInterface } from 'readline';
+import path from 'path';
+import { config } from '../config/index.js';
+
+const DATA_FILE = 'cache.dat';
+
+// Rewrite the file once dead records take up more than half of it and at
+// least this many bytes
+const COMPACT_MIN_DEAD_BYTES = 1024 * 1024;
+
+/**
+ * DiskCache is an append-only file store for immutable cache entries, so
+ * historical blocks, receipts and logs survive restarts of Redis or the
+ * process.
+ *
+ * Every record is a JSON line: [key, value] stores a value, [key] deletes
+ * it. Only the offsets of live records are kept in memory; values are read
+ * from the file on demand. The file is replayed on open (a torn last record
+ * from a crash is cut off) and compacted when deleted records dominate it.
+ *
+ * Entries are immutable: storing a key that is already stored is a no-op.
+ */
+export class DiskCache {
+  constructor(options = {}) {
+    this.dir = options.path ?? config.cache?.diskPath ?? './data/cache';
+    this.file = path.join(this.dir, DATA_FILE);
+    this.handle = null;
+
+    this.index = new Map(); // key -> { position, length } of its record
+    this.pending = new Map(); // key -> value of records not written yet
+    this.size = 0; // File size in bytes
+    this.deadBytes = 0; // Bytes of overwritten, deleted and delete records
+
+    // File writes run one at a time in this chain
+    this.queue = Promise.resolve();
+
+    // Metrics
+    this.metrics = {
+      hits: 0,
+      misses: 0,
+      writes: 0,
+      compactions: 0
+    };
+  }
+
+  /**
+   * Open the file and rebuild the index from it
+   */
+  async open() {
+    await mkdir(this.dir, { recursive: true });
+    await this.load();
+    this.handle = await open(this.file, 'a+');
+
+    if (this.shouldCompact()) {
+      await this.enqueue(() => this.compact());
+    }
+  }
+
+  /**
+   * Wait for pending writes and close the file
+   */
+  async close() {
+    await this.queue;
+    if (this.handle) {
+      await this.handle.close();
+      this.handle = null;
+    }
+  }
+
+  /**
+   * Replay the file into the index
+   */
+  async load() {
+    this.index.clear();
+    this.size = 0;
+    this.deadBytes = 0;
+
+    try {
+      const lines = createInterface({ input: createReadStream(this.file), crlfDelay: Infinity });
+      for await (const line of lines) {
+        const length = Buffer.byteLength(line) + 1;
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch {
+          break; // torn write, drop it and everything after it
+        }
+        this.apply(record, this.size, length);
+        this.size += length;
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      return; // no file yet
+    }
+
+    const { size } = await stat(this.file);
+    if (size > this.size) {
+      await truncate(this.file, this.size);
+    } else if (size < this.size) {
+      await appendFile(this.file, '\n'); // complete last record without its newline
+    }
+  }
+
+  /**
+   * Update the index for a record at a position
+   */
+  apply(record, position, length) {
+    const [key] = record;
+    const previous = this.index.get(key);
+    if (previous) {
+      this.deadBytes += previous.length;
+    }
+
+    if (record.length > 1) {
+      this.index.set(key, { position, length });
+    } else {
+      this.index.delete(key);
+      this.deadBytes += length;
+    }
+  }
+
+  /**
+   * Run a file write after the ones already queued
+   */
+  enqueue(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Append records to the file and index them
+   * @param {Array<Array>} records - [key, value] or [key] records
+   */
+  async append(records) {
+    const lines = records.map(record => Buffer.from(`${JSON.stringify(record)}\n`));
+    await this.handle.write(Buffer.concat(lines));
+
+    records.forEach((record, index) => {
+      this.apply(record, this.size, lines[index].length);
+      this.size += lines[index].length;
+    });
+  }
+
+  /**
+   * Get a stored value
+   * @param {string} key - Cache key
+   * @returns {Promise<string|null>} - Value, or null if not stored
+   */
+  async get(key) {
+    if (this.pending.has(key)) {
+      this.metrics.hits++;
+      return this.pending.get(key);
+    }
+
+    const entry = this.index.get(key);
+    if (!entry || !this.handle) {
+      this.metrics.misses++;
+      return null;
+    }
+
+    try {
+      const buffer = Buffer.alloc(entry.length);
+      await this.handle.read(buffer, 0, entry.length, entry.position);
+      const [storedKey, value] = JSON.parse(buffer.toString('utf8'));
+      if (storedKey !== key) throw new Error('index out of sync');
+
+      this.metrics.hits++;
+      return value;
+    } catch (error) {
+      // The file was compacted or closed under the read
+      if (process.env.NODE_ENV !== 'test') {
+        console.error(`Disk cache read error for key ${key}:`, error.message);
+      }
+      this.metrics.misses++;
+      return null;
+    }
+  }
+
+  /**
+   * Store a value unless the key is already stored
+   * @param {string} key - Cache key
+   * @param {string} value - Value as stored in the hot cache
+   * @returns {Promise<boolean>} - True if the value was written
+   */
+  async set(key, value) {
+    if (this.index.has(key) || this.pending.has(key)) return false;
+
+    this.pending.set(key, value);
+    try {
+      return await this.enqueue(async () => {
+        // Deleted while queued
+        if (this.pending.get(key) !== value) return false;
+
+        await this.append([[key, value]]);
+        this.metrics.writes++;
+        return true;
+      });
+    } finally {
+      if (this.pending.get(key) === value) {
+        this.pending.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Delete keys
+   * @param {Array<string>} keys - Cache keys
+   * @returns {Promise<number>} - Number of keys deleted
+   */
+  async del(keys) {
+    keys.forEach(key => this.pending.delete(key));
+
+    return this.enqueue(async () => {
+      const stored = keys.filter(key => this.index.has(key));
+      if (stored.length > 0) {
+        await this.append(stored.map(key => [key]));
+      }
+      if (this.shouldCompact()) {
+        await this.compact();
+      }
+      return stored.length;
+    });
+  }
+
+  /**
+   * Get stored keys matching a glob pattern
+   * @param {string} pattern - Pattern with * and ? wildcards
+   * @returns {Array<string>} - Matching keys
+   */
+  keys(pattern) {
+    const escaped = pattern
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*')
+      .replace(/\?/g, '.');
+    const regex = new RegExp(`^${escaped}$`);
+
+    return [...this.index.keys(), ...this.pending.keys()].filter(key => regex.test(key));
+  }
+
+  /**
+   * Delete keys matching a glob pattern
+   * @param {string} pattern - Pattern with * and ? wildcards
+   * @returns {Promise<number>} - Number of keys deleted
+   */
+  async deleteKeys(pattern) {
+    return this.del(this.keys(pattern));
+  }
+
+  /**
+   * Delete everything
+   */
+  async flushAll() {
+    this.pending.clear();
+
+    await this.enqueue(async () => {
+      await this.handle.truncate(0);
+      this.index.clear();
+      this.size = 0;
+      this.deadBytes = 0;
+    });
+  }
+
+  /**
+   * Whether dead records take up enough of the file to rewrite it
+   * @returns {boolean} - True if the file should be compacted
+   */
+  shouldCompact() {
+    return this.deadBytes >= COMPACT_MIN_DEAD_BYTES && this.deadBytes * 2 > this.size;
+  }
+
+  /**
+   * Rewrite the file with only live records (must run in the write queue)
+   */
+  async compact() {
+    const tempFile = `${this.file}.tmp`;
+    const target = await open(tempFile, 'w');
+    const index = new Map();
+    let size = 0;
+
+    try {
+      for (const [key, entry] of this.index) {
+        const buffer = Buffer.alloc(entry.length);
+        await this.handle.read(buffer, 0, entry.length, entry.position);
+        await target.write(buffer);
+        index.set(key, { position: size, length: entry.length });
+        size += entry.length;
+      }
+      await target.sync();
+    } finally {
+      await target.close();
+    }
+
+    await rename(tempFile, this.file);
+    const previous = this.handle;
+    this.handle = await open(this.file, 'a+');
+    this.index = index;
+    this.size = size;
+    this.deadBytes = 0;
+    this.metrics.compactions++;
+    await previous.close();
+  }
+
+  /**
+   * Get disk cache statistics
+   * @returns {Object} - Metrics and file stats
+   */
+  getStats() {
+    return {
+      ...this.metrics,
+      path: this.file,
+      entries: this.index.size,
+      bytes: this.size,
+      deadBytes: this.deadBytes
+    };
+  }
+}
+
+// Shared by the cache managers of all chains (keys are namespaced)
+let diskCache = null;
+
+/**
+ * Open the shared disk cache
+ * @returns {Promise<DiskCache>} - Disk cache
+ */
+export async function openDiskCache() {
+  if (!diskCache) {
+    const cache = new DiskCache();
+    diskCache = cache.open().then(() => cache);
+    diskCache.catch(() => {
+      diskCache = null;
+    });
+  }
+  return diskCache;
+}
+
+/**
+ * Close the shared disk cache
+ */
+export async function closeDiskCache() {
+  if (diskCache) {
+    const cache = await diskCache;
+    diskCache = null;
+    await cache.close();
+  }
+}
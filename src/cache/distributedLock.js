@@ -1,5 +1,6 @@
 import { getRedisClient } from './redis.js';
 import { config } from '../config/index.js';
+import { lockContentions, lockFailures } from '../utils/metrics.js';
 
 /**
  * DistributedLock provides Redis-based distributed locking mechanism
@@ -110,6 +111,7 @@ export class DistributedLock {
         // Lock is held by someone else
         if (attempts === 0) {
           this.metrics.contentions++;
+          lockContentions.inc();
         }
         
         attempts++;
@@ -122,12 +124,14 @@ export class DistributedLock {
       } catch (error) {
         console.error(`Error acquiring lock for ${key}:`, error);
         this.metrics.locksFailed++;
+        lockFailures.inc();
         return false;
       }
     }
     
     console.warn(`Failed to acquire lock for ${key} after ${attempts} attempts`);
     this.metrics.locksFailed++;
+    lockFailures.inc();
     return false;
   }
 
@@ -159,10 +163,12 @@ export class DistributedLock {
       }
       
       this.metrics.contentions++;
+      lockContentions.inc();
       return false;
     } catch (error) {
       console.error(`Error trying to acquire lock for ${key}:`, error);
       this.metrics.locksFailed++;
+      lockFailures.inc();
       return false;
     }
   }
@@ -204,6 +210,14 @@ export class DistributedLock {
     }
   }
 
+  /**
+   * Leave a lock to expire with its TTL instead of releasing it
+   * @param {string} key - Resource key
+   */
+  keepLock(key) {
+    this.activeLocks.delete(this.getLockKey(key));
+  }
+
   /**
    * Extend lock TTL (useful for long operations)
    * @param {string} key - Resource key
@@ -1,19 +1,49 @@
+import { config } from '../config/index.js';
+
 /**
  * In-memory cache implementation that provides a Redis-like API
  * Used as a fallback when Redis is not available
+ *
+ * The cache is bounded by an entry count and an approximate byte budget
+ * (0 = unlimited). When either is exceeded the least recently used entries
+ * are evicted, permanent ones included. Expired keys are removed lazily when
+ * they are read and by a periodic sweep, instead of one timer per key.
  */
 export class InMemoryCache {
-  constructor() {
-    this.store = new Map();
-    this.ttls = new Map(); // Track TTLs separately
-    this.timers = new Map(); // Track expiration timers
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries ?? config.cache?.memoryMaxEntries ?? 0;
+    this.maxBytes = options.maxBytes ?? config.cache?.memoryMaxBytes ?? 0;
+    this.sweepInterval = options.sweepInterval ?? config.cache?.memorySweepInterval ?? 60000;
+
+    this.store = new Map(); // Iteration order is recency order, oldest first
+    this.ttls = new Map(); // Track TTLs separately (key -> expiry timestamp)
+    this.sizes = new Map(); // Approximate size of each entry in bytes
+    this.bytes = 0;
+    this.evictions = 0;
+    this.expired = 0;
+
+    this.sweeper = null;
+    this.startSweeper();
+  }
+
+  /**
+   * Start the periodic sweep of expired keys
+   */
+  startSweeper() {
+    if (this.sweeper || !(this.sweepInterval > 0)) return;
+
+    this.sweeper = setInterval(() => this.sweep(), this.sweepInterval);
+    // Unref the timer so it doesn't block process exit
+    if (this.sweeper.unref) {
+      this.sweeper.unref();
+    }
   }
 
   /**
    * Connect method for compatibility with Redis client
    */
   async connect() {
-    // No-op for in-memory cache
+    this.startSweeper();
     return Promise.resolve();
   }
 
@@ -21,9 +51,10 @@ export class InMemoryCache {
    * Disconnect method for compatibility with Redis client
    */
   async disconnect() {
-    // Clear all timers
-    this.timers.forEach(timer => clearTimeout(timer));
-    this.timers.clear();
+    if (this.sweeper) {
+      clearInterval(this.sweeper);
+      this.sweeper = null;
+    }
     return Promise.resolve();
   }
 
@@ -38,44 +69,41 @@ export class InMemoryCache {
    * Get a value from cache
    */
   async get(key) {
+    if (this.expireIfDue(key)) return null;
+
     const value = this.store.get(key);
     if (value === undefined) return null;
+
+    // Move the key to the most recently used end
+    this.store.delete(key);
+    this.store.set(key, value);
     return value;
   }
 
   /**
-   * Set a value in cache with optional TTL
+   * Get multiple values from cache (MGET)
    */
-  async set(key, value, options = {}) {
-    // Clear existing timer if any
-    if (this.timers.has(key)) {
-      clearTimeout(this.timers.get(key));
-      this.timers.delete(key);
-    }
+  async mGet(keys) {
+    return Promise.all(keys.map(key => this.get(key)));
+  }
 
-    this.store.set(key, value);
+  /**
+   * Set a value in cache with optional TTL (EX seconds or PX milliseconds).
+   * options.size gives the size of values that aren't strings.
+   */
+  async set(key, value, options = {}) {
+    this.write(key, value, options.size);
 
     // Handle TTL
     if (options.EX) {
-      const ttl = options.EX * 1000; // Convert seconds to milliseconds
-      this.ttls.set(key, Date.now() + ttl);
-      
-      const timer = setTimeout(() => {
-        this.store.delete(key);
-        this.ttls.delete(key);
-        this.timers.delete(key);
-      }, ttl);
-      
-      // Unref the timer so it doesn't block process exit
-      if (timer.unref) {
-        timer.unref();
-      }
-      
-      this.timers.set(key, timer);
+      this.ttls.set(key, Date.now() + options.EX * 1000); // Convert seconds to milliseconds
+    } else if (options.PX) {
+      this.ttls.set(key, Date.now() + options.PX);
     } else {
       this.ttls.delete(key);
     }
 
+    this.evict();
     return 'OK';
   }
 
@@ -84,7 +112,7 @@ export class InMemoryCache {
    * Used for distributed locking
    */
   async setNX(key, value, ttl) {
-    if (this.store.has(key)) {
+    if (await this.exists(key)) {
       return null; // Key already exists
     }
     
@@ -97,17 +125,11 @@ export class InMemoryCache {
    */
   async del(...keys) {
     let deleted = 0;
-    for (const key of keys) {
+    // Accept both del(key1, key2) and del([key1, key2]) like the Redis client
+    for (const key of keys.flat()) {
+      if (this.expireIfDue(key)) continue;
       if (this.store.has(key)) {
-        this.store.delete(key);
-        this.ttls.delete(key);
-        
-        // Clear timer if exists
-        if (this.timers.has(key)) {
-          clearTimeout(this.timers.get(key));
-          this.timers.delete(key);
-        }
-        
+        this.remove(key);
         deleted++;
       }
     }
@@ -118,6 +140,7 @@ export class InMemoryCache {
    * Check if a key exists
    */
   async exists(key) {
+    if (this.expireIfDue(key)) return 0;
     return this.store.has(key) ? 1 : 0;
   }
 
@@ -128,8 +151,8 @@ export class InMemoryCache {
     const regex = this.patternToRegex(pattern);
     const matchingKeys = [];
     
-    for (const key of this.store.keys()) {
-      if (regex.test(key)) {
+    for (const key of [...this.store.keys()]) {
+      if (regex.test(key) && !this.expireIfDue(key)) {
         matchingKeys.push(key);
       }
     }
@@ -141,12 +164,10 @@ export class InMemoryCache {
    * Clear all keys
    */
   async flushAll() {
-    // Clear all timers
-    this.timers.forEach(timer => clearTimeout(timer));
-    
     this.store.clear();
     this.ttls.clear();
-    this.timers.clear();
+    this.sizes.clear();
+    this.bytes = 0;
     
     return 'OK';
   }
@@ -155,7 +176,7 @@ export class InMemoryCache {
    * Get remaining TTL for a key in seconds
    */
   async ttl(key) {
-    if (!this.store.has(key)) {
+    if (this.expireIfDue(key) || !this.store.has(key)) {
       return -2; // Key doesn't exist
     }
     
@@ -173,26 +194,11 @@ export class InMemoryCache {
    * Set expiration for a key
    */
   async expire(key, seconds) {
-    if (!this.store.has(key)) {
+    if (this.expireIfDue(key) || !this.store.has(key)) {
       return 0; // Key doesn't exist
     }
     
-    // Clear existing timer if any
-    if (this.timers.has(key)) {
-      clearTimeout(this.timers.get(key));
-    }
-    
-    const ttl = seconds * 1000;
-    this.ttls.set(key, Date.now() + ttl);
-    
-    const timer = setTimeout(() => {
-      this.store.delete(key);
-      this.ttls.delete(key);
-      this.timers.delete(key);
-    }, ttl);
-    
-    this.timers.set(key, timer);
-    
+    this.ttls.set(key, Date.now() + seconds * 1000);
     return 1;
   }
 
@@ -200,9 +206,11 @@ export class InMemoryCache {
    * Increment a numeric value
    */
   async incr(key) {
+    this.expireIfDue(key);
     const value = this.store.get(key);
     const newValue = (parseInt(value) || 0) + 1;
-    this.store.set(key, String(newValue));
+    this.write(key, String(newValue));
+    this.evict();
     return newValue;
   }
 
@@ -210,12 +218,82 @@ export class InMemoryCache {
    * Decrement a numeric value
    */
   async decr(key) {
+    this.expireIfDue(key);
     const value = this.store.get(key);
     const newValue = (parseInt(value) || 0) - 1;
-    this.store.set(key, String(newValue));
+    this.write(key, String(newValue));
+    this.evict();
     return newValue;
   }
 
+  /**
+   * Store a value as the most recently used entry, keeping its TTL
+   */
+  write(key, value, valueSize = String(value).length) {
+    this.bytes -= this.sizes.get(key) || 0;
+    this.store.delete(key);
+    this.store.set(key, value);
+
+    // Strings are counted at one byte per character; close enough for the
+    // JSON results stored here
+    const size = key.length + valueSize;
+    this.sizes.set(key, size);
+    this.bytes += size;
+  }
+
+  /**
+   * Remove a key and its bookkeeping
+   */
+  remove(key) {
+    this.bytes -= this.sizes.get(key) || 0;
+    this.store.delete(key);
+    this.ttls.delete(key);
+    this.sizes.delete(key);
+  }
+
+  /**
+   * Remove a key if its TTL has run out
+   * @returns {boolean} - True if the key was expired
+   */
+  expireIfDue(key, now = Date.now()) {
+    const expiresAt = this.ttls.get(key);
+    if (expiresAt === undefined || expiresAt > now) return false;
+
+    this.remove(key);
+    this.expired++;
+    return true;
+  }
+
+  /**
+   * Evict least recently used entries until the cache is within its budget
+   */
+  evict() {
+    while (
+      this.store.size > 0 &&
+      ((this.maxEntries > 0 && this.store.size > this.maxEntries) ||
+        (this.maxBytes > 0 && this.bytes > this.maxBytes))
+    ) {
+      this.remove(this.store.keys().next().value);
+      this.evictions++;
+    }
+  }
+
+  /**
+   * Remove every expired key
+   * @returns {number} - Number of keys removed
+   */
+  sweep() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const key of [...this.ttls.keys()]) {
+      if (this.expireIfDue(key, now)) {
+        removed++;
+      }
+    }
+    return removed;
+  }
+
   /**
    * Convert glob pattern to regex
    */
@@ -251,7 +329,11 @@ export class InMemoryCache {
       type: 'memory',
       size: this.store.size,
       ttlCount: this.ttls.size,
-      timerCount: this.timers.size
+      bytes: this.bytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      evictions: this.evictions,
+      expired: this.expired
     };
   }
 }
\ No newline at end of file
@@ -0,0 +1,228 @@
+import { getRedisClient } from './redis.js';
+import { config } from '../config/index.js';
+import { getMethodCacheConfig } from '../config/methodCaching.js';
+import { rateLimitedRequests } from '../utils/metrics.js';
+
+// Refill a token bucket and take one token atomically.
+// Returns { allowed (0/1), milliseconds until the next token }.
+const TOKEN_BUCKET_SCRIPT = `
+local rate = tonumber(ARGV[1])
+local burst = tonumber(ARGV[2])
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'updated')
+local tokens = tonumber(bucket[1]) or burst
+local updated = tonumber(bucket[2]) or now
+tokens = math.min(burst, tokens + math.max(0, now - updated) * rate / 1000)
+local allowed = 0
+local retryAfter = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+  allowed = 1
+else
+  retryAfter = math.ceil((1 - tokens) * 1000 / rate)
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updated', tostring(now))
+redis.call('PEXPIRE', KEYS[1], math.ceil(burst * 1000 / rate) + 1000)
+return { allowed, retryAfter }
+`;
+
+/**
+ * RateLimiter enforces token-bucket limits per client (tenant or IP) and per
+ * method or method category. Buckets live in Redis when the cache runs in
+ * Redis mode so limits are shared across instances, and in process otherwise.
+ */
+export class RateLimiter {
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? config.rateLimit?.enabled ?? false;
+    this.defaultLimit = options.defaultLimit ?? config.rateLimit?.defaultLimit ?? { requestsPerSecond: 50, burst: 100 };
+    this.methodLimits = options.methodLimits ?? config.rateLimit?.methodLimits ?? {};
+    this.exemptCacheHits = options.exemptCacheHits ?? config.rateLimit?.exemptCacheHits ?? false;
+    this.namespace = options.namespace || null;
+    this.client = null;
+
+    // In-process buckets: key -> { tokens, updated, refillMs }
+    this.buckets = new Map();
+    this.pruneTimer = null;
+
+    // Metrics
+    this.metrics = {
+      allowed: 0,
+      limited: 0,
+      redisErrors: 0
+    };
+  }
+
+  /**
+   * Initialize the rate limiter
+   * @param {string} cacheType - Type of cache being used ('redis' or 'memory')
+   * @param {string} namespace - Cache namespace of the chain (e.g. 'chain:137');
+   *   keeps each chain's buckets apart in Redis as they are in process
+   */
+  initialize(cacheType, namespace = this.namespace) {
+    this.namespace = namespace || null;
+    if (!this.enabled) return;
+
+    if (cacheType === 'redis') {
+      try {
+        this.client = getRedisClient();
+      } catch (error) {
+        if (process.env.NODE_ENV !== 'test') {
+          console.warn('Rate limits kept in process due to Redis error:', error.message);
+        }
+      }
+    }
+
+    // Drop idle in-process buckets now and then
+    this.pruneTimer = setInterval(() => this.prune(), 60000);
+    if (this.pruneTimer.unref) {
+      this.pruneTimer.unref();
+    }
+  }
+
+  /**
+   * Get the buckets a request has to take a token from, tightest first
+   * @param {string} clientId - Client identifier (tenant or IP)
+   * @param {string} method - RPC method
+   * @param {Object} tenant - Tenant with optional rateLimit/methodLimits overrides
+   * @returns {Array<Object>} - Buckets ({ key, scope, limit })
+   */
+  getBuckets(clientId, method, tenant = null) {
+    const { category } = getMethodCacheConfig(method);
+    const buckets = [];
+
+    const prefix = this.namespace ? `${this.namespace}:ratelimit:${clientId}` : `ratelimit:${clientId}`;
+    const methodLimits = { ...this.methodLimits, ...tenant?.methodLimits };
+    const scope = methodLimits[method] ? method : (methodLimits[category] ? category : null);
+    if (scope) {
+      buckets.push({ key: `${prefix}:${scope}`, scope, limit: methodLimits[scope] });
+    }
+
+    buckets.push({ key: prefix, scope: 'client', limit: tenant?.rateLimit || this.defaultLimit });
+    return buckets;
+  }
+
+  /**
+   * Take a token for a request
+   * @param {string} clientId - Client identifier (tenant or IP)
+   * @param {string} method - RPC method
+   * @param {Object} tenant - Tenant (optional)
+   * @returns {Promise<Object>} - { allowed } or { allowed: false, retryAfter (seconds), scope }
+   */
+  async check(clientId, method, tenant = null) {
+    if (!this.enabled) {
+      return { allowed: true };
+    }
+
+    for (const bucket of this.getBuckets(clientId, method, tenant)) {
+      const { allowed, retryAfterMs } = await this.take(bucket.key, bucket.limit);
+      if (!allowed) {
+        this.metrics.limited++;
+        rateLimitedRequests.inc({ tenant: tenant?.name || 'anonymous', limit: bucket.scope });
+        return {
+          allowed: false,
+          retryAfter: Math.max(1, Math.ceil(retryAfterMs / 1000)),
+          scope: bucket.scope
+        };
+      }
+    }
+
+    this.metrics.allowed++;
+    return { allowed: true };
+  }
+
+  /**
+   * Take one token from a bucket
+   * @param {string} key - Bucket key
+   * @param {Object} limit - { requestsPerSecond, burst }
+   * @returns {Promise<Object>} - { allowed, retryAfterMs }
+   */
+  async take(key, limit) {
+    if (this.client) {
+      try {
+        const [allowed, retryAfterMs] = await this.client.eval(TOKEN_BUCKET_SCRIPT, {
+          keys: [key],
+          arguments: [String(limit.requestsPerSecond), String(limit.burst)]
+        });
+        return { allowed: allowed === 1, retryAfterMs };
+      } catch (error) {
+        // Keep limiting in process while Redis is unavailable
+        this.metrics.redisErrors++;
+        if (process.env.NODE_ENV !== 'test') {
+          console.error('Rate limiter Redis error:', error.message);
+        }
+      }
+    }
+
+    return this.takeLocal(key, limit);
+  }
+
+  /**
+   * Take one token from an in-process bucket
+   * @param {string} key - Bucket key
+   * @param {Object} limit - { requestsPerSecond, burst }
+   * @returns {Object} - { allowed, retryAfterMs }
+   */
+  takeLocal(key, limit) {
+    const now = Date.now();
+    const bucket = this.buckets.get(key) || { tokens: limit.burst, updated: now };
+
+    bucket.tokens = Math.min(limit.burst, bucket.tokens + (now - bucket.updated) * limit.requestsPerSecond / 1000);
+    bucket.updated = now;
+    bucket.refillMs = limit.burst * 1000 / limit.requestsPerSecond;
+    this.buckets.set(key, bucket);
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return { allowed: true, retryAfterMs: 0 };
+    }
+
+    return { allowed: false, retryAfterMs: Math.ceil((1 - bucket.tokens) * 1000 / limit.requestsPerSecond) };
+  }
+
+  /**
+   * Remove in-process buckets that have been idle long enough to be full again
+   */
+  prune() {
+    const now = Date.now();
+
+    // Each bucket knows its own limit's refill time (tenant overrides included)
+    for (const [key, bucket] of this.buckets) {
+      if (now - bucket.updated > bucket.refillMs) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Stop the prune timer
+   */
+  stop() {
+    if (this.pruneTimer) {
+      clearInterval(this.pruneTimer);
+      this.pruneTimer = null;
+    }
+  }
+
+  /**
+   * Get rate limiter metrics
+   * @returns {Object} - Metrics object
+   */
+  getMetrics() {
+    return {
+      ...this.metrics,
+      enabled: this.enabled,
+      shared: this.client !== null,
+      localBuckets: this.buckets.size
+    };
+  }
+
+  /**
+   * Reset metrics
+   */
+  resetMetrics() {
+    this.metrics.allowed = 0;
+    this.metrics.limited = 0;
+    this.metrics.redisErrors = 0;
+  }
+}
@@ -1,4 +1,5 @@
 import { config } from '../config/index.js';
+import { coalescerInFlight, coalescedRequests } from '../utils/metrics.js';
 
 /**
  * RequestCoalescer prevents duplicate concurrent requests to the same resource
@@ -38,6 +39,7 @@ export class RequestCoalescer {
     // Check if request is already in flight
     if (this.inFlightRequests.has(key)) {
       this.metrics.totalCoalesced++;
+      coalescedRequests.inc();
       if (process.env.NODE_ENV !== 'test') {
         console.log(`Coalescing request for key: ${key}`);
       }
@@ -54,6 +56,7 @@ export class RequestCoalescer {
 
     // No in-flight request, start a new one
     this.metrics.currentInFlight++;
+    coalescerInFlight.inc();
     
     // Create promise that will be shared by all concurrent requests
     const fetchPromise = this.createTimedFetch(key, fetchFn);
@@ -105,6 +108,7 @@ export class RequestCoalescer {
     if (this.inFlightRequests.has(key)) {
       this.inFlightRequests.delete(key);
       this.metrics.currentInFlight--;
+      coalescerInFlight.dec();
     }
   }
 
@@ -120,6 +124,7 @@ export class RequestCoalescer {
    * Clear all in-flight requests (useful for shutdown)
    */
   clearAll() {
+    coalescerInFlight.dec({}, this.inFlightRequests.size);
     this.inFlightRequests.clear();
     this.metrics.currentInFlight = 0;
   }
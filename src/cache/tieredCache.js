@@ -0,0 +1,231 @@
+import { randomUUID } from 'crypto';
+import { InMemoryCache } from './inMemoryCache.js';
+import { decodeValue } from './compression.js';
+import { config } from '../config/index.js';
+
+/**
+ * TieredCache keeps a bounded in-process L1 in front of Redis (L2), so hot
+ * entries are served without a Redis round trip or JSON.parse:
+ * - L1 holds parsed values; entries read from Redis are promoted with their
+ *   remaining Redis TTL (permanent entries stay until evicted)
+ * - Writes go to Redis first and then to L1 with the same TTL
+ * - Deletions (flushes, reorg purges) are published on a Redis channel so
+ *   every instance drops the keys from its own L1
+ *
+ * Keys are the full keys stored in Redis (including the namespace). L1
+ * values are shared by every reader, so callers must not mutate them.
+ */
+export class TieredCache {
+  constructor(client, options = {}) {
+    this.client = client;
+    this.l1 = new InMemoryCache({
+      maxEntries: options.maxEntries ?? config.cache?.l1MaxEntries ?? 10000,
+      maxBytes: options.maxBytes ?? config.cache?.l1MaxBytes ?? 67108864
+    });
+    this.channel = options.channel ?? config.cache?.invalidationChannel ?? 'rpc-cache:invalidate';
+
+    // Identifies this instance's own invalidation messages
+    this.id = randomUUID();
+    this.subscriber = null;
+
+    // Metrics
+    this.metrics = {
+      hits: 0,
+      misses: 0,
+      promotions: 0,
+      invalidations: 0
+    };
+  }
+
+  /**
+   * Subscribe to invalidations from other instances. Without a subscription
+   * L1 is still invalidated locally, so other instances only catch up when
+   * their copies expire.
+   */
+  async connect() {
+    try {
+      this.subscriber = this.client.duplicate();
+      this.subscriber.on('error', (error) => {
+        if (process.env.NODE_ENV !== 'test') {
+          console.error('Cache invalidation subscriber error:', error.message);
+        }
+      });
+      await this.subscriber.connect();
+      await this.subscriber.subscribe(this.channel, message => this.onMessage(message));
+    } catch (error) {
+      if (process.env.NODE_ENV !== 'test') {
+        console.warn('Cache invalidation subscription failed:', error.message);
+      }
+      this.subscriber = null;
+    }
+  }
+
+  /**
+   * Unsubscribe and release L1
+   */
+  async disconnect() {
+    if (this.subscriber) {
+      const subscriber = this.subscriber;
+      this.subscriber = null;
+      await subscriber.quit().catch(() => {});
+    }
+    await this.l1.quit();
+  }
+
+  /**
+   * Get a parsed value from L1, or from Redis and promote it
+   * @param {string} key - Full cache key
+   * @returns {Promise<*>} - Parsed value, or null on a miss
+   */
+  async get(key) {
+    const [value] = await this.mGet([key]);
+    return value;
+  }
+
+  /**
+   * Get several parsed values; L1 misses are read from Redis in one round trip
+   * @param {Array<string>} keys - Full cache keys
+   * @returns {Promise<Array>} - Parsed values (null for misses)
+   */
+  async mGet(keys) {
+    const values = await this.l1.mGet(keys);
+    const missing = keys.filter((key, index) => values[index] === null);
+    this.metrics.hits += keys.length - missing.length;
+    this.metrics.misses += missing.length;
+    if (missing.length === 0) return values;
+
+    // GET and PTTL of every missing key
+    const pipeline = this.client.multi();
+    missing.forEach(key => pipeline.get(key).pTTL(key));
+    const replies = await pipeline.exec();
+
+    const fetched = new Map();
+    await Promise.all(missing.map(async (key, index) => {
+      const raw = replies[index * 2];
+      if (raw === null || raw === undefined) return;
+
+      const json = await decodeValue(raw);
+      const value = JSON.parse(json);
+      fetched.set(key, value);
+      this.promote(key, value, json.length, replies[index * 2 + 1]);
+    }));
+
+    return values.map((value, index) => value ?? fetched.get(keys[index]) ?? null);
+  }
+
+  /**
+   * Copy a value read from Redis into L1
+   * @param {string} key - Full cache key
+   * @param {*} value - Parsed value
+   * @param {number} size - Length of the serialized value
+   * @param {number} pttl - Remaining Redis TTL in ms (-1 for none)
+   */
+  promote(key, value, size, pttl) {
+    if (pttl === -1) {
+      this.l1.set(key, value, { size });
+    } else if (pttl > 0) {
+      this.l1.set(key, value, { PX: pttl, size });
+    } else {
+      return; // expired between GET and PTTL
+    }
+    this.metrics.promotions++;
+  }
+
+  /**
+   * Store a value just written to Redis in L1
+   * @param {string} key - Full cache key
+   * @param {*} value - Parsed value
+   * @param {number} size - Length of the serialized value
+   * @param {number|null} ttl - TTL in seconds (null for permanent)
+   */
+  write(key, value, size, ttl = null) {
+    this.l1.set(key, value, ttl === null ? { size } : { EX: ttl, size });
+  }
+
+  /**
+   * Drop keys from L1 on every instance
+   * @param {Array<string>} keys - Full cache keys
+   */
+  async invalidate(keys) {
+    if (keys.length === 0) return;
+    await this.l1.del(keys);
+    await this.publish({ keys });
+  }
+
+  /**
+   * Drop keys matching a glob pattern from L1 on every instance
+   * @param {string} pattern - Pattern of full cache keys
+   */
+  async invalidatePattern(pattern) {
+    await this.dropPattern(pattern);
+    await this.publish({ pattern });
+  }
+
+  /**
+   * Drop keys matching a pattern from this instance's L1
+   * @param {string} pattern - Pattern of full cache keys
+   */
+  async dropPattern(pattern) {
+    if (pattern === '*') {
+      await this.l1.flushAll();
+    } else {
+      await this.l1.del(await this.l1.keys(pattern));
+    }
+  }
+
+  /**
+   * Publish an invalidation to the other instances
+   * @param {Object} message - { keys } or { pattern }
+   */
+  async publish(message) {
+    try {
+      await this.client.publish(this.channel, JSON.stringify({ source: this.id, ...message }));
+    } catch (error) {
+      if (process.env.NODE_ENV !== 'test') {
+        console.error('Cache invalidation publish error:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Apply an invalidation published by another instance
+   * @param {string} message - JSON { source, keys } or { source, pattern }
+   */
+  async onMessage(message) {
+    let invalidation;
+    try {
+      invalidation = JSON.parse(message);
+    } catch {
+      return;
+    }
+    if (invalidation.source === this.id) return;
+
+    this.metrics.invalidations++;
+    if (Array.isArray(invalidation.keys)) {
+      await this.l1.del(invalidation.keys);
+    } else if (typeof invalidation.pattern === 'string') {
+      await this.dropPattern(invalidation.pattern);
+    }
+  }
+
+  /**
+   * Get L1 statistics
+   * @returns {Object} - Metrics and L1 cache stats
+   */
+  getStats() {
+    return {
+      ...this.metrics,
+      subscribed: this.subscriber !== null,
+      ...this.l1.getStats()
+    };
+  }
+
+  /**
+   * Reset metrics
+   */
+  resetMetrics() {
+    Object.keys(this.metrics).forEach(key => {
+      this.metrics[key] = 0;
+    });
+  }
+}
@@ -7,41 +7,194 @@ if (process.env.NODE_ENV === 'test') {
   dotenv.config();
 }
 
+// Parse a provider entry of the form "url|key=value|key=value"
+const parseProvider = (entry) => {
+  const [url, ...pairs] = entry.split('|').map(part => part.trim());
+  const options = {};
+
+  pairs.forEach(pair => {
+    const [key, value] = pair.split('=').map(part => part.trim());
+    if (key && value !== undefined) {
+      options[key] = value !== '' && !isNaN(value) ? Number(value) : value;
+    }
+  });
+
+  return { url, options };
+};
+
+// Parse all comma-separated provider entries
+const parseProviders = (urlString) => {
+  if (!urlString) return [];
+  return urlString.split(',').map(entry => entry.trim()).filter(entry => entry).map(parseProvider);
+};
+
 // Parse RPC URLs - support both single and comma-separated multiple URLs
 const parseRpcUrls = (urlString) => {
   if (!urlString) return null;
 
   // Check if multiple URLs are provided (comma-separated)
   if (urlString.includes(',')) {
-    return urlString.split(',').map(url => url.trim()).filter(url => url);
+    return parseProviders(urlString).map(provider => provider.url);
   }
 
   // Single URL - return null to maintain backward compatibility
   return null;
 };
 
+// Parse per-method rate limits of the form "logs=5/10,eth_estimateGas=2/5"
+// (method or category = requests per second / burst)
+const parseRateLimits = (limitString) => {
+  if (!limitString) return {};
+
+  const limits = {};
+  limitString.split(',').map(entry => entry.trim()).filter(entry => entry).forEach(entry => {
+    const [name, value = ''] = entry.split('=').map(part => part.trim());
+    const [requestsPerSecond, burst] = value.split('/').map(Number);
+    if (name && requestsPerSecond > 0) {
+      limits[name] = { requestsPerSecond, burst: burst > 0 ? burst : requestsPerSecond };
+    }
+  });
+
+  return limits;
+};
+
+// Parse the extra chains served on /<chainId>, listed as "137,8453" with
+// CHAIN_<id>_RPC_URL (plus optional _ARCHIVE_RPC_URL, _BROADCAST_RPC_URL,
+// _WS_URL and _PERMANENT_CACHE_HEIGHT) for each of them
+const parseChains = (chainString) => {
+  if (!chainString) return [];
+
+  return chainString.split(',').map(entry => entry.trim()).filter(entry => /^\d+$/.test(entry)).map(entry => {
+    const env = (name) => process.env[`CHAIN_${entry}_${name}`];
+    const providers = parseProviders(env('RPC_URL'));
+    const archive = parseProviders(env('ARCHIVE_RPC_URL'));
+    const broadcast = parseProviders(env('BROADCAST_RPC_URL'));
+
+    return {
+      chainId: parseInt(entry, 10),
+      rpcUrl: providers[0]?.url || null,
+      rpcUrls: providers.map(provider => provider.url),
+      archiveRpcUrls: archive.map(provider => provider.url),
+      broadcastRpcUrls: broadcast.map(provider => provider.url),
+      providerOptions: Object.fromEntries(
+        [...providers, ...archive, ...broadcast].map(provider => [provider.url, provider.options])
+      ),
+      wsUrl: env('WS_URL') || null,
+      permanentCacheHeight: parseInt(env('PERMANENT_CACHE_HEIGHT') || '0', 10) // finality tracking raises it
+    };
+  });
+};
+
+const upstreamProviders = parseProviders(process.env.UPSTREAM_RPC_URL);
+const archiveProviders = parseProviders(process.env.UPSTREAM_ARCHIVE_RPC_URL);
+const broadcastProviders = parseProviders(process.env.UPSTREAM_BROADCAST_RPC_URL);
+
 export const config = {
   server: {
     port: parseInt(process.env.PORT || '3000', 10),
-    host: process.env.HOST || '0.0.0.0'
+    host: process.env.HOST || '0.0.0.0',
+    trustProxy: process.env.TRUST_PROXY === 'true' // take the client IP from X-Forwarded-For
+  },
+  auth: {
+    tenantsFile: process.env.TENANTS_FILE || null, // API key authentication is enabled when set
+    apiKeyHeader: (process.env.API_KEY_HEADER || 'x-api-key').toLowerCase()
   },
   ethereum: {
-    rpcUrl: process.env.UPSTREAM_RPC_URL || 'https://eth-mainnet.g.alchemy.com/v2/your-api-key',
+    // Chain ID the upstreams must report (learned from the upstreams when unset)
+    chainId: process.env.CHAIN_ID ? parseInt(process.env.CHAIN_ID, 10) : null,
+    rpcUrl: upstreamProviders[0]?.url || 'https://eth-mainnet.g.alchemy.com/v2/your-api-key',
     // Auto-detect multiple URLs if comma-separated
     rpcUrls: parseRpcUrls(process.env.UPSTREAM_RPC_URL),
+    // Dedicated pools selected by METHOD_ROUTING_RULES (empty pools use the URLs above)
+    archiveRpcUrls: archiveProviders.map(provider => provider.url),
+    broadcastRpcUrls: broadcastProviders.map(provider => provider.url),
+    archiveStateDepth: parseInt(process.env.ARCHIVE_STATE_DEPTH || '128', 10), // blocks of state kept by full nodes
+    // Per-provider options given as "url|maxBatch=20|weight=3"
+    providerOptions: Object.fromEntries(
+      [...upstreamProviders, ...archiveProviders, ...broadcastProviders].map(provider => [provider.url, provider.options])
+    ),
     // Fallback configuration
+    // Load balancing: failover, round-robin, weighted, least-latency or least-outstanding
+    routingStrategy: process.env.UPSTREAM_ROUTING_STRATEGY || 'failover',
     maxRetriesPerUrl: parseInt(process.env.RPC_MAX_RETRIES_PER_URL || '2', 10),
-    fallbackEnabled: process.env.RPC_FALLBACK_ENABLED !== 'false' // default true
+    fallbackEnabled: process.env.RPC_FALLBACK_ENABLED !== 'false', // default true
+    timeout: parseInt(process.env.UPSTREAM_TIMEOUT || '30000', 10) // 30 seconds per upstream request
+  },
+  chainVerification: {
+    enabled: process.env.CHAIN_ID_VERIFICATION !== 'false', // check eth_chainId of every upstream
+    onMismatch: process.env.CHAIN_ID_MISMATCH || 'quarantine' // 'quarantine' the URL or 'refuse' to start
+  },
+  // Extra chains served on /<chainId> (the chain above is served on / as well)
+  chains: parseChains(process.env.CHAINS),
+  hedging: {
+    enabled: process.env.HEDGING_ENABLED === 'true',
+    percentile: parseInt(process.env.HEDGE_PERCENTILE || '95', 10), // latency percentile of the method before hedging
+    defaultDelay: parseInt(process.env.HEDGE_DEFAULT_DELAY || '500', 10), // used until a method has enough samples
+    minDelay: parseInt(process.env.HEDGE_MIN_DELAY || '50', 10),
+    minSamples: parseInt(process.env.HEDGE_MIN_SAMPLES || '20', 10)
+  },
+  broadcast: {
+    enabled: process.env.TX_BROADCAST_ENABLED === 'true', // send eth_sendRawTransaction to every broadcast provider
+    maxProviders: parseInt(process.env.TX_BROADCAST_MAX_PROVIDERS || '0', 10) // 0 = all healthy providers
+  },
+  healthProbe: {
+    enabled: process.env.HEALTH_PROBE_ENABLED !== 'false', // only runs with multiple upstream URLs
+    interval: parseInt(process.env.HEALTH_PROBE_INTERVAL || '15000', 10), // 15 seconds
+    maxBlockLag: parseInt(process.env.MAX_BLOCK_LAG || '5', 10) // blocks behind the best head before a provider is lagging
+  },
+  websocket: {
+    enabled: process.env.WEBSOCKET_ENABLED !== 'false',
+    upstreamUrl: process.env.UPSTREAM_WS_URL || null, // required for eth_subscribe
+    reconnectDelay: parseInt(process.env.WS_RECONNECT_DELAY || '1000', 10), // 1 second
+    maxSubscriptionsPerClient: parseInt(process.env.WS_MAX_SUBSCRIPTIONS_PER_CLIENT || '100', 10)
+  },
+  batching: {
+    enabled: process.env.UPSTREAM_BATCHING !== 'false', // pack batch cache misses into upstream batches
+    maxSize: parseInt(process.env.UPSTREAM_BATCH_SIZE || '100', 10), // requests per upstream batch
+    // Cross-request micro-batching of single upstream calls
+    microBatching: process.env.MICRO_BATCHING === 'true',
+    window: parseInt(process.env.MICRO_BATCH_WINDOW || '5', 10), // ms to collect requests
+    microBatchSize: parseInt(process.env.MICRO_BATCH_SIZE || '50', 10) // flush early at this many requests
+  },
+  limits: {
+    maxBodySize: parseInt(process.env.MAX_BODY_SIZE || '1048576', 10), // request body bytes (1 MiB)
+    maxBatchSize: parseInt(process.env.MAX_BATCH_SIZE || '0', 10), // requests per client batch (0 = unlimited)
+    maxLogsBlockRange: parseInt(process.env.MAX_LOGS_BLOCK_RANGE || '0', 10), // eth_getLogs block span (0 = unlimited)
+    maxLogsAddresses: parseInt(process.env.MAX_LOGS_ADDRESSES || '0', 10), // eth_getLogs addresses (0 = unlimited)
+    logsChunkSize: parseInt(process.env.LOGS_CHUNK_SIZE || '0', 10) // split eth_getLogs into ranges of this many blocks (0 = off)
   },
   redis: {
     url: process.env.REDIS_URL // No default - will use in-memory if not provided
   },
   cache: {
-    type: process.env.CACHE_TYPE || 'auto', // 'redis', 'memory', or 'auto'
+    type: process.env.CACHE_TYPE || 'auto', // 'redis', 'tiered', 'disk', 'memory', or 'auto'
     permanentCacheHeight: parseInt(process.env.PERMANENT_CACHE_HEIGHT || '15537393', 10), // Default to merge block
     latestBlockTtl: parseInt(process.env.LATEST_BLOCK_TTL || '2', 10), // seconds
     ethCallTtl: parseInt(process.env.ETH_CALL_TTL || '300', 10), // 5 minutes default for all eth_call
-    recentBlockTtl: parseInt(process.env.RECENT_BLOCK_TTL || '60', 10) // 1 minute for recent blocks
+    recentBlockTtl: parseInt(process.env.RECENT_BLOCK_TTL || '60', 10), // 1 minute for recent blocks
+    memoryMaxEntries: parseInt(process.env.MEMORY_CACHE_MAX_ENTRIES || '100000', 10), // 0 = unlimited
+    memoryMaxBytes: parseInt(process.env.MEMORY_CACHE_MAX_BYTES || '268435456', 10), // 256 MB, 0 = unlimited
+    memorySweepInterval: parseInt(process.env.MEMORY_CACHE_SWEEP_INTERVAL || '60000', 10), // expired key sweep (ms)
+    l1MaxEntries: parseInt(process.env.L1_CACHE_MAX_ENTRIES || '10000', 10), // tiered mode L1, 0 = unlimited
+    l1MaxBytes: parseInt(process.env.L1_CACHE_MAX_BYTES || '67108864', 10), // 64 MB, 0 = unlimited
+    invalidationChannel: process.env.CACHE_INVALIDATION_CHANNEL || 'rpc-cache:invalidate', // pub/sub channel for L1 invalidation
+    compression: process.env.CACHE_COMPRESSION || 'none', // 'none', 'gzip', 'brotli' or 'zstd'
+    compressionThreshold: parseInt(process.env.CACHE_COMPRESSION_THRESHOLD || '1024', 10), // compress values of at least this many bytes
+    diskPath: process.env.DISK_CACHE_PATH || './data/cache' // directory of the disk store (CACHE_TYPE=disk)
+  },
+  normalization: {
+    enabled: process.env.PARAM_NORMALIZATION !== 'false',
+    pinBlockTags: process.env.PIN_BLOCK_TAGS === 'true' // pin latest/safe/finalized to tracked block numbers
+  },
+  reorg: {
+    enabled: process.env.REORG_TRACKING_ENABLED === 'true',
+    pollInterval: parseInt(process.env.HEAD_POLL_INTERVAL || '4000', 10), // 4 seconds
+    depth: parseInt(process.env.REORG_DEPTH || '64', 10) // blocks below head watched for reorgs
+  },
+  finality: {
+    enabled: process.env.FINALITY_TRACKING_ENABLED === 'true',
+    pollInterval: parseInt(process.env.FINALITY_POLL_INTERVAL || '60000', 10), // 1 minute
+    useSafe: process.env.FINALITY_USE_SAFE === 'true' // treat the safe head as immutable too
   },
   logging: {
     level: process.env.LOG_LEVEL || 'info',
@@ -66,7 +219,21 @@ export const config = {
     timeout: parseInt(process.env.CIRCUIT_TIMEOUT || '10000', 10), // 10 seconds
     resetTimeout: parseInt(process.env.CIRCUIT_RESET_TIMEOUT || '60000', 10), // 1 minute
     volumeThreshold: parseInt(process.env.CIRCUIT_VOLUME_THRESHOLD || '10', 10),
-    errorThresholdPercentage: parseInt(process.env.CIRCUIT_ERROR_PERCENTAGE || '50', 10)
+    errorThresholdPercentage: parseInt(process.env.CIRCUIT_ERROR_PERCENTAGE || '50', 10),
+    // Per-provider breakers (the global breaker only trips when all of them are open)
+    providerFailureThreshold: parseInt(process.env.CIRCUIT_PROVIDER_FAILURE_THRESHOLD || '3', 10),
+    providerResetTimeout: parseInt(process.env.CIRCUIT_PROVIDER_RESET_TIMEOUT || '60000', 10) // 1 minute
+  },
+  rateLimit: {
+    enabled: process.env.RATE_LIMIT_ENABLED === 'true',
+    // Per client (tenant or IP)
+    defaultLimit: {
+      requestsPerSecond: parseInt(process.env.RATE_LIMIT_RPS || '50', 10),
+      burst: parseInt(process.env.RATE_LIMIT_BURST || '100', 10)
+    },
+    // Per client and method or category, e.g. "logs=5/10,eth_sendRawTransaction=1/3"
+    methodLimits: parseRateLimits(process.env.RATE_LIMIT_METHODS),
+    exemptCacheHits: process.env.RATE_LIMIT_EXEMPT_CACHE_HITS === 'true' // only count requests that reach upstream
   },
   advanced: {
     staleWhileRevalidate: process.env.STALE_WHILE_REVALIDATE === 'true',
@@ -74,6 +241,9 @@ export const config = {
     negativeCaching: process.env.NEGATIVE_CACHING === 'true',
     negativeTtl: parseInt(process.env.NEGATIVE_TTL || '60', 10), // 1 minute
     cacheWarming: process.env.CACHE_WARMING === 'true',
-    warmingInterval: parseInt(process.env.WARMING_INTERVAL || '300000', 10) // 5 minutes
+    warmingInterval: parseInt(process.env.WARMING_INTERVAL || '300000', 10), // 5 minutes
+    warmingTargetsFile: process.env.WARMING_TARGETS_FILE || null, // JSON list of requests kept warm
+    warmingHotKeys: parseInt(process.env.WARMING_HOT_KEYS || '0', 10), // pre-refresh the N hottest keys (0 = off)
+    warmingRefreshAhead: parseFloat(process.env.WARMING_REFRESH_AHEAD || '0.2') // refresh hot keys in the last 20% of their TTL
   }
 };
\ No newline at end of file
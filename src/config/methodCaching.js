@@ -7,13 +7,16 @@
 
 import { config } from './index.js';
 
+// Block tags that never resolve to a fixed height
+const BLOCK_TAGS = ['latest', 'pending', 'earliest', 'safe', 'finalized'];
+
 // Helper to extract block number from params
 function extractBlockNumber(params) {
   if (!params || params.length === 0) return null;
   
   const blockParam = params[0];
   if (typeof blockParam === 'string') {
-    if (blockParam === 'latest' || blockParam === 'pending' || blockParam === 'earliest') {
+    if (BLOCK_TAGS.includes(blockParam)) {
       return blockParam;
     }
     // Convert hex to number
@@ -23,7 +26,7 @@ function extractBlockNumber(params) {
   // For methods with block as second parameter
   if (params.length > 1 && typeof params[1] === 'string') {
     const block = params[1];
-    if (block === 'latest' || block === 'pending' || block === 'earliest') {
+    if (BLOCK_TAGS.includes(block)) {
       return block;
     }
     return parseInt(block, 16);
@@ -32,6 +35,70 @@ function extractBlockNumber(params) {
   return null;
 }
 
+// Highest block known to be final upstream per chain, updated by the finality
+// trackers (the default chain is keyed by null)
+const finalizedHeights = new Map();
+
+/**
+ * Record the latest finalized height reported upstream
+ * @param {number} height - Finalized height
+ * @param {number|null} chainId - Chain from CHAINS (null for the default chain)
+ */
+export function setFinalizedHeight(height, chainId = null) {
+  if (typeof height === 'number' && !Number.isNaN(height)) {
+    finalizedHeights.set(chainId ?? null, height);
+  }
+}
+
+/**
+ * Get the height at or below which block-scoped data is treated as immutable
+ * Uses the dynamic finalized height when known, never below PERMANENT_CACHE_HEIGHT
+ * (or the chain's CHAIN_<id>_PERMANENT_CACHE_HEIGHT)
+ * @param {number|null} chainId - Chain from CHAINS (null for the default chain)
+ */
+export function getPermanentCacheHeight(chainId = null) {
+  const chain = chainId === null || chainId === undefined
+    ? null
+    : config.chains?.find(entry => entry.chainId === chainId);
+  const staticHeight = chain ? chain.permanentCacheHeight : (config.cache.permanentCacheHeight || 15537393);
+  const finalizedHeight = finalizedHeights.get(chain ? chainId : null);
+  return finalizedHeight !== undefined ? Math.max(staticHeight, finalizedHeight) : staticHeight;
+}
+
+// Position of the block parameter (number or tag) for block-scoped methods
+export const BLOCK_PARAM_INDEX = {
+  eth_getBlockByNumber: 0,
+  eth_getBlockTransactionCountByNumber: 0,
+  eth_getUncleCountByBlockNumber: 0,
+  eth_getTransactionByBlockNumberAndIndex: 0,
+  eth_getUncleByBlockNumberAndIndex: 0,
+  eth_getBalance: 1,
+  eth_getTransactionCount: 1,
+  eth_getCode: 1,
+  eth_call: 1,
+  eth_estimateGas: 1,
+  eth_createAccessList: 1,
+  eth_feeHistory: 1,
+  eth_getStorageAt: 2,
+  eth_getProof: 2
+};
+
+/**
+ * Get the block parameter of a block-scoped request
+ * Returns 'latest' when the parameter is omitted, null for methods without one
+ */
+export function getBlockParam(method, params) {
+  const index = BLOCK_PARAM_INDEX[method];
+  if (index === undefined) return null;
+  return (params && params[index] !== undefined) ? params[index] : 'latest';
+}
+
+// Helper to extract the block number of a block-scoped request
+function extractRequestBlock(method, params) {
+  const blockParam = getBlockParam(method, params);
+  return blockParam === null ? null : extractBlockNumber([blockParam]);
+}
+
 // Caching rules for each method category
 export const METHOD_CACHE_RULES = {
   // ============= IMMUTABLE DATA - Cache Forever =============
@@ -49,10 +116,17 @@ export const METHOD_CACHE_RULES = {
       // For transaction-related methods, only cache if transaction exists
       // Return null for permanent cache, 0 for no cache
       if (method === 'eth_getTransactionByHash' || method === 'eth_getTransactionReceipt') {
-        // We'll cache after verifying the transaction exists in the response
+        // getResultTTL verifies the transaction exists in the response
         return null; // Permanent cache
       }
       return null; // Permanent cache for blocks by hash
+    },
+    getResultTTL: (method, params, result, ttl) => {
+      // Pending transactions come back with no block yet - don't freeze them
+      if (method === 'eth_getTransactionByHash' && result.blockNumber === null) {
+        return 0;
+      }
+      return ttl;
     }
   },
 
@@ -66,7 +140,7 @@ export const METHOD_CACHE_RULES = {
       'eth_getUncleCountByBlockHash',
       'eth_getUncleCountByBlockNumber'
     ],
-    getTTL: (method, params) => {
+    getTTL: (method, params, chainId) => {
       if (method === 'eth_blockNumber') {
         return config.cache.latestBlockTtl || 2; // 2 seconds default
       }
@@ -74,7 +148,7 @@ export const METHOD_CACHE_RULES = {
       const blockNum = extractBlockNumber(params);
       
       // Handle special block tags
-      if (blockNum === 'latest') {
+      if (blockNum === 'latest' || blockNum === 'safe' || blockNum === 'finalized') {
         return config.cache.latestBlockTtl || 2;
       }
       if (blockNum === 'pending') {
@@ -86,7 +160,7 @@ export const METHOD_CACHE_RULES = {
       
       // Numeric block numbers
       if (typeof blockNum === 'number') {
-        const permanentHeight = config.cache.permanentCacheHeight || 15537393;
+        const permanentHeight = getPermanentCacheHeight(chainId);
         
         // Permanent cache for old blocks
         if (blockNum <= permanentHeight) {
@@ -98,6 +172,21 @@ export const METHOD_CACHE_RULES = {
       }
       
       return 30; // Default fallback
+    },
+    getResultTTL: (method, params, result, ttl) => {
+      if (method === 'eth_getBlockByNumber' && typeof result === 'object') {
+        // Pending blocks have no hash yet
+        if (result.hash === null) {
+          return 0;
+        }
+        
+        // An empty block at the tip may still be filling in on some providers
+        const isEmpty = Array.isArray(result.transactions) && result.transactions.length === 0;
+        if (isEmpty && ttl !== null) {
+          return Math.min(ttl, config.cache.latestBlockTtl || 2);
+        }
+      }
+      return ttl;
     }
   },
 
@@ -109,16 +198,16 @@ export const METHOD_CACHE_RULES = {
       'eth_getCode',
       'eth_getStorageAt'
     ],
-    getTTL: (method, params) => {
+    getTTL: (method, params, chainId) => {
       // eth_getCode can have longer TTL as contract code rarely changes
       if (method === 'eth_getCode') {
         return 300; // 5 minutes
       }
       
       // Check if querying historical state (specific block number)
-      const blockNum = extractBlockNumber(params);
+      const blockNum = extractRequestBlock(method, params);
       if (typeof blockNum === 'number') {
-        const permanentHeight = config.cache.permanentCacheHeight || 15537393;
+        const permanentHeight = getPermanentCacheHeight(chainId);
         if (blockNum <= permanentHeight) {
           return null; // Permanent for historical queries
         }
@@ -138,11 +227,11 @@ export const METHOD_CACHE_RULES = {
       'eth_maxPriorityFeePerGas',
       'eth_feeHistory'
     ],
-    getTTL: (method, params) => {
+    getTTL: (method, params, chainId) => {
       if (method === 'eth_feeHistory') {
         // Can cache longer if querying old blocks
-        const blockNum = extractBlockNumber(params);
-        if (typeof blockNum === 'number' && blockNum < (config.cache.permanentCacheHeight || 15537393)) {
+        const blockNum = extractRequestBlock(method, params);
+        if (typeof blockNum === 'number' && blockNum < getPermanentCacheHeight(chainId)) {
           return 3600; // 1 hour for historical fee data
         }
       }
@@ -158,7 +247,7 @@ export const METHOD_CACHE_RULES = {
       'eth_getLogs',
       'eth_getFilterLogs'
     ],
-    getTTL: (method, params) => {
+    getTTL: (method, params, chainId) => {
       if (method === 'eth_getLogs' && params && params[0]) {
         const filter = params[0];
         
@@ -169,7 +258,7 @@ export const METHOD_CACHE_RULES = {
           
           // If both are specific numbers and in the past, cache longer
           if (typeof from === 'number' && typeof to === 'number') {
-            const permanentHeight = config.cache.permanentCacheHeight || 15537393;
+            const permanentHeight = getPermanentCacheHeight(chainId);
             if (to <= permanentHeight) {
               return null; // Permanent for old ranges
             }
@@ -214,7 +303,7 @@ export const METHOD_CACHE_RULES = {
       'eth_call',
       'eth_createAccessList'
     ],
-    getTTL: (method, params) => {
+    getTTL: (method, params, chainId) => {
       if (method === 'eth_call') {
         // Check if calling specific contract we want to cache
         if (params && params[0]) {
@@ -224,7 +313,7 @@ export const METHOD_CACHE_RULES = {
           // Historical calls can be cached longer
           if (blockTag !== 'latest' && blockTag !== 'pending') {
             const blockNum = extractBlockNumber([blockTag]);
-            if (typeof blockNum === 'number' && blockNum <= (config.cache.permanentCacheHeight || 15537393)) {
+            if (typeof blockNum === 'number' && blockNum <= getPermanentCacheHeight(chainId)) {
               return null; // Permanent for historical calls
             }
             return 300; // 5 minutes for recent historical
@@ -256,11 +345,11 @@ export const METHOD_CACHE_RULES = {
     methods: [
       'eth_getProof'
     ],
-    getTTL: (method, params) => {
+    getTTL: (method, params, chainId) => {
       // Check block parameter
       if (params && params.length > 2) {
         const blockNum = extractBlockNumber([params[2]]);
-        if (typeof blockNum === 'number' && blockNum <= (config.cache.permanentCacheHeight || 15537393)) {
+        if (typeof blockNum === 'number' && blockNum <= getPermanentCacheHeight(chainId)) {
           return null; // Permanent for old proofs
         }
       }
@@ -327,8 +416,9 @@ export function getMethodCacheConfig(method) {
 
 /**
  * Check if a method should be cached
+ * chainId selects the permanent cache height of a chain from CHAINS
  */
-export function shouldCacheMethod(method, params) {
+export function shouldCacheMethod(method, params, chainId = null) {
   const config = getMethodCacheConfig(method);
   
   // Never cache if in neverCache category
@@ -337,16 +427,91 @@ export function shouldCacheMethod(method, params) {
   }
   
   // Check TTL - if 0, don't cache
-  const ttl = config.getTTL(method, params);
+  const ttl = config.getTTL(method, params, chainId);
   return ttl !== 0;
 }
 
 /**
  * Get TTL for a specific method and params
  */
-export function getMethodTTL(method, params) {
+export function getMethodTTL(method, params, chainId = null) {
+  const config = getMethodCacheConfig(method);
+  return config.getTTL(method, params, chainId);
+}
+
+/**
+ * Get TTL for a specific method once the upstream result is known
+ * Lets each category inspect the result (pending txs, missing blocks, ...)
+ * Returns null for permanent cache, 0 for no cache
+ */
+export function getResultTTL(method, params, result, chainId = null) {
   const config = getMethodCacheConfig(method);
-  return config.getTTL(method, params);
+  const ttl = config.getTTL(method, params, chainId);
+  
+  // Never cache missing results (unknown tx, receipt not yet available, future block)
+  if (result === null || result === undefined) {
+    return 0;
+  }
+  
+  if (ttl === 0 || !config.getResultTTL) {
+    return ttl;
+  }
+  
+  return config.getResultTTL(method, params, result, ttl);
+}
+
+// Errors that a method always returns for the same request, cached like results
+export const DETERMINISTIC_ERRORS = {
+  // Execution errors are fixed once the block the call runs against is fixed
+  execution: {
+    methods: ['eth_call', 'eth_estimateGas', 'eth_createAccessList'],
+    codes: [3], // execution reverted (with revert data)
+    messages: /revert|invalid opcode|out of gas|gas required exceeds allowance|stack (underflow|overflow)|invalid jump|write protection/i
+  },
+  // Malformed requests fail the same way on every block; cached for NEGATIVE_TTL.
+  // Method not found (-32601) isn't included: it depends on the provider that
+  // answered, and another provider of the pool may support the method
+  request: {
+    codes: [-32602] // invalid params
+  }
+};
+
+// Helper to check whether a block parameter names one block for good
+function isPinnedBlock(blockParam) {
+  if (blockParam && typeof blockParam === 'object') {
+    return Boolean(blockParam.blockHash || blockParam.blockNumber); // EIP-1898
+  }
+  return blockParam === 'earliest' ||
+    (typeof blockParam === 'string' && blockParam.startsWith('0x'));
+}
+
+/**
+ * Get TTL for an upstream error, deciding whether it may be negatively cached
+ * Only errors answered by the upstream node (error.rpcError) can qualify:
+ * execution errors at a pinned block get the TTL a result would get, request
+ * errors get NEGATIVE_TTL and everything else (transport failures, missing
+ * state, rate limits, ...) is transient and never cached.
+ * Returns null for permanent cache, 0 for no cache
+ */
+export function getErrorTTL(method, params, error, chainId = null) {
+  const rpcError = error?.rpcError;
+  if (!rpcError) {
+    return 0;
+  }
+
+  const { execution, request } = DETERMINISTIC_ERRORS;
+  if (execution.methods.includes(method)) {
+    const isExecutionError = execution.codes.includes(rpcError.code) || execution.messages.test(rpcError.message || '');
+    if (isExecutionError && isPinnedBlock(getBlockParam(method, params))) {
+      return getMethodTTL(method, params, chainId);
+    }
+  }
+
+  if (request.codes.includes(rpcError.code)) {
+    return config.advanced?.negativeTtl || 60;
+  }
+
+  return 0;
 }
 
 /**
@@ -364,5 +529,8 @@ export default {
   getMethodCacheConfig,
   shouldCacheMethod,
   getMethodTTL,
-  generateMethodCacheKey
+  getResultTTL,
+  getErrorTTL,
+  generateMethodCacheKey,
+  getBlockParam
 };
\ No newline at end of file
@@ -0,0 +1,121 @@
+/**
+ * Method-aware upstream routing configuration
+ *
+ * This file decides which upstream pool serves a request. Pools are declared
+ * in the environment (UPSTREAM_RPC_URL, UPSTREAM_ARCHIVE_RPC_URL,
+ * UPSTREAM_BROADCAST_RPC_URL); requests for a pool without URLs go to the
+ * default pool.
+ */
+
+import { config } from './index.js';
+import { getBlockParam } from './methodCaching.js';
+
+export const METHOD_ROUTING_RULES = {
+  // Historical state, debug and trace calls need an archive node
+  archive: {
+    description: 'Historical state reads, debug_* and trace_* calls',
+    prefixes: ['debug_', 'trace_'],
+    // Methods whose block parameter selects the state they read
+    stateMethods: [
+      'eth_call',
+      'eth_estimateGas',
+      'eth_createAccessList',
+      'eth_getBalance',
+      'eth_getCode',
+      'eth_getTransactionCount',
+      'eth_getStorageAt',
+      'eth_getProof'
+    ],
+    // Full nodes keep this many blocks of state below the head
+    stateDepth: () => config.ethereum.archiveStateDepth ?? 128,
+    // Errors of full nodes asked for state they have already pruned
+    prunedStateErrors: /missing trie node|historical state .*not available/i
+  },
+
+  // Transactions go to a dedicated broadcast pool
+  broadcast: {
+    description: 'Transaction submission',
+    methods: ['eth_sendRawTransaction', 'eth_sendTransaction']
+  }
+};
+
+/**
+ * Check whether a state read targets a block older than full nodes keep
+ * @param {string} method - RPC method
+ * @param {Array} params - RPC params
+ * @param {number|null} headBlock - Latest known head (null if unknown)
+ * @returns {boolean} - True if the read needs archive state
+ */
+function isHistoricalStateRead(method, params, headBlock) {
+  if (!METHOD_ROUTING_RULES.archive.stateMethods.includes(method)) {
+    return false;
+  }
+
+  const blockParam = getBlockParam(method, params);
+  if (blockParam === 'earliest') {
+    return true;
+  }
+  if (typeof blockParam !== 'string' || !blockParam.startsWith('0x')) {
+    return false; // block tags and EIP-1898 block objects stay on full nodes
+  }
+
+  // Without a known head an explicit height can't be judged; most reads are
+  // recent, so full nodes get them and pruned state is retried on the archive
+  // pool (see isPrunedStateError)
+  if (headBlock === null || headBlock === undefined) {
+    return false;
+  }
+
+  return parseInt(blockParam, 16) < headBlock - METHOD_ROUTING_RULES.archive.stateDepth();
+}
+
+/**
+ * Check whether a default-pool error means the state read needs an archive node
+ * @param {string} method - RPC method
+ * @param {Array} params - RPC params
+ * @param {Object} rpcError - JSON-RPC error answered by the upstream (optional)
+ * @returns {boolean} - True if the read should be retried on the archive pool
+ */
+export function isPrunedStateError(method, params, rpcError) {
+  if (!rpcError || !METHOD_ROUTING_RULES.archive.stateMethods.includes(method)) {
+    return false;
+  }
+
+  const blockParam = getBlockParam(method, params);
+  return typeof blockParam === 'string' &&
+    blockParam.startsWith('0x') &&
+    METHOD_ROUTING_RULES.archive.prunedStateErrors.test(rpcError.message || '');
+}
+
+/**
+ * Get the upstream pool that should serve a request
+ * @param {string} method - RPC method
+ * @param {Array} params - RPC params
+ * @param {number|null} headBlock - Latest known head (null if unknown)
+ * @returns {string} - 'archive', 'broadcast' or 'default'
+ */
+export function getMethodPool(method, params, headBlock = null) {
+  if (typeof method !== 'string') {
+    return 'default';
+  }
+
+  if (METHOD_ROUTING_RULES.broadcast.methods.includes(method)) {
+    return 'broadcast';
+  }
+
+  if (METHOD_ROUTING_RULES.archive.prefixes.some(prefix => method.startsWith(prefix))) {
+    return 'archive';
+  }
+
+  if (isHistoricalStateRead(method, params, headBlock)) {
+    return 'archive';
+  }
+
+  return 'default';
+}
+
+export default {
+  METHOD_ROUTING_RULES,
+  getMethodPool,
+  isPrunedStateError
+};
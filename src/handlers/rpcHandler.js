@@ -1,20 +1,70 @@
 import { CacheManager } from '../cache/cacheManager.js';
-import { EthereumService } from '../services/ethereum.js';
+import { EthereumService, createRPCError } from '../services/ethereum.js';
 import { RequestCoalescer } from '../cache/requestCoalescer.js';
 import { DistributedLock } from '../cache/distributedLock.js';
+import { CacheWarmer } from '../cache/cacheWarmer.js';
+import { RateLimiter } from '../cache/rateLimiter.js';
 import { CircuitBreaker } from '../utils/circuitBreaker.js';
+import { HeadTracker } from '../services/headTracker.js';
+import { FinalityTracker } from '../services/finalityTracker.js';
+import { BatchDispatcher } from '../services/batchDispatcher.js';
+import { TransactionBroadcaster } from '../services/txBroadcaster.js';
 import { config } from '../config/index.js';
-import { shouldCacheMethod, getMethodTTL, generateMethodCacheKey } from '../config/methodCaching.js';
+import { shouldCacheMethod, getResultTTL, getErrorTTL, generateMethodCacheKey, getMethodCacheConfig } from '../config/methodCaching.js';
+import { rpcRequests, rpcRequestLatency, rpcCacheResults, rpcErrors } from '../utils/metrics.js';
+import { normalizeParams } from '../utils/paramNormalizer.js';
+import { isMethodAllowed } from '../services/tenantRegistry.js';
+import { checkLogsFilter, needsHead, splitLogsFilter } from '../utils/logRange.js';
+
+// eth_getLogs chunks of one split request fetched in parallel
+const LOGS_CHUNK_CONCURRENCY = 4;
+
+// Errors that count against the global upstream circuit
+const UPSTREAM_FAILURES = ['ALL_PROVIDERS_OPEN', 'ALL_PROVIDERS_FAILED', 'CIRCUIT_TIMEOUT'];
+
+// How long a head seen in eth_blockNumber traffic is trusted for log filters (ms)
+const KNOWN_HEAD_MAX_AGE = 5000;
 
 export class RPCHandler {
-  constructor() {
-    this.cacheManager = new CacheManager();
-    this.ethereumService = new EthereumService();
+  // options.chainId and options.upstream select a chain from CHAINS;
+  // without them the handler serves the default chain (config.ethereum)
+  constructor(options = {}) {
+    this.chainId = options.chainId ?? null;
+    this.cacheManager = new CacheManager({ namespace: this.chainId !== null ? `chain:${this.chainId}` : null });
+    this.ethereumService = new EthereumService(options.upstream);
     this.requestCoalescer = new RequestCoalescer();
     this.distributedLock = new DistributedLock();
+    this.rateLimiter = new RateLimiter();
+    
+    // Chain head tracker for reorg-aware invalidation
+    this.headTracker = new HeadTracker(this.ethereumService, this.cacheManager, {
+      onReorg: (fromHeight, toHeight, purged) => {
+        if (process.env.NODE_ENV !== 'test') {
+          console.log(`Reorg purge for blocks ${fromHeight}-${toHeight}: ${purged} keys removed`);
+        }
+      },
+      onNewHead: () => this.cacheWarmer.onNewHead()
+    });
+    
+    // Finality tracker moves the permanent cache line up to the finalized block
+    this.finalityTracker = new FinalityTracker(this.ethereumService, { chainId: this.chainId });
+    
+    // Micro-batches cache misses from independent requests into upstream batches
+    this.batchDispatcher = new BatchDispatcher(this.ethereumService);
     
-    // Circuit breaker for upstream RPC
-    this.circuitBreaker = new CircuitBreaker('upstream-rpc', {
+    // Sends raw transactions to every broadcast provider in parallel
+    this.txBroadcaster = new TransactionBroadcaster(this.ethereumService);
+    
+    // Keeps warm targets and hot keys fresh ahead of client requests
+    this.cacheWarmer = new CacheWarmer(this);
+    
+    // Global circuit breaker for upstream RPC; each provider has its own breaker
+    // in EthereumService, so this one only trips when all of them are open or
+    // failed (a lone provider is never refused by its own breaker), or when
+    // the upstream hangs past the breaker timeout. The chain ID in its name keeps
+    // each chain's breaker state in its own metric series
+    this.circuitBreaker = new CircuitBreaker(this.chainId !== null ? `upstream-rpc:${this.chainId}` : 'upstream-rpc', {
+      isFailure: (error) => UPSTREAM_FAILURES.includes(error.code),
       onStateChange: (oldState, newState) => {
         if (process.env.NODE_ENV !== 'test') {
           console.log(`Circuit breaker state change: ${oldState} -> ${newState}`);
@@ -32,20 +82,66 @@ export class RPCHandler {
       staleServed: 0,
       negativeCacheHits: 0,
       lockContentions: 0,
-      upstreamErrors: 0
+      upstreamErrors: 0,
+      accessDenied: 0,
+      rateLimited: 0
     };
   }
 
   async initialize() {
     await this.cacheManager.initialize();
+    
+    // Check that every upstream serves the same chain before taking traffic
+    if (config.chainVerification?.enabled) {
+      await this.ethereumService.verifyChainIds();
+    }
+    
+    // The default chain's cache is only namespaced when CHAIN_ID pins it, so
+    // entries cached before multi-chain routing keep being served
+    const chainId = this.chainId ?? this.ethereumService.expectedChainId;
+    if (chainId !== null) {
+      this.cacheManager.setNamespace(`chain:${chainId}`);
+    }
+    
     // Pass the cache type to distributed lock
     const cacheType = this.cacheManager.getCacheType();
     this.distributedLock.initialize(cacheType);
+    this.rateLimiter.initialize(cacheType, this.cacheManager.namespace);
+    
+    if (config.reorg?.enabled) {
+      this.headTracker.start();
+    }
+    
+    if (config.finality?.enabled) {
+      this.finalityTracker.start();
+    }
+    
+    if (config.advanced?.cacheWarming) {
+      await this.cacheWarmer.load();
+      this.cacheWarmer.start();
+    }
+    
+    // Probing only makes sense with providers to compare
+    if (config.healthProbe?.enabled && this.ethereumService.allUrls.length > 1) {
+      this.ethereumService.startHealthProbe();
+    }
   }
 
   // Handle single JSON-RPC request with all enhancements
-  async handleRequest(request) {
-    const { jsonrpc, method, params, id } = request;
+  // context.tenant is the authenticated tenant (if API keys are enabled),
+  // context.clientIp identifies anonymous clients for rate limiting
+  async handleRequest(request, context = {}) {
+    const startTime = Date.now();
+    try {
+      return await this.processRequest(request, context);
+    } finally {
+      rpcRequestLatency.observe({ method: this.getMethodLabel(request?.method) }, (Date.now() - startTime) / 1000);
+    }
+  }
+
+  // Answer a single request; handleRequest wraps this to record its latency
+  async processRequest(request, context) {
+    const { jsonrpc, method, id } = request;
 
     // Validate JSON-RPC format
     if (jsonrpc !== '2.0') {
@@ -60,19 +156,76 @@ export class RPCHandler {
     }
 
     this.metrics.totalRequests++;
+    const metricLabels = this.getMetricLabels(method, context);
+    rpcRequests.inc(metricLabels);
+    
+    // Reject methods the tenant isn't allowed to call
+    if (context.tenant && !isMethodAllowed(context.tenant, method)) {
+      this.metrics.accessDenied++;
+      rpcErrors.inc(metricLabels);
+      return {
+        jsonrpc: '2.0',
+        error: {
+          code: -32004,
+          message: `Method not allowed: ${method}`
+        },
+        id
+      };
+    }
+    
+    // Rate limit up front unless cache hits are exempt (checked on upstream paths below)
+    if (!this.rateLimiter.exemptCacheHits) {
+      const limited = await this.checkRateLimit(method, id, metricLabels, context);
+      if (limited) return limited;
+    }
+    
+    // Canonicalize params so equivalent requests share a cache entry
+    let params;
+    try {
+      params = this.normalizeRequestParams(method, request.params);
+    } catch (error) {
+      rpcErrors.inc(metricLabels);
+      return {
+        jsonrpc: '2.0',
+        error: {
+          code: -32602,
+          message: 'Invalid params',
+          data: error.message
+        },
+        id
+      };
+    }
+    
+    // Reject requests over the configured size limits before they reach the upstream
+    const limitError = await this.checkRequestLimits(method, params);
+    if (limitError) {
+      rpcErrors.inc(metricLabels);
+      return {
+        jsonrpc: '2.0',
+        error: limitError,
+        id
+      };
+    }
     
     // Declare cacheKey outside try block so it's available in catch
     let cacheKey = null;
 
     try {
       // Check if method should be cached
-      const shouldCache = shouldCacheMethod(method, params);
+      const shouldCache = shouldCacheMethod(method, params, this.chainId);
       
       // For non-cacheable methods, pass through directly to upstream
       if (!shouldCache) {
+        if (this.rateLimiter.exemptCacheHits) {
+          const limited = await this.checkRateLimit(method, id, metricLabels, context);
+          if (limited) return limited;
+        }
+        
         try {
           const result = await this.circuitBreaker.execute(
-            async () => await this.ethereumService.callRPC(method, params)
+            async () => method === 'eth_sendRawTransaction' && this.txBroadcaster.enabled
+              ? await this.txBroadcaster.send(params)
+              : await this.callUpstream(method, params)
           );
           return {
             jsonrpc: '2.0',
@@ -82,13 +235,10 @@ export class RPCHandler {
           };
         } catch (error) {
           this.metrics.upstreamErrors++;
+          rpcErrors.inc(metricLabels);
           return {
             jsonrpc: '2.0',
-            error: {
-              code: error.code || -32603,
-              message: error.message || 'Internal error',
-              data: error.data
-            },
+            error: this.getErrorObject(error),
             id
           };
         }
@@ -100,23 +250,24 @@ export class RPCHandler {
       if (!cacheKey) {
         throw new Error(`Failed to generate cache key for ${method}`);
       }
+      
+      // Learn hot keys for the cache warmer
+      this.cacheWarmer.recordAccess(method, params, cacheKey);
 
       // Step 1: Check for negative cache (if enabled)
       if (config.advanced?.negativeCaching) {
         const negativeCache = await this.cacheManager.getNegative(cacheKey);
         if (negativeCache) {
           this.metrics.negativeCacheHits++;
+          rpcCacheResults.inc({ ...metricLabels, result: 'negative' });
+          rpcErrors.inc(metricLabels);
           if (process.env.NODE_ENV !== 'test') {
             console.log(`Negative cache hit for ${method}: ${cacheKey}`);
           }
           
           return {
             jsonrpc: '2.0',
-            error: {
-              code: -32603,
-              message: negativeCache.error,
-              data: { cached: true, timestamp: negativeCache.timestamp }
-            },
+            error: this.getNegativeErrorObject(negativeCache),
             id
           };
         }
@@ -130,6 +281,7 @@ export class RPCHandler {
       if (cacheResult.value !== null) {
         if (cacheResult.isStale) {
           this.metrics.staleServed++;
+          rpcCacheResults.inc({ ...metricLabels, result: 'stale' });
           if (process.env.NODE_ENV !== 'test') {
             console.log(`Stale cache served for ${method}: ${cacheKey}`);
           }
@@ -138,6 +290,7 @@ export class RPCHandler {
           this.refreshInBackground(method, params, cacheKey);
         } else {
           this.metrics.cacheHits++;
+          rpcCacheResults.inc({ ...metricLabels, result: 'hit' });
           if (process.env.NODE_ENV !== 'test') {
             console.log(`Cache hit for ${method}: ${cacheKey}`);
           }
@@ -153,15 +306,23 @@ export class RPCHandler {
 
       // Cache miss - need to fetch from upstream
       this.metrics.cacheMisses++;
+      rpcCacheResults.inc({ ...metricLabels, result: 'miss' });
       if (process.env.NODE_ENV !== 'test') {
         console.log(`Cache miss for ${method}: ${cacheKey}`);
       }
 
+      if (this.rateLimiter.exemptCacheHits) {
+        const limited = await this.checkRateLimit(method, id, metricLabels, context);
+        if (limited) return limited;
+      }
+
       // Step 3: Use request coalescing to prevent duplicate requests
       const result = await this.requestCoalescer.getOrFetch(cacheKey, async () => {
         // Step 4: Try to acquire distributed lock (if enabled)
         if (config.distributedLock?.enabled) {
-          const lockAcquired = await this.distributedLock.acquireLock(cacheKey);
+          // Lock the chain-scoped key so chains sharing Redis don't contend
+          const lockKey = this.cacheManager.getKey(cacheKey);
+          const lockAcquired = await this.distributedLock.acquireLock(lockKey);
           
           if (!lockAcquired) {
             this.metrics.lockContentions++;
@@ -198,7 +359,7 @@ export class RPCHandler {
           } finally {
             // Always release lock
             if (lockAcquired) {
-              await this.distributedLock.releaseLock(cacheKey);
+              await this.distributedLock.releaseLock(lockKey);
             }
           }
         } else {
@@ -222,7 +383,7 @@ export class RPCHandler {
     } catch (error) {
       // Only log errors in non-test environments
       if (process.env.NODE_ENV !== 'test') {
-        console.error(`Error handling ${method}:`, error);
+        console.error(`Error handling ${method} for tenant ${metricLabels.tenant}:`, error);
       }
       this.metrics.upstreamErrors++;
       
@@ -238,6 +399,7 @@ export class RPCHandler {
               console.log(`Serving stale data due to circuit open: ${cacheKey}`);
             }
             this.metrics.staleServed++;
+            rpcCacheResults.inc({ ...metricLabels, result: 'stale' });
             
             return {
               jsonrpc: '2.0',
@@ -249,50 +411,244 @@ export class RPCHandler {
         }
       }
       
-      // Cache negative result if enabled
-      if (config.advanced?.negativeCaching && cacheKey) {
-        await this.cacheManager.setNegative(cacheKey, error);
-      }
+      // Cache deterministic errors if enabled
+      await this.cacheError(method, params, cacheKey, error);
+      
+      rpcErrors.inc(metricLabels);
       
       return {
         jsonrpc: '2.0',
-        error: {
-          code: -32603,
-          message: 'Internal error',
-          data: error.message
-        },
+        error: this.getErrorObject(error),
         id
       };
     }
   }
 
+  // Upstream JSON-RPC errors are passed to the client verbatim (code, message
+  // and data such as revert reasons); anything else is an internal error
+  getErrorObject(error) {
+    if (error.rpcError) {
+      return { ...error.rpcError };
+    }
+    return {
+      code: -32603,
+      message: 'Internal error',
+      data: error.message
+    };
+  }
+
+  // Error object for a negative cache hit
+  getNegativeErrorObject(negative) {
+    if (negative.rpcError) {
+      return { ...negative.rpcError };
+    }
+    return {
+      code: -32603,
+      message: negative.error,
+      data: { cached: true, timestamp: negative.timestamp }
+    };
+  }
+
+  // Known methods are used as metric labels as-is, anything else is grouped
+  // to keep label cardinality bounded
+  getMethodLabel(method) {
+    return getMethodCacheConfig(method).category === 'unknown' ? 'other' : method;
+  }
+
+  // Method and tenant labels for request metrics
+  getMetricLabels(method, context = {}) {
+    return {
+      method: this.getMethodLabel(method),
+      tenant: context.tenant?.name || 'anonymous'
+    };
+  }
+
+  // Normalize request params, optionally pinning block tags to tracked heights
+  normalizeRequestParams(method, params) {
+    if (!config.normalization?.enabled) {
+      return params;
+    }
+    
+    return normalizeParams(method, params, {
+      resolveTag: config.normalization.pinBlockTags ? (tag) => this.resolveBlockTag(tag) : null
+    });
+  }
+
+  // Resolve a block tag to the height currently tracked for it (null if unknown)
+  resolveBlockTag(tag) {
+    switch (tag) {
+      case 'latest':
+        return this.headTracker.getHeadNumber();
+      case 'safe':
+        return this.finalityTracker.getSafeHeight();
+      case 'finalized':
+        return this.finalityTracker.getFinalizedHeight();
+      default:
+        return null;
+    }
+  }
+
   // Fetch from upstream with circuit breaker protection
   async fetchWithCircuitBreaker(method, params, cacheKey) {
     return await this.circuitBreaker.execute(async () => {
-      let result;
-      
       // Call the RPC method through the generic interface
       // All methods are now supported
-      result = await this.ethereumService.callRPC(method, params);
+      const result = await this.callUpstream(method, params, { microBatch: config.batching?.microBatching });
 
-      // Cache the result if we have a cache key
-      if (cacheKey && result !== null) {
-        const ttl = getMethodTTL(method, params);
-        
-        // Use enhanced caching if enabled
-        if (config.advanced?.staleWhileRevalidate) {
-          await this.cacheManager.setWithStale(cacheKey, result, ttl);
-        } else {
-          await this.cacheManager.set(cacheKey, result, ttl);
-        }
-        
-        if (process.env.NODE_ENV !== 'test') {
-          console.log(`Cached result for ${method}: ${cacheKey} with TTL: ${ttl || 'permanent'}`);
+      await this.cacheResult(method, params, cacheKey, result);
+
+      return result;
+    });
+  }
+
+  // Write an upstream result to the cache with its per-method TTL
+  async cacheResult(method, params, cacheKey, result) {
+    // Let the method category inspect the result before picking a TTL
+    const ttl = cacheKey ? getResultTTL(method, params, result, this.chainId) : 0;
+
+    // Cache the result unless the category decided not to
+    if (ttl !== 0) {
+      // Use enhanced caching if enabled
+      if (config.advanced?.staleWhileRevalidate) {
+        await this.cacheManager.setWithStale(cacheKey, result, ttl);
+      } else {
+        await this.cacheManager.set(cacheKey, result, ttl);
+      }
+      
+      // Index the entry so a reorg of its blocks can purge it
+      this.headTracker.recordCacheEntry(cacheKey, method, params, result);
+      this.cacheWarmer.recordWrite(cacheKey, ttl);
+      
+      if (process.env.NODE_ENV !== 'test') {
+        console.log(`Cached result for ${method}: ${cacheKey} with TTL: ${ttl || 'permanent'}`);
+      }
+    } else if (cacheKey && process.env.NODE_ENV !== 'test') {
+      console.log(`Not caching result for ${method}: ${cacheKey}`);
+    }
+  }
+
+  // Negatively cache an upstream error if it is deterministic; transient
+  // failures are never cached
+  async cacheError(method, params, cacheKey, error) {
+    if (!config.advanced?.negativeCaching || !cacheKey) return;
+
+    const ttl = getErrorTTL(method, params, error, this.chainId);
+    if (ttl === 0) return;
+
+    await this.cacheManager.setNegative(cacheKey, error, ttl);
+    // Errors at a reorged block are purged with the results of that block
+    this.headTracker.recordCacheEntry(`negative:${cacheKey}`, method, params, null);
+  }
+
+  // Call the upstream for a request; eth_getLogs ranges over LOGS_CHUNK_SIZE
+  // blocks are fetched in chunks and merged
+  async callUpstream(method, params, options = {}) {
+    const chunks = await this.getLogsChunks(method, params);
+    if (chunks) {
+      return this.fetchLogsChunks(chunks);
+    }
+    
+    return options.microBatch
+      ? this.batchDispatcher.call(method, params)
+      : this.ethereumService.callRPC(method, params);
+  }
+
+  // Split an eth_getLogs filter into LOGS_CHUNK_SIZE ranges (null if no split is needed)
+  async getLogsChunks(method, params) {
+    const chunkSize = config.limits?.logsChunkSize || 0;
+    if (method !== 'eth_getLogs' || chunkSize <= 0) {
+      return null;
+    }
+    
+    const filter = params?.[0];
+    return splitLogsFilter(filter, await this.getLogsHead(filter), chunkSize);
+  }
+
+  // Fetch the chunks of a split eth_getLogs request and merge their logs in block order
+  async fetchLogsChunks(chunks) {
+    const results = new Array(chunks.length);
+    let next = 0;
+    
+    const worker = async () => {
+      while (next < chunks.length) {
+        const index = next++;
+        try {
+          results[index] = await this.ethereumService.callRPC('eth_getLogs', [chunks[index]]);
+        } catch (error) {
+          next = chunks.length; // stop the other workers, the request has failed
+          throw error;
         }
       }
+    };
+    
+    await Promise.all(Array.from({ length: Math.min(LOGS_CHUNK_CONCURRENCY, chunks.length) }, worker));
+    return results.flat();
+  }
 
-      return result;
+  // Check a request against the eth_getLogs limits; returns the JSON-RPC error
+  // object when it's over them (null otherwise)
+  async checkRequestLimits(method, params) {
+    if (method !== 'eth_getLogs') {
+      return null;
+    }
+    
+    const limits = config.limits || {};
+    const filter = params?.[0];
+    const head = limits.maxLogsBlockRange > 0 ? await this.getLogsHead(filter) : null;
+    const reason = checkLogsFilter(filter, head, {
+      maxBlockRange: limits.maxLogsBlockRange,
+      maxAddresses: limits.maxLogsAddresses
     });
+    
+    return reason ? { code: -32602, message: reason } : null;
+  }
+
+  // Whether an eth_getLogs batch entry must take the single-request path to be
+  // checked against the limits or split (decided without asking for the head)
+  isGuardedLogsRequest(method, params) {
+    if (method !== 'eth_getLogs') {
+      return false;
+    }
+    
+    const limits = config.limits || {};
+    const filter = params?.[0];
+    const head = this.getKnownHead();
+    if (head === null && needsHead(filter)) {
+      return limits.maxLogsBlockRange > 0 || limits.logsChunkSize > 0;
+    }
+    
+    return checkLogsFilter(filter, head, { maxBlockRange: limits.maxLogsBlockRange, maxAddresses: limits.maxLogsAddresses }) !== null
+      || splitLogsFilter(filter, head, limits.logsChunkSize || 0) !== null;
+  }
+
+  // Latest chain head known without asking the upstream (null if unknown or stale)
+  getKnownHead() {
+    return this.headTracker.getHeadNumber() ?? this.ethereumService.getRecentHead(KNOWN_HEAD_MAX_AGE);
+  }
+
+  // Chain head for resolving the block tags of a log filter; asked upstream
+  // when it isn't tracked yet (null if the filter has no tags or it's unavailable)
+  async getLogsHead(filter) {
+    if (!needsHead(filter)) {
+      return null;
+    }
+    
+    const head = this.getKnownHead();
+    if (head !== null) {
+      return head;
+    }
+    
+    try {
+      // Concurrent log requests share one head refresh
+      const blockNumber = await this.requestCoalescer.getOrFetch(
+        'head:eth_blockNumber',
+        () => this.ethereumService.callRPC('eth_blockNumber')
+      );
+      const height = parseInt(blockNumber, 16);
+      return Number.isNaN(height) ? null : height;
+    } catch (error) {
+      return null;
+    }
   }
 
   // Background refresh for stale-while-revalidate
@@ -316,7 +672,7 @@ export class RPCHandler {
   }
 
   // Handle batch requests
-  async handleBatchRequest(requests) {
+  async handleBatchRequest(requests, context = {}) {
     if (!Array.isArray(requests) || requests.length === 0) {
       return {
         jsonrpc: '2.0',
@@ -328,14 +684,374 @@ export class RPCHandler {
       };
     }
 
-    // Process each request in parallel
-    const responses = await Promise.all(
-      requests.map(request => this.handleRequest(request))
-    );
+    const maxBatchSize = config.limits?.maxBatchSize || 0;
+    if (maxBatchSize > 0 && requests.length > maxBatchSize) {
+      return {
+        jsonrpc: '2.0',
+        error: {
+          code: -32600,
+          message: `Batch too large: ${requests.length} requests (max ${maxBatchSize})`
+        },
+        id: null
+      };
+    }
+
+    if (!config.batching?.enabled) {
+      // Process each request in parallel
+      return Promise.all(requests.map(request => this.handleRequest(request, context)));
+    }
+
+    const responses = new Array(requests.length);
+    const entries = [];
+    const singles = [];
+
+    // Split cacheable requests from the ones that keep the single-request path
+    requests.forEach((request, index) => {
+      if (!request || typeof request !== 'object') {
+        responses[index] = {
+          jsonrpc: '2.0',
+          error: {
+            code: -32600,
+            message: 'Invalid Request'
+          },
+          id: null
+        };
+        return;
+      }
+
+      const { jsonrpc, method, id } = request;
+      const allowed = !context.tenant || isMethodAllowed(context.tenant, method);
+      if (jsonrpc === '2.0' && typeof method === 'string' && allowed) {
+        let params;
+        try {
+          params = this.normalizeRequestParams(method, request.params);
+        } catch {
+          singles.push(index); // answered with an invalid params error
+          return;
+        }
+        const cacheKey = shouldCacheMethod(method, params, this.chainId) ? generateMethodCacheKey(method, params) : null;
+        // eth_getLogs over the limits or due for splitting is handled on its own
+        if (cacheKey && !this.isGuardedLogsRequest(method, params)) {
+          entries.push({ index, id, method, params, cacheKey, metricLabels: this.getMetricLabels(method, context) });
+          return;
+        }
+      }
+
+      singles.push(index);
+    });
+
+    // Cacheable entries are answered together and share the batch latency;
+    // singles record their own in handleRequest
+    const startTime = Date.now();
+    await Promise.all([
+      this.resolveBatchEntries(entries, responses, context).finally(() => {
+        const seconds = (Date.now() - startTime) / 1000;
+        entries.forEach(entry => rpcRequestLatency.observe({ method: entry.metricLabels.method }, seconds));
+      }),
+      ...singles.map(async (index) => {
+        responses[index] = await this.handleRequest(requests[index], context);
+      })
+    ]);
 
     return responses;
   }
 
+  // Answer cacheable batch entries from one multi-get, fetching the misses
+  // upstream in as few batch calls as possible
+  async resolveBatchEntries(entries, responses, context = {}) {
+    if (entries.length === 0) return;
+
+    entries.forEach(entry => {
+      this.metrics.totalRequests++;
+      rpcRequests.inc(entry.metricLabels);
+      this.cacheWarmer.recordAccess(entry.method, entry.params, entry.cacheKey);
+    });
+
+    let remaining = entries;
+    if (!this.rateLimiter.exemptCacheHits) {
+      remaining = await this.filterRateLimited(remaining, responses, context);
+    }
+
+    // Step 1: Check for negative cache (if enabled)
+    if (config.advanced?.negativeCaching) {
+      const negatives = await this.cacheManager.mGetNegative(remaining.map(entry => entry.cacheKey));
+      remaining = remaining.filter((entry, i) => {
+        if (!negatives[i]) return true;
+
+        this.metrics.negativeCacheHits++;
+        rpcCacheResults.inc({ ...entry.metricLabels, result: 'negative' });
+        rpcErrors.inc(entry.metricLabels);
+        responses[entry.index] = {
+          jsonrpc: '2.0',
+          error: this.getNegativeErrorObject(negatives[i]),
+          id: entry.id
+        };
+        return false;
+      });
+    }
+
+    // Step 2: Look up all remaining entries in one round trip
+    const cached = await this.cacheManager.mGetWithStale(remaining.map(entry => entry.cacheKey));
+    let misses = [];
+
+    remaining.forEach((entry, i) => {
+      const { value, isStale } = cached[i];
+      if (value === null) {
+        misses.push(entry);
+        return;
+      }
+
+      if (isStale) {
+        this.metrics.staleServed++;
+        rpcCacheResults.inc({ ...entry.metricLabels, result: 'stale' });
+        this.refreshInBackground(entry.method, entry.params, entry.cacheKey);
+      } else {
+        this.metrics.cacheHits++;
+        rpcCacheResults.inc({ ...entry.metricLabels, result: 'hit' });
+      }
+
+      responses[entry.index] = {
+        jsonrpc: '2.0',
+        result: value,
+        id: entry.id,
+        cached: true
+      };
+    });
+
+    if (this.rateLimiter.exemptCacheHits) {
+      misses = await this.filterRateLimited(misses, responses, context);
+    }
+
+    if (misses.length === 0) return;
+
+    misses.forEach(entry => {
+      this.metrics.cacheMisses++;
+      rpcCacheResults.inc({ ...entry.metricLabels, result: 'miss' });
+    });
+    if (process.env.NODE_ENV !== 'test') {
+      console.log(`Batch cache misses: ${misses.length}/${entries.length}`);
+    }
+
+    // Step 3: Fetch the misses upstream
+    const outcomes = await this.fetchBatchMisses(misses);
+
+    misses.forEach(entry => {
+      const { result, error } = outcomes.get(entry.cacheKey);
+      if (error) {
+        this.metrics.upstreamErrors++;
+        rpcErrors.inc(entry.metricLabels);
+        responses[entry.index] = {
+          jsonrpc: '2.0',
+          error: this.getErrorObject(error),
+          id: entry.id
+        };
+        return;
+      }
+
+      responses[entry.index] = {
+        jsonrpc: '2.0',
+        result,
+        id: entry.id,
+        cached: false
+      };
+    });
+  }
+
+  // Fetch batch cache misses, once per cache key, in chunked upstream batches
+  async fetchBatchMisses(misses) {
+    const outcomes = new Map(); // cache key -> { result } or { error }
+    const unique = [];
+
+    misses.forEach(entry => {
+      if (outcomes.has(entry.cacheKey)) return;
+      outcomes.set(entry.cacheKey, null);
+      unique.push(entry);
+    });
+
+    const chunkSize = config.batching?.maxSize || 100;
+    const chunks = [];
+    for (let i = 0; i < unique.length; i += chunkSize) {
+      chunks.push(unique.slice(i, i + chunkSize));
+    }
+
+    await Promise.all(chunks.map(chunk => this.fetchBatchChunk(chunk, outcomes)));
+
+    if (this.requestCoalescer.getMetrics().totalCoalesced > this.metrics.coalescedRequests) {
+      this.metrics.coalescedRequests = this.requestCoalescer.getMetrics().totalCoalesced;
+    }
+
+    return outcomes;
+  }
+
+  // Fetch one chunk of misses with a single upstream batch call. Every key is
+  // registered with the request coalescer first, so keys already in flight
+  // are joined and identical requests arriving meanwhile join this batch.
+  async fetchBatchChunk(chunk, outcomes) {
+    const owned = new Map(); // cache key -> { resolve, reject } of its shared promise
+    const settled = chunk.map(entry => this.settle(this.requestCoalescer.getOrFetch(
+      entry.cacheKey,
+      () => new Promise((resolve, reject) => owned.set(entry.cacheKey, { resolve, reject }))
+    )));
+
+    const toFetch = chunk.filter(entry => owned.has(entry.cacheKey));
+    if (toFetch.length > 0) {
+      const fetched = await this.settle(this.fetchLockedBatch(toFetch));
+      toFetch.forEach(entry => {
+        const { resolve, reject } = owned.get(entry.cacheKey);
+        const outcome = fetched.error ? fetched : fetched.result.get(entry.cacheKey);
+        if (outcome.error) {
+          reject(outcome.error);
+        } else {
+          resolve(outcome.result);
+        }
+      });
+    }
+
+    const results = await Promise.all(settled);
+    chunk.forEach((entry, i) => outcomes.set(entry.cacheKey, results[i]));
+  }
+
+  // Fetch entries upstream holding their distributed locks (if enabled),
+  // skipping entries another instance cached while we waited
+  async fetchLockedBatch(entries) {
+    if (!config.distributedLock?.enabled) {
+      return this.fetchUpstreamBatch(entries);
+    }
+
+    // Lock the chain-scoped keys so chains sharing Redis don't contend
+    const lockKeys = entries.map(entry => this.cacheManager.getKey(entry.cacheKey));
+    const acquired = await Promise.all(lockKeys.map(lockKey => this.distributedLock.acquireLock(lockKey)));
+
+    try {
+      const contended = acquired.filter(lockAcquired => !lockAcquired).length;
+      if (contended > 0) {
+        this.metrics.lockContentions += contended;
+        if (process.env.NODE_ENV !== 'test') {
+          console.log(`Failed to acquire ${contended} batch locks, waiting...`);
+        }
+
+        // Wait a bit so another instance can fill the cache, then proceed anyway
+        await this.sleep(100);
+      }
+
+      // Check the cache again under the locks
+      const cached = await this.cacheManager.mGetWithStale(entries.map(entry => entry.cacheKey));
+      const outcomes = new Map();
+      const remaining = entries.filter((entry, i) => {
+        if (cached[i].value === null) return true;
+        outcomes.set(entry.cacheKey, { result: cached[i].value });
+        return false;
+      });
+
+      if (remaining.length > 0) {
+        (await this.fetchUpstreamBatch(remaining)).forEach((outcome, cacheKey) => outcomes.set(cacheKey, outcome));
+      }
+      return outcomes;
+    } finally {
+      await Promise.all(lockKeys
+        .filter((lockKey, i) => acquired[i])
+        .map(lockKey => this.distributedLock.releaseLock(lockKey)));
+    }
+  }
+
+  // Fetch entries with one upstream batch call and cache the results
+  async fetchUpstreamBatch(entries) {
+    // A lone request doesn't need batch framing
+    if (entries.length === 1) {
+      return this.fetchIndividually(entries);
+    }
+
+    let results;
+    try {
+      results = await this.circuitBreaker.execute(
+        async () => await this.ethereumService.batchCall(
+          entries.map(({ method, params }) => ({ method, params }))
+        )
+      );
+    } catch (error) {
+      if (error.code === 'CIRCUIT_OPEN') {
+        this.metrics.circuitBreakerRejections++;
+        return new Map(entries.map(entry => [entry.cacheKey, { error }]));
+      }
+
+      // Fall back to individual requests if the upstream rejects the batch
+      if (process.env.NODE_ENV !== 'test') {
+        console.warn(`Upstream batch of ${entries.length} failed, retrying individually: ${error.message}`);
+      }
+      return this.fetchIndividually(entries);
+    }
+
+    const outcomes = new Map();
+    await Promise.all(entries.map(async (entry, i) => {
+      const { result, error } = results[i];
+      if (error) {
+        const rpcError = createRPCError(error);
+        await this.cacheError(entry.method, entry.params, entry.cacheKey, rpcError);
+        outcomes.set(entry.cacheKey, { error: rpcError });
+        return;
+      }
+
+      await this.cacheResult(entry.method, entry.params, entry.cacheKey, result);
+      outcomes.set(entry.cacheKey, { result });
+    }));
+    return outcomes;
+  }
+
+  // Fetch entries one upstream request at a time
+  async fetchIndividually(entries) {
+    const outcomes = new Map();
+    await Promise.all(entries.map(async (entry) => {
+      const outcome = await this.settle(this.fetchWithCircuitBreaker(entry.method, entry.params, entry.cacheKey));
+      if (outcome.error) {
+        await this.cacheError(entry.method, entry.params, entry.cacheKey, outcome.error);
+      }
+      outcomes.set(entry.cacheKey, outcome);
+    }));
+    return outcomes;
+  }
+
+  // Resolve a promise to { result } or { error }
+  async settle(promise) {
+    try {
+      return { result: await promise };
+    } catch (error) {
+      return { error };
+    }
+  }
+
+  // Take a rate limit token for the client, returning the error response when over the limit
+  async checkRateLimit(method, id, metricLabels, context) {
+    const clientId = context.tenant ? `tenant:${context.tenant.name}` : `ip:${context.clientIp || 'unknown'}`;
+    const { allowed, retryAfter } = await this.rateLimiter.check(clientId, method, context.tenant);
+    if (allowed) return null;
+
+    this.metrics.rateLimited++;
+    rpcErrors.inc(metricLabels);
+    return {
+      jsonrpc: '2.0',
+      error: {
+        code: -32005,
+        message: 'Limit exceeded',
+        data: { retryAfter }
+      },
+      id
+    };
+  }
+
+  // Answer rate-limited batch entries and return the ones that may proceed
+  async filterRateLimited(entries, responses, context) {
+    const allowed = [];
+    for (const entry of entries) {
+      const limited = await this.checkRateLimit(entry.method, entry.id, entry.metricLabels, context);
+      if (limited) {
+        responses[entry.index] = limited;
+      } else {
+        allowed.push(entry);
+      }
+    }
+    return allowed;
+  }
+
   // Get enhanced metrics
   getMetrics() {
     const hitRate = this.metrics.totalRequests > 0 
@@ -347,7 +1063,14 @@ export class RPCHandler {
       cacheHitRate: `${hitRate}%`,
       coalescing: this.requestCoalescer.getMetrics(),
       circuitBreaker: this.circuitBreaker.getMetrics(),
-      distributedLock: this.distributedLock.getMetrics()
+      distributedLock: this.distributedLock.getMetrics(),
+      rateLimiter: this.rateLimiter.getMetrics(),
+      headTracker: this.headTracker.getMetrics(),
+      finality: this.finalityTracker.getMetrics(),
+      microBatching: this.batchDispatcher.getMetrics(),
+      hedging: { ...this.ethereumService.hedgeMetrics },
+      txBroadcast: this.txBroadcaster.getMetrics(),
+      cacheWarming: this.cacheWarmer.getMetrics()
     };
   }
 
@@ -362,12 +1085,20 @@ export class RPCHandler {
       staleServed: 0,
       negativeCacheHits: 0,
       lockContentions: 0,
-      upstreamErrors: 0
+      upstreamErrors: 0,
+      accessDenied: 0,
+      rateLimited: 0
     };
     
     this.requestCoalescer.resetMetrics();
     this.circuitBreaker.resetMetrics();
     this.distributedLock.resetMetrics();
+    this.rateLimiter.resetMetrics();
+    this.headTracker.resetMetrics();
+    this.finalityTracker.resetMetrics();
+    this.batchDispatcher.resetMetrics();
+    this.txBroadcaster.resetMetrics();
+    this.cacheWarmer.resetMetrics();
   }
 
   // Sleep helper
@@ -377,6 +1108,11 @@ export class RPCHandler {
 
   // Cleanup on shutdown
   async cleanup() {
+    this.headTracker.stop();
+    this.finalityTracker.stop();
+    this.ethereumService.stopHealthProbe();
+    this.rateLimiter.stop();
+    this.cacheWarmer.stop();
     await this.distributedLock.releaseAll();
     this.requestCoalescer.clearAll();
   }
@@ -0,0 +1,193 @@
+import { wsConnections } from '../utils/metrics.js';
+import { isMethodAllowed } from '../services/tenantRegistry.js';
+
+const SUBSCRIPTION_METHODS = ['eth_subscribe', 'eth_unsubscribe'];
+
+/**
+ * WebSocketHandler serves JSON-RPC over client WebSocket connections.
+ * Regular calls go through the RPCHandler cache path, subscription calls
+ * are handed to the SubscriptionManager.
+ */
+export class WebSocketHandler {
+  constructor(rpcHandler, subscriptionManager) {
+    this.rpcHandler = rpcHandler;
+    this.subscriptionManager = subscriptionManager;
+
+    // Metrics
+    this.metrics = {
+      totalConnections: 0,
+      activeConnections: 0,
+      messages: 0,
+      parseErrors: 0
+    };
+  }
+
+  /**
+   * Attach to a newly opened client socket
+   * @param {Object} socket - Client WebSocket
+   * @param {Object} context - Request context ({ tenant, clientIp })
+   */
+  handleConnection(socket, context = {}) {
+    this.metrics.totalConnections++;
+    this.metrics.activeConnections++;
+    wsConnections.inc();
+
+    socket.on('message', async (data) => {
+      let response;
+      try {
+        response = await this.handleMessage(socket, data, context);
+      } catch (error) {
+        // A rejection here would be unhandled and take the process down
+        if (process.env.NODE_ENV !== 'test') {
+          console.error('WebSocket message failed:', error.message);
+        }
+        response = {
+          jsonrpc: '2.0',
+          error: {
+            code: -32603,
+            message: 'Internal error',
+            data: error.message
+          },
+          id: this.getRequestId(data)
+        };
+      }
+      if (response) {
+        try {
+          socket.send(JSON.stringify(response));
+        } catch {
+          // Client closed before the response was ready
+        }
+      }
+    });
+
+    socket.on('close', () => {
+      this.metrics.activeConnections--;
+      wsConnections.dec();
+      this.subscriptionManager.removeClient(socket).catch((error) => {
+        if (process.env.NODE_ENV !== 'test') {
+          console.error('Failed to drop client subscriptions:', error.message);
+        }
+      });
+    });
+  }
+
+  /**
+   * Get the id of a raw single request
+   * @param {Buffer|string} data - Raw message
+   * @returns {*} - Request id, or null for batches and unparsable messages
+   */
+  getRequestId(data) {
+    try {
+      const body = JSON.parse(data.toString());
+      return body && typeof body === 'object' && !Array.isArray(body) ? body.id ?? null : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Handle a raw client message
+   * @param {Object} socket - Client WebSocket
+   * @param {Buffer|string} data - Raw message
+   * @param {Object} context - Request context ({ tenant, clientIp })
+   * @returns {Promise<Object|Array>} - JSON-RPC response
+   */
+  async handleMessage(socket, data, context = {}) {
+    this.metrics.messages++;
+
+    let body;
+    try {
+      body = JSON.parse(data.toString());
+    } catch {
+      this.metrics.parseErrors++;
+      return {
+        jsonrpc: '2.0',
+        error: {
+          code: -32700,
+          message: 'Parse error'
+        },
+        id: null
+      };
+    }
+
+    if (Array.isArray(body)) {
+      // Plain batches keep the batch path of the RPC handler
+      if (!body.some(request => SUBSCRIPTION_METHODS.includes(request?.method))) {
+        return this.rpcHandler.handleBatchRequest(body, context);
+      }
+      return Promise.all(body.map(request => this.handleCall(socket, request, context)));
+    }
+
+    return this.handleCall(socket, body, context);
+  }
+
+  /**
+   * Handle a single JSON-RPC call
+   * @param {Object} socket - Client WebSocket
+   * @param {Object} request - JSON-RPC request
+   * @param {Object} context - Request context ({ tenant, clientIp })
+   * @returns {Promise<Object>} - JSON-RPC response
+   */
+  async handleCall(socket, request, context = {}) {
+    if (!request || typeof request !== 'object' || request.jsonrpc !== '2.0') {
+      return {
+        jsonrpc: '2.0',
+        error: {
+          code: -32600,
+          message: 'Invalid Request'
+        },
+        id: request?.id ?? null
+      };
+    }
+
+    if (!SUBSCRIPTION_METHODS.includes(request.method)) {
+      return this.rpcHandler.handleRequest(request, context);
+    }
+
+    const { method, params, id } = request;
+
+    if (method === 'eth_subscribe' && context.tenant && !isMethodAllowed(context.tenant, method)) {
+      return {
+        jsonrpc: '2.0',
+        error: {
+          code: -32004,
+          message: `Method not allowed: ${method}`
+        },
+        id
+      };
+    }
+
+    try {
+      const result = method === 'eth_subscribe'
+        ? await this.subscriptionManager.subscribe(socket, params)
+        : await this.subscriptionManager.unsubscribe(socket, Array.isArray(params) ? params[0] : undefined);
+
+      return {
+        jsonrpc: '2.0',
+        result,
+        id
+      };
+    } catch (error) {
+      return {
+        jsonrpc: '2.0',
+        error: {
+          code: typeof error.code === 'number' ? error.code : -32603,
+          message: error.message || 'Internal error',
+          data: error.data
+        },
+        id
+      };
+    }
+  }
+
+  /**
+   * Get WebSocket metrics
+   * @returns {Object} - Metrics object
+   */
+  getMetrics() {
+    return {
+      ...this.metrics,
+      subscriptions: this.subscriptionManager.getMetrics()
+    };
+  }
+}
@@ -22,15 +22,22 @@ async function start() {
 🚀 Ethereum RPC Cache Proxy Server Started
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 📡 Server: http://${config.server.host}:${config.server.port}
-🔗 Upstream RPC: ${rpcUrlsDisplay}
+🔗 Upstream RPC: ${rpcUrlsDisplay}${config.ethereum.archiveRpcUrls.length > 0 ? `
+🗄️  Archive pool: ${config.ethereum.archiveRpcUrls.length} URL(s)` : ''}${config.ethereum.broadcastRpcUrls.length > 0 ? `
+📤 Broadcast pool: ${config.ethereum.broadcastRpcUrls.length} URL(s)` : ''}${config.chains.length > 0 ? `
+⛓️  Chains: ${config.chains.map(chain => `/${chain.chainId}`).join(', ')}` : ''}
 💾 Cache: ${config.redis.url || 'in-memory'}
-🔒 Permanent Cache Height: ${config.cache.permanentCacheHeight}
+🔒 Permanent Cache Height: ${config.cache.permanentCacheHeight}${config.finality.enabled ? ' (raised to finalized block)' : ''}
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
 Available endpoints:
   POST /              - JSON-RPC endpoint
+  GET  /  (WebSocket) - JSON-RPC over WebSocket with eth_subscribe
+  POST /rpc/:apiKey   - JSON-RPC endpoint with the API key in the path
+  POST /:chainId      - JSON-RPC endpoint of a chain from CHAINS
   GET  /health        - Health check and metrics
   GET  /cache/stats   - Cache statistics
+  GET  /metrics       - Prometheus metrics
   POST /cache/flush   - Clear cache (testing)
 
 Supported RPC methods:
@@ -1,12 +1,33 @@
 import Fastify from 'fastify';
+import websocket from '@fastify/websocket';
 import { config } from './config/index.js';
 import { connectRedis, disconnectRedis } from './cache/redis.js';
+import { closeDiskCache } from './cache/diskCache.js';
 import { RPCHandler } from './handlers/rpcHandler.js';
+import { WebSocketHandler } from './handlers/wsHandler.js';
+import { SubscriptionManager } from './services/subscriptionManager.js';
+import { TenantRegistry } from './services/tenantRegistry.js';
+import { getPermanentCacheHeight } from './config/methodCaching.js';
+import { registry } from './utils/metrics.js';
 
 export async function buildServer() {
   const fastify = Fastify({
+    trustProxy: config.server.trustProxy,
+    bodyLimit: config.limits.maxBodySize,
     logger: {
       level: config.logging.level,
+      serializers: {
+        // Keep API keys given in the URL path out of the logs
+        req(request) {
+          return {
+            method: request.method,
+            url: request.url.replace(/^(\/\d+)?\/rpc\/[^/?]+/, '$1/rpc/[API_KEY]'),
+            host: request.host,
+            remoteAddress: request.ip,
+            remotePort: request.socket?.remotePort
+          };
+        }
+      },
       ...(config.logging.prettyPrint && {
         transport: {
           target: 'pino-pretty',
@@ -19,10 +40,135 @@ export async function buildServer() {
     }
   });
 
+  // Answer oversized bodies with a JSON-RPC error instead of Fastify's default
+  fastify.setErrorHandler((error, request, reply) => {
+    if (error.code !== 'FST_ERR_CTP_BODY_TOO_LARGE') {
+      return reply.send(error);
+    }
+
+    reply.code(413).send({
+      jsonrpc: '2.0',
+      error: {
+        code: -32600,
+        message: `Request body too large (max ${config.limits.maxBodySize} bytes)`
+      },
+      id: null
+    });
+  });
+
   // Initialize RPC handler (will handle cache initialization)
   const rpcHandler = new RPCHandler();
   await rpcHandler.initialize();
 
+  // One handler per chain served on /<chainId>; the default chain is
+  // reachable there too once its ID is known
+  const chainHandlers = new Map();
+  if (rpcHandler.ethereumService.chainId !== null) {
+    chainHandlers.set(rpcHandler.ethereumService.chainId, rpcHandler);
+  }
+  // A CHAINS entry can't take over the default chain's ID, refuse to start
+  // rather than silently ignoring its upstream settings
+  const duplicate = config.chains.find(chain => chainHandlers.has(chain.chainId));
+  if (duplicate) {
+    await rpcHandler.cleanup();
+    await rpcHandler.cacheManager.close();
+    throw new Error(`CHAINS lists chain ${duplicate.chainId}, which is already the default chain; remove it from CHAINS`);
+  }
+  const chains = config.chains;
+  for (const chain of chains) {
+    const handler = new RPCHandler({ chainId: chain.chainId, upstream: chain });
+    await handler.initialize();
+    chainHandlers.set(chain.chainId, handler);
+  }
+
+  // Pick the handler of the /:chainId path (the default chain without one)
+  const getHandler = (request) => request.params?.chainId === undefined
+    ? rpcHandler
+    : chainHandlers.get(parseInt(request.params.chainId, 10));
+
+  // Reject paths naming a chain this proxy doesn't serve
+  const requireChain = async (request, reply) => {
+    if (getHandler(request)) return;
+
+    reply.code(404).send({
+      jsonrpc: '2.0',
+      error: {
+        code: -32601,
+        message: `Unsupported chain: ${request.params.chainId}`
+      },
+      id: null
+    });
+    return reply;
+  };
+
+  // API key authentication (enabled when a tenants file is configured)
+  const tenantRegistry = new TenantRegistry();
+  await tenantRegistry.load();
+  fastify.decorateRequest('tenant', null);
+
+  // Resolve the tenant from the API key header or the /rpc/:apiKey path
+  const authenticate = async (request, reply) => {
+    if (!tenantRegistry.isEnabled()) return;
+
+    const tenant = tenantRegistry.authenticate(request.params?.apiKey || request.headers[config.auth.apiKeyHeader]);
+    if (!tenant) {
+      reply.code(401).send({
+        jsonrpc: '2.0',
+        error: {
+          code: -32001,
+          message: 'Unauthorized'
+        },
+        id: null
+      });
+      return reply;
+    }
+
+    request.tenant = tenant;
+    request.log = request.log.child({ tenant: tenant.name });
+  };
+
+  // Cache administration is restricted to admin tenants
+  const requireAdmin = async (request, reply) => {
+    if (!tenantRegistry.isEnabled()) return;
+
+    await authenticate(request, reply);
+    if (reply.sent) return reply;
+
+    if (!request.tenant.admin) {
+      reply.code(403).send({ error: 'Admin API key required' });
+      return reply;
+    }
+  };
+
+  // WebSocket JSON-RPC with multiplexed eth_subscribe
+  let wsHandler = null;
+  if (config.websocket.enabled) {
+    await fastify.register(websocket);
+
+    const subscriptionManager = new SubscriptionManager();
+    wsHandler = new WebSocketHandler(rpcHandler, subscriptionManager);
+
+    // Each chain subscribes through its own CHAIN_<id>_WS_URL
+    const wsHandlers = new Map([[rpcHandler, wsHandler]]);
+    config.chains.forEach(chain => {
+      const handler = chainHandlers.get(chain.chainId);
+      if (!wsHandlers.has(handler)) {
+        wsHandlers.set(handler, new WebSocketHandler(handler, new SubscriptionManager({ upstreamUrl: chain.wsUrl })));
+      }
+    });
+
+    const handleConnection = (socket, request) => wsHandlers.get(getHandler(request))
+      .handleConnection(socket, { tenant: request.tenant, clientIp: request.ip });
+    const preHandler = [requireChain, authenticate];
+    fastify.get('/', { websocket: true, preHandler: authenticate }, handleConnection);
+    fastify.get('/rpc/:apiKey', { websocket: true, preHandler: authenticate }, handleConnection);
+    fastify.get('/:chainId', { websocket: true, preHandler }, handleConnection);
+    fastify.get('/:chainId/rpc/:apiKey', { websocket: true, preHandler }, handleConnection);
+    fastify.addHook('onClose', async () => {
+      await Promise.all([...wsHandlers.values()].map(handler => handler.subscriptionManager.close()));
+    });
+  }
+
   // Health check endpoint
   fastify.get('/health', async (request, reply) => {
     const metrics = rpcHandler.getMetrics();
@@ -35,17 +181,39 @@ export async function buildServer() {
       cacheType,
       metrics,
       rpcProviders,
+      upstreamHead: rpcHandler.ethereumService.bestHead,
+      chainId: rpcHandler.ethereumService.chainId,
+      ...(chains.length > 0 && {
+        chains: Object.fromEntries(chains.map(chain => {
+          const handler = chainHandlers.get(chain.chainId);
+          return [chain.chainId, {
+            rpcProviders: handler.ethereumService.getUrlHealthStatus(),
+            upstreamHead: handler.ethereumService.bestHead,
+            permanentCacheHeight: getPermanentCacheHeight(chain.chainId),
+            metrics: handler.getMetrics()
+          }];
+        }))
+      }),
+      ...(wsHandler && { websocket: wsHandler.getMetrics() }),
       config: {
-        permanentCacheHeight: config.cache.permanentCacheHeight,
+        permanentCacheHeight: getPermanentCacheHeight(),
+        finalityTracking: config.finality.enabled,
         ethCallTtl: config.cache.ethCallTtl,
         rpcUrlCount: rpcProviders.length,
-        fallbackEnabled: config.ethereum.fallbackEnabled
+        fallbackEnabled: config.ethereum.fallbackEnabled,
+        routingStrategy: config.ethereum.routingStrategy,
+        maxBlockLag: config.healthProbe.maxBlockLag,
+        chainIdVerification: config.chainVerification.enabled,
+        hedgingEnabled: config.hedging.enabled,
+        subscriptionsEnabled: Boolean(config.websocket.enabled && config.websocket.upstreamUrl),
+        authEnabled: tenantRegistry.isEnabled(),
+        rateLimitEnabled: config.rateLimit.enabled
       }
     };
   });
 
   // Cache stats endpoint
-  fastify.get('/cache/stats', async (request, reply) => {
+  fastify.get('/cache/stats', { preHandler: requireAdmin }, async (request, reply) => {
     const stats = await rpcHandler.cacheManager.getStats();
     const metrics = rpcHandler.getMetrics();
     
@@ -55,10 +223,18 @@ export async function buildServer() {
     };
   });
 
-  // Clear cache endpoint (useful for testing)
-  fastify.post('/cache/flush', async (request, reply) => {
-    const result = await rpcHandler.cacheManager.flush();
-    rpcHandler.resetMetrics();
+  // Prometheus metrics endpoint
+  fastify.get('/metrics', async (request, reply) => {
+    reply.type('text/plain; version=0.0.4; charset=utf-8');
+    return registry.render();
+  });
+
+  // Clear cache endpoint (useful for testing); clears every chain
+  fastify.post('/cache/flush', { preHandler: requireAdmin }, async (request, reply) => {
+    const handlers = [rpcHandler, ...chains.map(chain => chainHandlers.get(chain.chainId))];
+    const results = await Promise.all(handlers.map(handler => handler.cacheManager.flush()));
+    handlers.forEach(handler => handler.resetMetrics());
+    const result = results.every(Boolean);
     
     return {
       success: result,
@@ -66,25 +242,52 @@ export async function buildServer() {
     };
   });
 
+  // Tell rate-limited clients when to retry (429 when nothing got through)
+  const setRetryAfter = (reply, response) => {
+    const responses = Array.isArray(response) ? response : [response];
+    const limited = responses.filter(item => item?.error?.code === -32005);
+    if (limited.length === 0) return;
+
+    reply.header('Retry-After', String(Math.max(...limited.map(item => item.error.data?.retryAfter || 1))));
+    if (limited.length === responses.length) {
+      reply.code(429);
+    }
+  };
+
   // Main JSON-RPC endpoint
-  fastify.post('/', async (request, reply) => {
+  const handleRpc = async (request, reply) => {
     const body = request.body;
+    const context = { tenant: request.tenant, clientIp: request.ip };
+
+    const handler = getHandler(request);
 
     // Handle batch requests
     if (Array.isArray(body)) {
-      const response = await rpcHandler.handleBatchRequest(body);
+      const response = await handler.handleBatchRequest(body, context);
+      setRetryAfter(reply, response);
       return response;
     }
 
     // Handle single request
-    const response = await rpcHandler.handleRequest(body);
+    const response = await handler.handleRequest(body, context);
+    setRetryAfter(reply, response);
     return response;
-  });
+  };
+
+  fastify.post('/', { preHandler: authenticate }, handleRpc);
+  fastify.post('/rpc/:apiKey', { preHandler: authenticate }, handleRpc);
+  fastify.post('/:chainId', { preHandler: [requireChain, authenticate] }, handleRpc);
+  fastify.post('/:chainId/rpc/:apiKey', { preHandler: [requireChain, authenticate] }, handleRpc);
 
   // Graceful shutdown
   const closeHandler = async () => {
     console.log('Shutting down server...');
+    const handlers = [rpcHandler, ...chains.map(chain => chainHandlers.get(chain.chainId))];
+    // Stop every chain's pollers and release its locks while the caches are open
+    await Promise.all(handlers.map(handler => handler.cleanup()));
+    await Promise.all(handlers.map(handler => handler.cacheManager.close()));
     await disconnectRedis();
+    await closeDiskCache();
     await fastify.close();
     console.log('Server shut down gracefully');
   };
@@ -0,0 +1,128 @@
+import { config } from '../config/index.js';
+import { createRPCError } from './ethereum.js';
+
+/**
+ * BatchDispatcher collects independent upstream calls arriving within a short
+ * window and sends them as one JSON-RPC batch, handing each caller its own
+ * result. Per-provider batch limits and batch rejection are handled by
+ * EthereumService.batchCall.
+ */
+export class BatchDispatcher {
+  constructor(ethereumService, options = {}) {
+    this.ethereumService = ethereumService;
+
+    // Configuration
+    this.window = options.window ?? config.batching?.window ?? 5;
+    this.maxSize = options.maxSize ?? config.batching?.microBatchSize ?? 50;
+
+    // Queue of calls waiting for the next flush
+    this.queue = [];
+    this.timer = null;
+
+    // Metrics
+    this.metrics = {
+      calls: 0,
+      batches: 0,
+      batchedCalls: 0,
+      singleCalls: 0,
+      flushedBySize: 0,
+      largestBatch: 0,
+      batchFailures: 0
+    };
+  }
+
+  /**
+   * Queue an upstream call
+   * @param {string} method - RPC method
+   * @param {Array} params - Params
+   * @returns {Promise<*>} - Result of the call
+   */
+  call(method, params = []) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ method, params, resolve, reject });
+      this.metrics.calls++;
+
+      if (this.queue.length >= this.maxSize) {
+        this.metrics.flushedBySize++;
+        this.flush();
+      } else if (!this.timer) {
+        this.timer = setTimeout(() => this.flush(), this.window);
+      }
+    });
+  }
+
+  /**
+   * Send everything queued so far
+   */
+  async flush() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    const batch = this.queue;
+    this.queue = [];
+    if (batch.length === 0) return;
+
+    // A lone call keeps the single request path with its retries
+    if (batch.length === 1) {
+      const [entry] = batch;
+      this.metrics.singleCalls++;
+      try {
+        entry.resolve(await this.ethereumService.callRPC(entry.method, entry.params));
+      } catch (error) {
+        entry.reject(error);
+      }
+      return;
+    }
+
+    this.metrics.batches++;
+    this.metrics.batchedCalls += batch.length;
+    this.metrics.largestBatch = Math.max(this.metrics.largestBatch, batch.length);
+
+    let results;
+    try {
+      results = await this.ethereumService.batchCall(
+        batch.map(({ method, params }) => ({ method, params }))
+      );
+    } catch (error) {
+      this.metrics.batchFailures++;
+      const batchError = new Error(`All RPC endpoints failed: ${this.ethereumService.getErrorMessage(error)}`);
+      batchError.code = error.code === 'ALL_PROVIDERS_OPEN' ? error.code : 'ALL_PROVIDERS_FAILED';
+      batch.forEach(entry => entry.reject(batchError));
+      return;
+    }
+
+    // Errors are shaped like the ones thrown by EthereumService.callRPC
+    results.forEach(({ result, error }, index) => {
+      if (error) {
+        batch[index].reject(createRPCError(error));
+      } else {
+        batch[index].resolve(result);
+      }
+    });
+  }
+
+  /**
+   * Get dispatcher metrics
+   * @returns {Object} - Metrics object
+   */
+  getMetrics() {
+    return {
+      ...this.metrics,
+      queued: this.queue.length,
+      averageBatchSize: this.metrics.batches > 0
+        ? (this.metrics.batchedCalls / this.metrics.batches).toFixed(2)
+        : 0
+    };
+  }
+
+  /**
+   * Reset metrics
+   */
+  resetMetrics() {
+    Object.keys(this.metrics).forEach(key => {
+      this.metrics[key] = 0;
+    });
+  }
+}
@@ -1,26 +1,142 @@
 import axios from 'axios';
 import { config } from '../config/index.js';
+import { upstreamRequests, upstreamLatency, upstreamHedges } from '../utils/metrics.js';
+import { CircuitBreaker } from '../utils/circuitBreaker.js';
+import { getBlockParam, getMethodCacheConfig } from '../config/methodCaching.js';
+import { getMethodPool, isPrunedStateError } from '../config/methodRouting.js';
+
+// How the first provider of a call is picked (the others remain fallbacks)
+export const ROUTING_STRATEGIES = ['failover', 'round-robin', 'weighted', 'least-latency', 'least-outstanding'];
+
+// Weight of the newest sample in the latency moving average
+const LATENCY_EWMA_ALPHA = 0.3;
+
+// Latency samples kept per method for hedge delays
+const MAX_LATENCY_SAMPLES = 100;
+
+// Block tags answered from the chain head
+const HEAD_TAGS = ['latest', 'pending'];
+
+/**
+ * Wrap a JSON-RPC error answered by an upstream so it can be passed to the
+ * client verbatim (error.rpcError) and told apart from transport failures
+ * @param {Object} rpcError - Upstream error object ({ code, message, data })
+ * @returns {Error} - Error with rpcError attached
+ */
+export function createRPCError(rpcError) {
+  const error = new Error(`RPC Error: ${rpcError.message}`);
+  error.rpcError = {
+    code: rpcError.code,
+    message: rpcError.message,
+    ...(rpcError.data !== undefined && { data: rpcError.data })
+  };
+  return error;
+}
 
 export class EthereumService {
-  constructor() {
+  // upstream: the chain's upstream settings (config.ethereum or an entry of config.chains)
+  constructor(upstream = config.ethereum) {
     // Support both single URL and multiple URLs
-    this.rpcUrls = config.ethereum.rpcUrls || [config.ethereum.rpcUrl];
+    this.rpcUrls = upstream.rpcUrls || [upstream.rpcUrl];
     this.currentUrlIndex = 0;
     this.requestId = 0;
+    this.timeout = config.ethereum.timeout || 30000;
+
+    // Upstream pools selected by METHOD_ROUTING_RULES, each with its own fallback order
+    this.pools = {
+      default: this.rpcUrls,
+      archive: upstream.archiveRpcUrls || [],
+      broadcast: upstream.broadcastRpcUrls || []
+    };
+    this.allUrls = [...new Set(Object.values(this.pools).flat())];
 
     // Track health and performance metrics per URL
     this.urlMetrics = new Map();
-    this.rpcUrls.forEach(url => {
+    this.allUrls.forEach(url => {
       this.urlMetrics.set(url, {
         failureCount: 0,
         successCount: 0,
         lastError: null,
         lastErrorTime: null,
         lastSuccessTime: null,
-        isHealthy: true
+        batchSupported: true,
+        // Load balancing state
+        outstanding: 0,
+        latencyEwma: null,
+        lastLatency: null,
+        latencySamples: 0,
+        currentWeight: 0,
+        // Health probe state
+        headBlock: null,
+        syncing: false,
+        lag: null,
+        isLagging: false,
+        lastProbeTime: null,
+        lastProbeError: null,
+        // Chain ID verification state
+        chainId: null,
+        quarantined: false
       });
     });
 
+    // One circuit breaker per URL decides whether the URL receives traffic
+    // (see isUrlCallable)
+    this.breakers = new Map();
+    this.allUrls.forEach(url => {
+      this.breakers.set(url, new CircuitBreaker(`upstream:${this.sanitizeUrl(url)}`, {
+        failureThreshold: config.circuitBreaker?.providerFailureThreshold || 3,
+        resetTimeout: config.circuitBreaker?.providerResetTimeout || 60000,
+        timeout: this.timeout,
+        // Requests cancelled by hedging say nothing about the provider
+        isFailure: (error) => !this.isCancellation(error),
+        // A provider coming back may have been repointed at another chain
+        onStateChange: (oldState, newState) => {
+          if (newState === 'CLOSED' && this.chainVerification.enabled) {
+            this.verifyUrl(url);
+          }
+        }
+      }));
+    });
+
+    // Per-provider options (e.g. maxBatch, weight)
+    this.providerOptions = upstream.providerOptions || {};
+
+    // Chain ID verification: providers reporting another chain are quarantined
+    this.expectedChainId = upstream.chainId ?? null;
+    this.chainId = this.expectedChainId; // verified chain ID (null until known)
+    this.chainVerification = {
+      enabled: config.chainVerification?.enabled ?? false,
+      onMismatch: config.chainVerification?.onMismatch || 'quarantine'
+    };
+
+    // Load balancing across providers
+    this.routingStrategy = config.ethereum.routingStrategy || 'failover';
+    if (!ROUTING_STRATEGIES.includes(this.routingStrategy)) {
+      throw new Error(`Unknown routing strategy: ${this.routingStrategy} (valid: ${ROUTING_STRATEGIES.join(', ')})`);
+    }
+
+    // Background health probe
+    this.probeInterval = config.healthProbe?.interval || 15000;
+    this.maxBlockLag = config.healthProbe?.maxBlockLag ?? 5;
+    this.probeTimer = null;
+    this.bestHead = null;
+    this.lastKnownHead = null; // from eth_blockNumber traffic when probing is off
+    this.lastKnownHeadTime = null;
+
+    // Hedged requests for slow read-only calls
+    this.hedging = {
+      enabled: config.hedging?.enabled ?? false,
+      percentile: config.hedging?.percentile || 95,
+      defaultDelay: config.hedging?.defaultDelay || 500,
+      minDelay: config.hedging?.minDelay || 50,
+      minSamples: config.hedging?.minSamples || 20
+    };
+    this.methodLatencies = new Map(); // method -> recent latencies (ms)
+    this.hedgeMetrics = {
+      hedged: 0,
+      hedgeWins: 0
+    };
+
     // Fallback configuration
     this.maxRetriesPerUrl = config.ethereum.maxRetriesPerUrl || 2;
     this.fallbackEnabled = config.ethereum.fallbackEnabled !== false;
@@ -28,19 +144,49 @@ export class EthereumService {
 
   // Make JSON-RPC call to upstream Ethereum node with automatic fallback
   async callRPC(method, params = []) {
+    const pool = getMethodPool(method, params, this.getHead());
+    try {
+      return await this.callPool(method, params, pool);
+    } catch (error) {
+      // A full node may have pruned the state of a read routed to it (e.g.
+      // while the head is unknown); the archive pool gets a second try
+      if (pool === 'default' && this.pools.archive.length > 0 && isPrunedStateError(method, params, error.rpcError)) {
+        return this.callPool(method, params, 'archive');
+      }
+      throw error;
+    }
+  }
+
+  // Make a JSON-RPC call to one upstream pool, falling back within the pool
+  async callPool(method, params, pool) {
     const requestId = ++this.requestId;
     let lastError = null;
     let attemptCount = 0;
+    const rpcUrls = this.getUrlOrder({
+      pool,
+      headSensitive: this.isHeadSensitive(method, params)
+    });
+    const payload = {
+      jsonrpc: '2.0',
+      method: method,
+      params: params,
+      id: requestId
+    };
+    let hedgeAvailable = this.shouldHedge(method);
+    const triedUrls = new Set(); // URLs that already failed as a hedge
 
     // Try each RPC URL in sequence until one succeeds
-    for (let urlIndex = 0; urlIndex < this.rpcUrls.length; urlIndex++) {
-      const rpcUrl = this.rpcUrls[urlIndex];
-      const metrics = this.urlMetrics.get(rpcUrl);
+    for (let urlIndex = 0; urlIndex < rpcUrls.length; urlIndex++) {
+      const rpcUrl = rpcUrls[urlIndex];
 
-      // Skip unhealthy URLs if we have alternatives (unless it's the only one)
-      if (!metrics.isHealthy && this.rpcUrls.length > 1 && urlIndex < this.rpcUrls.length - 1) {
+      if (triedUrls.has(rpcUrl)) {
+        continue;
+      }
+
+      // Skip URLs whose circuit is open or that serve another chain
+      if (!this.isUrlCallable(rpcUrl, rpcUrls)) {
         if (process.env.NODE_ENV !== 'test') {
-          console.log(`Skipping unhealthy RPC URL: ${this.sanitizeUrl(rpcUrl)}`);
+          console.log(`Skipping unavailable RPC URL: ${this.sanitizeUrl(rpcUrl)}`);
         }
         continue;
       }
@@ -54,33 +200,39 @@ export class EthereumService {
             console.log(`Retry ${retry}/${this.maxRetriesPerUrl} for ${this.sanitizeUrl(rpcUrl)}`);
           }
 
-          const response = await axios.post(rpcUrl, {
-            jsonrpc: '2.0',
-            method: method,
-            params: params,
-            id: requestId
-          }, {
-            headers: {
-              'Content-Type': 'application/json'
-            },
-            timeout: 30000 // 30 second timeout
-          });
+          // The first attempt of a read-only call may be hedged with the next URL
+          const hedgeUrl = hedgeAvailable ? this.getHedgeUrl(rpcUrls, urlIndex) : null;
+          hedgeAvailable = false;
+
+          // JSON-RPC error responses don't count against the provider's circuit
+          const startTime = Date.now();
+          const { url: servedBy, response } = hedgeUrl
+            ? await this.hedgedPost(method, rpcUrl, hedgeUrl, payload, triedUrls)
+            : { url: rpcUrl, response: await this.executeOn(rpcUrl, rpcUrls, () => this.postCall(rpcUrl, payload)) };
+          this.recordMethodLatency(method, Date.now() - startTime);
 
+          // The provider answered: a JSON-RPC error is the final answer for
+          // the call, not a provider failure
+          this.updateUrlMetrics(servedBy, true);
           if (response.data.error) {
-            throw new Error(`RPC Error: ${response.data.error.message}`);
+            throw createRPCError(response.data.error);
           }
 
-          // Success! Update metrics
-          this.updateUrlMetrics(rpcUrl, true);
+          if (method === 'eth_blockNumber') {
+            this.recordHead(response.data.result);
+          }
 
           // Log if we used a fallback URL
-          if (urlIndex > 0 && process.env.NODE_ENV !== 'test') {
-            console.log(`Successfully used fallback RPC URL: ${this.sanitizeUrl(rpcUrl)} after ${attemptCount} total attempts`);
+          if ((urlIndex > 0 || servedBy !== rpcUrl) && process.env.NODE_ENV !== 'test') {
+            console.log(`Successfully used fallback RPC URL: ${this.sanitizeUrl(servedBy)} after ${attemptCount} total attempts`);
           }
 
           return response.data.result;
 
         } catch (error) {
+          if (error.rpcError) {
+            throw error;
+          }
           lastError = error;
 
           // Update metrics for this URL
@@ -95,7 +247,7 @@ export class EthereumService {
           // Log the failure and try next URL
           if (process.env.NODE_ENV !== 'test') {
             const errorMsg = this.getErrorMessage(error);
-            if (urlIndex < this.rpcUrls.length - 1) {
+            if (urlIndex < rpcUrls.length - 1) {
               console.error(`RPC call failed on ${this.sanitizeUrl(rpcUrl)}: ${errorMsg}, trying next URL...`);
             } else if (retry === this.maxRetriesPerUrl - 1) {
               console.error(`RPC call failed on ${this.sanitizeUrl(rpcUrl)}: ${errorMsg}, no more URLs to try`);
@@ -108,12 +260,379 @@ export class EthereumService {
       }
     }
 
+    if (!lastError) {
+      throw this.allProvidersOpenError();
+    }
+
     // All URLs failed - throw the last error
     const errorMessage = this.getErrorMessage(lastError);
     if (process.env.NODE_ENV !== 'test') {
       console.error(`All RPC URLs failed after ${attemptCount} attempts. Last error: ${errorMessage}`);
     }
-    throw new Error(`All RPC endpoints failed: ${errorMessage}`);
+    const error = new Error(`All RPC endpoints failed: ${errorMessage}`);
+    error.code = 'ALL_PROVIDERS_FAILED';
+    throw error;
+  }
+
+  // POST a JSON-RPC payload to an upstream URL, recording latency metrics
+  async post(rpcUrl, payload, options = {}) {
+    const labels = { url: this.sanitizeUrl(rpcUrl) };
+    const metrics = this.urlMetrics.get(rpcUrl);
+    const startTime = Date.now();
+    if (metrics) metrics.outstanding++;
+
+    try {
+      const response = await axios.post(rpcUrl, payload, {
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        timeout: this.timeout,
+        signal: options.signal
+      });
+      upstreamRequests.inc({ ...labels, status: 'success' });
+      this.recordLatency(rpcUrl, Date.now() - startTime);
+      return response;
+    } catch (error) {
+      upstreamRequests.inc({ ...labels, status: this.isCancellation(error) ? 'cancelled' : 'error' });
+      throw error;
+    } finally {
+      if (metrics) metrics.outstanding--;
+      upstreamLatency.observe(labels, (Date.now() - startTime) / 1000);
+    }
+  }
+
+  // POST a single call; an HTTP error status carrying a JSON-RPC error is the
+  // provider's answer to the call, not a transport failure
+  async postCall(rpcUrl, payload, options = {}) {
+    try {
+      return await this.post(rpcUrl, payload, options);
+    } catch (error) {
+      if (this.isRPCErrorResponse(error.response)) {
+        return error.response;
+      }
+      throw error;
+    }
+  }
+
+  // Whether hedging applies to a method (never for non-idempotent methods)
+  shouldHedge(method) {
+    return this.hedging.enabled && getMethodCacheConfig(method).category !== 'neverCache';
+  }
+
+  // Get the next URL after urlIndex that can take a hedged request
+  getHedgeUrl(rpcUrls, urlIndex) {
+    return rpcUrls.slice(urlIndex + 1).find(url => this.isUrlAvailable(url)) || null;
+  }
+
+  // Send a call to rpcUrl and, if it hasn't answered within the hedge delay,
+  // to hedgeUrl as well; the first answer wins and the other request is cancelled
+  hedgedPost(method, rpcUrl, hedgeUrl, payload, failedUrls) {
+    return new Promise((resolve, reject) => {
+      const controllers = new Map();
+      const errors = new Map();
+      let settled = false;
+      let timer = null;
+
+      const finish = (outcome) => {
+        settled = true;
+        clearTimeout(timer);
+        controllers.forEach((controller, url) => {
+          if (url !== outcome.url) controller.abort();
+        });
+        if (outcome.error) {
+          reject(outcome.error);
+        } else {
+          resolve(outcome);
+        }
+      };
+
+      const send = (url) => {
+        const controller = new AbortController();
+        controllers.set(url, controller);
+
+        this.breakers.get(url).execute(() => this.postCall(url, payload, { signal: controller.signal })).then(
+          (response) => {
+            if (settled) return;
+            if (url === hedgeUrl) {
+              this.hedgeMetrics.hedgeWins++;
+              upstreamHedges.inc({ winner: 'hedge' });
+            } else if (controllers.has(hedgeUrl)) {
+              upstreamHedges.inc({ winner: 'primary' });
+            }
+            finish({ url, response });
+          },
+          (error) => {
+            if (settled) return;
+            errors.set(url, error);
+            if (url === hedgeUrl) {
+              this.updateUrlMetrics(hedgeUrl, false, error.message);
+              failedUrls.add(hedgeUrl);
+            }
+            // Give up once every request that was sent has failed
+            if ([...controllers.keys()].every(sentUrl => errors.has(sentUrl))) {
+              finish({ url: null, error: errors.get(rpcUrl) || error });
+            }
+          }
+        );
+      };
+
+      send(rpcUrl);
+      timer = setTimeout(() => {
+        if (settled || errors.has(rpcUrl)) return;
+        this.hedgeMetrics.hedged++;
+        send(hedgeUrl);
+      }, this.getHedgeDelay(method));
+    });
+  }
+
+  // Delay before hedging a call: the configured percentile of recent latencies
+  getHedgeDelay(method) {
+    const samples = this.methodLatencies.get(method);
+    if (!samples || samples.length < this.hedging.minSamples) {
+      return this.hedging.defaultDelay;
+    }
+
+    const sorted = [...samples].sort((a, b) => a - b);
+    const index = Math.min(sorted.length - 1, Math.ceil(sorted.length * this.hedging.percentile / 100) - 1);
+    return Math.max(this.hedging.minDelay, sorted[index]);
+  }
+
+  // Remember how long a method took upstream
+  recordMethodLatency(method, latency) {
+    if (!this.methodLatencies.has(method)) {
+      this.methodLatencies.set(method, []);
+    }
+    const samples = this.methodLatencies.get(method);
+    samples.push(latency);
+    if (samples.length > MAX_LATENCY_SAMPLES) {
+      samples.shift();
+    }
+  }
+
+  // Whether an error comes from cancelling the request
+  isCancellation(error) {
+    return error?.code === 'ERR_CANCELED' || error?.name === 'CanceledError';
+  }
+
+  // Update the latency moving average of a URL (successful requests only)
+  recordLatency(url, latency) {
+    const metrics = this.urlMetrics.get(url);
+    if (!metrics) return;
+
+    metrics.lastLatency = latency;
+    metrics.latencySamples++;
+    metrics.latencyEwma = metrics.latencyEwma === null
+      ? latency
+      : LATENCY_EWMA_ALPHA * latency + (1 - LATENCY_EWMA_ALPHA) * metrics.latencyEwma;
+  }
+
+  // Order URLs for a call: the routing strategy picks the first one,
+  // the others follow in configured order as fallbacks. Lagging providers
+  // only serve head-sensitive calls as a last resort.
+  getUrlOrder(options = {}) {
+    const poolUrls = this.getPoolUrls(options.pool);
+    const lagging = options.headSensitive
+      ? poolUrls.filter(url => this.urlMetrics.get(url).isLagging)
+      : [];
+    const urls = lagging.length > 0
+      ? [...poolUrls.filter(url => !lagging.includes(url)), ...lagging]
+      : poolUrls;
+
+    if (this.routingStrategy === 'failover' || urls.length === 1) {
+      return urls;
+    }
+
+    const healthy = urls.filter(url => this.isUrlAvailable(url) && !lagging.includes(url));
+    if (healthy.length === 0) {
+      return urls;
+    }
+
+    const primary = this.selectUrl(healthy);
+    return [primary, ...urls.filter(url => url !== primary)];
+  }
+
+  // Get the URLs of a pool (pools without URLs use the default pool)
+  getPoolUrls(pool = 'default') {
+    return this.pools[pool]?.length > 0 ? this.pools[pool] : this.pools.default;
+  }
+
+  // Get the latest known chain head (null if unknown)
+  getHead() {
+    return this.bestHead ?? this.lastKnownHead;
+  }
+
+  // Get the chain head if it is current: the probe keeps bestHead moving,
+  // but a head from eth_blockNumber traffic stops once that traffic is
+  // answered from the cache, so it only counts for maxAge ms
+  getRecentHead(maxAge) {
+    if (this.bestHead !== null) {
+      return this.bestHead;
+    }
+    return this.lastKnownHeadTime !== null && Date.now() - this.lastKnownHeadTime <= maxAge
+      ? this.lastKnownHead
+      : null;
+  }
+
+  // Remember a head height seen in eth_blockNumber traffic
+  recordHead(blockNumber) {
+    const height = parseInt(blockNumber, 16);
+    if (!Number.isNaN(height)) {
+      this.lastKnownHead = Math.max(this.lastKnownHead ?? 0, height);
+      this.lastKnownHeadTime = Date.now();
+    }
+  }
+
+  // Whether a call reads the chain head (and must avoid lagging providers)
+  isHeadSensitive(method, params = []) {
+    if (method === 'eth_blockNumber') {
+      return true;
+    }
+
+    if (method === 'eth_getLogs') {
+      const filter = params?.[0] || {};
+      return !filter.blockHash && (filter.toBlock === undefined || HEAD_TAGS.includes(filter.toBlock));
+    }
+
+    return HEAD_TAGS.includes(getBlockParam(method, params));
+  }
+
+  // Start probing every provider in the background
+  startHealthProbe() {
+    if (this.probeTimer) return;
+
+    this.probeTimer = setInterval(() => this.probeProviders(), this.probeInterval);
+    // Unref the timer so it doesn't block process exit
+    if (this.probeTimer.unref) {
+      this.probeTimer.unref();
+    }
+    this.probeProviders();
+  }
+
+  // Stop the background probe
+  stopHealthProbe() {
+    if (this.probeTimer) {
+      clearInterval(this.probeTimer);
+      this.probeTimer = null;
+    }
+  }
+
+  // Probe every provider once and mark the ones behind the best head as lagging
+  async probeProviders() {
+    await Promise.all(this.allUrls.map(url => this.probeUrl(url)));
+
+    // Providers of another chain must not move the best head
+    const heads = this.allUrls
+      .filter(url => !this.urlMetrics.get(url).quarantined)
+      .map(url => this.urlMetrics.get(url).headBlock)
+      .filter(head => head !== null);
+    this.bestHead = heads.length > 0 ? Math.max(...heads) : null;
+
+    this.allUrls.forEach(url => {
+      const metrics = this.urlMetrics.get(url);
+      metrics.lag = this.bestHead !== null && metrics.headBlock !== null
+        ? this.bestHead - metrics.headBlock
+        : null;
+
+      const isLagging = metrics.syncing || (metrics.lag !== null && metrics.lag > this.maxBlockLag);
+      if (isLagging !== metrics.isLagging && process.env.NODE_ENV !== 'test') {
+        console.log(isLagging
+          ? `RPC URL ${this.sanitizeUrl(url)} is lagging ${metrics.lag} blocks behind${metrics.syncing ? ' (syncing)' : ''}`
+          : `RPC URL ${this.sanitizeUrl(url)} caught up with the head`);
+      }
+      metrics.isLagging = isLagging;
+    });
+  }
+
+  // Fetch the head and sync status of one provider
+  async probeUrl(url) {
+    const metrics = this.urlMetrics.get(url);
+    const breaker = this.breakers.get(url);
+
+    // Providers not verified yet (or quarantined) are checked again
+    if (this.chainVerification.enabled && (metrics.chainId === null || metrics.quarantined)) {
+      await this.verifyUrl(url);
+    }
+
+    const probe = async () => {
+      const [blockNumber, syncing] = await Promise.all([
+        this.post(url, { jsonrpc: '2.0', method: 'eth_blockNumber', params: [], id: ++this.requestId }),
+        this.post(url, { jsonrpc: '2.0', method: 'eth_syncing', params: [], id: ++this.requestId })
+      ]);
+
+      if (blockNumber.data.error) {
+        throw new Error(`RPC Error: ${blockNumber.data.error.message}`);
+      }
+
+      return {
+        head: parseInt(blockNumber.data.result, 16),
+        syncing: !syncing.data.error && Boolean(syncing.data.result)
+      };
+    };
+
+    try {
+      // Providers with an open circuit are probed directly; once they answer,
+      // the circuit goes half-open so real traffic can confirm the recovery
+      const result = breaker.isAllowed() ? await breaker.execute(probe) : await probe();
+      breaker.attemptReset();
+
+      metrics.headBlock = Number.isNaN(result.head) ? null : result.head;
+      metrics.syncing = result.syncing;
+      metrics.lastProbeTime = Date.now();
+      metrics.lastProbeError = null;
+      this.updateUrlMetrics(url, true);
+    } catch (error) {
+      const errorMessage = this.getErrorMessage(error);
+      metrics.headBlock = null;
+      metrics.syncing = false;
+      metrics.lastProbeTime = Date.now();
+      metrics.lastProbeError = errorMessage;
+      this.updateUrlMetrics(url, false, errorMessage);
+    }
+  }
+
+  // Pick a URL from the healthy candidates according to the routing strategy
+  selectUrl(candidates) {
+    switch (this.routingStrategy) {
+      case 'round-robin':
+        return candidates[this.currentUrlIndex++ % candidates.length];
+
+      case 'weighted': {
+        // Smooth weighted round-robin: spreads picks evenly within each cycle
+        let selected = null;
+        let totalWeight = 0;
+        candidates.forEach(url => {
+          const metrics = this.urlMetrics.get(url);
+          const weight = this.getWeight(url);
+          metrics.currentWeight += weight;
+          totalWeight += weight;
+          if (!selected || metrics.currentWeight > this.urlMetrics.get(selected).currentWeight) {
+            selected = url;
+          }
+        });
+        this.urlMetrics.get(selected).currentWeight -= totalWeight;
+        return selected;
+      }
+
+      case 'least-latency':
+        // Providers without samples go first so every provider gets measured
+        return candidates.reduce((best, url) =>
+          (this.urlMetrics.get(url).latencyEwma ?? 0) < (this.urlMetrics.get(best).latencyEwma ?? 0) ? url : best
+        );
+
+      case 'least-outstanding':
+        return candidates.reduce((best, url) =>
+          this.urlMetrics.get(url).outstanding < this.urlMetrics.get(best).outstanding ? url : best
+        );
+
+      default:
+        return candidates[0];
+    }
+  }
+
+  // Get the load balancing weight of a provider (default 1)
+  getWeight(url) {
+    const weight = this.providerOptions[url]?.weight;
+    return typeof weight === 'number' && weight > 0 ? weight : 1;
   }
 
   // Helper method to sanitize URL for logging (hide API keys)
@@ -138,28 +657,109 @@ export class EthereumService {
       metrics.successCount++;
       metrics.lastSuccessTime = Date.now();
       metrics.failureCount = 0; // Reset consecutive failures
-      metrics.isHealthy = true;
     } else {
       metrics.failureCount++;
       metrics.lastError = errorMessage;
       metrics.lastErrorTime = Date.now();
+    }
+  }
 
-      // Mark as unhealthy after 3 consecutive failures
-      if (metrics.failureCount >= 3) {
-        metrics.isHealthy = false;
-
-        // Schedule health check to re-enable after some time
-        if (!metrics.healthCheckTimer) {
-          metrics.healthCheckTimer = setTimeout(() => {
-            metrics.isHealthy = true;
-            metrics.healthCheckTimer = null;
-            if (process.env.NODE_ENV !== 'test') {
-              console.log(`Re-enabling RPC URL for health check: ${this.sanitizeUrl(url)}`);
-            }
-          }, 60000); // Re-enable after 1 minute
+  // Whether a URL may receive traffic (not quarantined, circuit not open)
+  isUrlAvailable(url) {
+    return !this.urlMetrics.get(url).quarantined && this.breakers.get(url).isAllowed();
+  }
+
+  // Whether a URL may take a call among rpcUrls. A lone URL is not gated by
+  // its circuit: with nothing to fail over to, refusing it would only turn a
+  // flaky provider into an outage (the handler's breaker still guards it).
+  isUrlCallable(url, rpcUrls) {
+    return rpcUrls.length === 1 ? !this.urlMetrics.get(url).quarantined : this.isUrlAvailable(url);
+  }
+
+  // Send a request to a URL through its circuit breaker, unless it is the
+  // only URL of the call
+  executeOn(url, rpcUrls, fn) {
+    return rpcUrls.length === 1 ? fn() : this.breakers.get(url).execute(fn);
+  }
+
+  /**
+   * Check eth_chainId of every provider and quarantine the ones serving
+   * another chain. Without a configured chain ID, the chain reported by most
+   * providers is expected (ties go to the first listed provider).
+   * Unreachable providers stay usable and are checked when they come back.
+   * @returns {Promise<number|null>} - Verified chain ID (null if no provider answered)
+   * @throws {Error} - On a mismatch when CHAIN_ID_MISMATCH is 'refuse'
+   */
+  async verifyChainIds() {
+    const reported = await Promise.all(this.allUrls.map(url => this.fetchChainId(url)));
+
+    if (this.expectedChainId === null) {
+      const counts = new Map();
+      reported.filter(chainId => chainId !== null).forEach(chainId => {
+        counts.set(chainId, (counts.get(chainId) || 0) + 1);
+      });
+      let majority = null;
+      counts.forEach((count, chainId) => {
+        if (majority === null || count > counts.get(majority)) {
+          majority = chainId;
         }
-      }
+      });
+      this.chainId = majority;
+    }
+
+    this.allUrls.forEach((url, index) => this.applyChainId(url, reported[index]));
+
+    const mismatched = this.allUrls.filter(url => this.urlMetrics.get(url).quarantined);
+    if (mismatched.length > 0 && this.chainVerification.onMismatch === 'refuse') {
+      const details = mismatched
+        .map(url => `${this.sanitizeUrl(url)} reports ${this.urlMetrics.get(url).chainId}`)
+        .join(', ');
+      throw new Error(`Chain ID mismatch (expected ${this.chainId}): ${details}`);
     }
+
+    return this.chainId;
+  }
+
+  // Check eth_chainId of one provider (on reconnection or while quarantined)
+  async verifyUrl(url) {
+    const chainId = await this.fetchChainId(url);
+    if (this.chainId === null) {
+      this.chainId = chainId; // no provider answered at startup
+    }
+    this.applyChainId(url, chainId);
+  }
+
+  // Ask a provider for its chain ID (null if it doesn't answer)
+  async fetchChainId(url) {
+    try {
+      const response = await this.post(url, { jsonrpc: '2.0', method: 'eth_chainId', params: [], id: ++this.requestId });
+      const chainId = parseInt(response.data.result, 16);
+      return Number.isNaN(chainId) ? null : chainId;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Record the chain ID a provider reported, quarantining it on a mismatch
+  applyChainId(url, chainId) {
+    if (chainId === null) return;
+
+    const metrics = this.urlMetrics.get(url);
+    const quarantined = this.chainId !== null && chainId !== this.chainId;
+    if (quarantined !== metrics.quarantined && process.env.NODE_ENV !== 'test') {
+      console.warn(quarantined
+        ? `RPC URL ${this.sanitizeUrl(url)} reports chain ${chainId}, expected ${this.chainId} - quarantined`
+        : `RPC URL ${this.sanitizeUrl(url)} reports chain ${chainId} again - released from quarantine`);
+    }
+    metrics.chainId = chainId;
+    metrics.quarantined = quarantined;
+  }
+
+  // Error thrown when every provider's circuit is open
+  allProvidersOpenError() {
+    const error = new Error('All RPC endpoints failed: every provider circuit is open');
+    error.code = 'ALL_PROVIDERS_OPEN';
+    return error;
   }
 
   // Determine if error is retryable with same URL
@@ -195,16 +795,36 @@ export class EthereumService {
   // Get current health status of all URLs
   getUrlHealthStatus() {
     const status = [];
-    this.rpcUrls.forEach(url => {
+    this.allUrls.forEach(url => {
       const metrics = this.urlMetrics.get(url);
+      const breaker = this.breakers.get(url).getMetrics();
       status.push({
         url: this.sanitizeUrl(url),
-        healthy: metrics.isHealthy,
+        pools: Object.keys(this.pools).filter(pool => this.pools[pool].includes(url)),
+        healthy: breaker.state !== 'OPEN' && !metrics.quarantined,
+        chainId: metrics.chainId,
+        quarantined: metrics.quarantined,
+        circuitState: breaker.state,
+        circuitNextAttemptIn: breaker.nextAttemptIn,
         failureCount: metrics.failureCount,
         successCount: metrics.successCount,
         lastError: metrics.lastError,
         lastErrorTime: metrics.lastErrorTime,
-        lastSuccessTime: metrics.lastSuccessTime
+        lastSuccessTime: metrics.lastSuccessTime,
+        batchSupported: metrics.batchSupported,
+        weight: this.getWeight(url),
+        outstanding: metrics.outstanding,
+        latency: {
+          ewma: metrics.latencyEwma === null ? null : Math.round(metrics.latencyEwma),
+          last: metrics.lastLatency,
+          samples: metrics.latencySamples
+        },
+        headBlock: metrics.headBlock,
+        lag: metrics.lag,
+        lagging: metrics.isLagging,
+        syncing: metrics.syncing,
+        lastProbeTime: metrics.lastProbeTime,
+        lastProbeError: metrics.lastProbeError
       });
     });
     return status;
@@ -228,34 +848,67 @@ export class EthereumService {
     return result;
   }
 
-  // Batch RPC calls with automatic fallback
+  // Batch RPC calls with automatic fallback, split by upstream pool
   async batchCall(requests) {
-    const batchRequests = requests.map((req, index) => ({
-      jsonrpc: '2.0',
-      method: req.method,
-      params: req.params || [],
-      id: index + 1
-    }));
+    const head = this.getHead();
+    const groups = new Map(); // pool -> request indexes
+    requests.forEach((req, index) => {
+      const pool = getMethodPool(req.method, req.params, head);
+      const key = this.pools[pool]?.length > 0 ? pool : 'default';
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(index);
+    });
+
+    let results;
+    if (groups.size <= 1) {
+      results = await this.batchCallPool(requests, groups.keys().next().value);
+    } else {
+      results = new Array(requests.length);
+      await Promise.all([...groups].map(async ([pool, indexes]) => {
+        const poolResults = await this.batchCallPool(indexes.map(index => requests[index]), pool);
+        indexes.forEach((requestIndex, i) => {
+          results[requestIndex] = poolResults[i];
+        });
+      }));
+    }
 
+    // Retry state reads a full node had already pruned on the archive pool
+    const pruned = this.pools.archive.length > 0
+      ? (groups.get('default') || []).filter(index =>
+        isPrunedStateError(requests[index].method, requests[index].params, results[index].error))
+      : [];
+    if (pruned.length > 0) {
+      try {
+        const archiveResults = await this.batchCallPool(pruned.map(index => requests[index]), 'archive');
+        pruned.forEach((requestIndex, i) => {
+          results[requestIndex] = archiveResults[i];
+        });
+      } catch {
+        // Keep the full node's answers when the archive pool is unavailable
+      }
+    }
+    return results;
+  }
+
+  // Batch RPC calls to one pool with automatic fallback
+  async batchCallPool(requests, pool = 'default') {
     let lastError = null;
+    const rpcUrls = this.getUrlOrder({
+      pool,
+      headSensitive: requests.some(req => this.isHeadSensitive(req.method, req.params))
+    });
 
     // Try each RPC URL in sequence until one succeeds
-    for (let urlIndex = 0; urlIndex < this.rpcUrls.length; urlIndex++) {
-      const rpcUrl = this.rpcUrls[urlIndex];
-      const metrics = this.urlMetrics.get(rpcUrl);
+    for (let urlIndex = 0; urlIndex < rpcUrls.length; urlIndex++) {
+      const rpcUrl = rpcUrls[urlIndex];
 
-      // Skip unhealthy URLs if we have alternatives
-      if (!metrics.isHealthy && this.rpcUrls.length > 1 && urlIndex < this.rpcUrls.length - 1) {
+      // Skip URLs whose circuit is open or that serve another chain
+      if (!this.isUrlCallable(rpcUrl, rpcUrls)) {
         continue;
       }
 
       try {
-        const response = await axios.post(rpcUrl, batchRequests, {
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          timeout: 30000
-        });
+        const results = await this.executeOn(rpcUrl, rpcUrls, () => this.sendBatch(rpcUrl, requests));
 
         // Success! Update metrics
         this.updateUrlMetrics(rpcUrl, true);
@@ -265,19 +918,7 @@ export class EthereumService {
           console.log(`Batch call successfully used fallback RPC URL: ${this.sanitizeUrl(rpcUrl)}`);
         }
 
-        // Map responses back to match request order
-        const responseMap = {};
-        response.data.forEach(res => {
-          responseMap[res.id] = res;
-        });
-
-        return requests.map((req, index) => {
-          const res = responseMap[index + 1];
-          if (res.error) {
-            return { error: res.error };
-          }
-          return { result: res.result };
-        });
+        return results;
 
       } catch (error) {
         lastError = error;
@@ -285,17 +926,131 @@ export class EthereumService {
 
         if (process.env.NODE_ENV !== 'test') {
           const errorMsg = this.getErrorMessage(error);
-          if (urlIndex < this.rpcUrls.length - 1) {
+          if (urlIndex < rpcUrls.length - 1) {
             console.error(`Batch RPC call failed on ${this.sanitizeUrl(rpcUrl)}: ${errorMsg}, trying next URL...`);
           }
         }
       }
     }
 
+    if (!lastError) {
+      throw this.allProvidersOpenError();
+    }
+
     // All URLs failed
     if (process.env.NODE_ENV !== 'test') {
       console.error('All RPC URLs failed for batch call');
     }
     throw lastError;
   }
-}
\ No newline at end of file
+
+  // Send requests to one provider, split to the provider's max batch size
+  async sendBatch(rpcUrl, requests) {
+    const maxBatch = this.getMaxBatchSize(rpcUrl);
+    if (maxBatch <= 1) {
+      return this.sendIndividually(rpcUrl, requests);
+    }
+
+    const chunks = [];
+    for (let i = 0; i < requests.length; i += maxBatch) {
+      chunks.push(requests.slice(i, i + maxBatch));
+    }
+
+    const results = await Promise.all(chunks.map(chunk => this.postBatch(rpcUrl, chunk)));
+    return results.flat();
+  }
+
+  // POST one JSON-RPC batch and map the responses back to request order
+  async postBatch(rpcUrl, requests) {
+    const batchRequests = requests.map((req, index) => ({
+      jsonrpc: '2.0',
+      method: req.method,
+      params: req.params || [],
+      id: index + 1
+    }));
+
+    let response;
+    try {
+      response = await this.post(rpcUrl, batchRequests);
+    } catch (error) {
+      if (!this.isBatchRejection(error.response)) {
+        throw error;
+      }
+      response = error.response;
+    }
+
+    // Providers that don't support batches answer with a single error object
+    if (!Array.isArray(response.data)) {
+      this.urlMetrics.get(rpcUrl).batchSupported = false;
+      if (process.env.NODE_ENV !== 'test') {
+        console.warn(`${this.sanitizeUrl(rpcUrl)} rejected a batch request, using single calls`);
+      }
+      return this.sendIndividually(rpcUrl, requests);
+    }
+
+    const responseMap = {};
+    response.data.forEach(res => {
+      responseMap[res.id] = res;
+    });
+
+    return requests.map((req, index) => {
+      const res = responseMap[index + 1];
+      if (!res) {
+        return { error: { code: -32603, message: 'Missing response in upstream batch' } };
+      }
+      if (res.error) {
+        return { error: res.error };
+      }
+      return { result: res.result };
+    });
+  }
+
+  // Send requests to one provider as separate single calls
+  async sendIndividually(rpcUrl, requests) {
+    return Promise.all(requests.map(async (req) => {
+      const response = await this.post(rpcUrl, {
+        jsonrpc: '2.0',
+        method: req.method,
+        params: req.params || [],
+        id: ++this.requestId
+      });
+
+      if (response.data.error) {
+        return { error: response.data.error };
+      }
+      return { result: response.data.result };
+    }));
+  }
+
+  // A 4xx answer carrying a JSON-RPC error means the batch itself was refused
+  // (rate limiting excluded)
+  isBatchRejection(response) {
+    return Boolean(
+      response &&
+      response.status >= 400 &&
+      response.status < 500 &&
+      response.status !== 429 &&
+      response.data?.error
+    );
+  }
+
+  // An HTTP error status carrying a JSON-RPC error object (rate limiting
+  // excluded, it is a provider failure and moves on to the next provider)
+  isRPCErrorResponse(response) {
+    return Boolean(
+      response &&
+      response.status >= 400 &&
+      response.status !== 429 &&
+      typeof response.data?.error?.code === 'number'
+    );
+  }
+
+  // Get the largest batch a provider accepts (1 means no batching)
+  getMaxBatchSize(url) {
+    const metrics = this.urlMetrics.get(url);
+    if (metrics && metrics.batchSupported === false) {
+      return 1;
+    }
+    return this.providerOptions[url]?.maxBatch || Infinity;
+  }
+}
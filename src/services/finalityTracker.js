@@ -0,0 +1,144 @@
+import { config } from '../config/index.js';
+import { setFinalizedHeight } from '../config/methodCaching.js';
+
+/**
+ * FinalityTracker periodically asks the upstream for its finalized (and
+ * optionally safe) block so everything at or below it can be cached permanently
+ */
+export class FinalityTracker {
+  constructor(ethereumService, options = {}) {
+    this.ethereumService = ethereumService;
+
+    // Configuration
+    this.pollInterval = options.pollInterval || config.finality?.pollInterval || 60000;
+    this.useSafe = options.useSafe ?? config.finality?.useSafe ?? false;
+    this.chainId = options.chainId ?? null; // chain from CHAINS, null for the default chain
+
+    // State
+    this.finalizedHeight = null;
+    this.safeHeight = null;
+    this.timer = null;
+
+    // Metrics
+    this.metrics = {
+      polls: 0,
+      pollErrors: 0,
+      lastUpdateTime: null
+    };
+  }
+
+  /**
+   * Start polling the upstream finality tags
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.poll(), this.pollInterval);
+    // Unref the timer so it doesn't block process exit
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+    this.poll();
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Fetch the height of a block tag
+   * @param {string} tag - 'finalized' or 'safe'
+   * @returns {Promise<number|null>} - Block height or null if unsupported
+   */
+  async fetchTagHeight(tag) {
+    const block = await this.ethereumService.getBlockByNumber(tag, false);
+    return block ? parseInt(block.number, 16) : null;
+  }
+
+  /**
+   * Poll the upstream finality tags once
+   */
+  async poll() {
+    this.metrics.polls++;
+
+    try {
+      const finalized = await this.fetchTagHeight('finalized');
+      if (finalized !== null) {
+        // Finality never moves backwards
+        this.finalizedHeight = Math.max(this.finalizedHeight ?? 0, finalized);
+      }
+
+      if (this.useSafe) {
+        const safe = await this.fetchTagHeight('safe');
+        if (safe !== null) {
+          this.safeHeight = Math.max(this.safeHeight ?? 0, safe);
+        }
+      }
+
+      const immutableHeight = this.getImmutableHeight();
+      if (immutableHeight !== null) {
+        setFinalizedHeight(immutableHeight, this.chainId);
+        this.metrics.lastUpdateTime = Date.now();
+      }
+    } catch (error) {
+      this.metrics.pollErrors++;
+      if (process.env.NODE_ENV !== 'test') {
+        console.error('Finality tracker poll failed:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Get the height treated as immutable
+   * @returns {number|null} - Safe height when enabled, otherwise finalized height
+   */
+  getImmutableHeight() {
+    if (this.useSafe && this.safeHeight !== null) {
+      return Math.max(this.safeHeight, this.finalizedHeight ?? 0);
+    }
+    return this.finalizedHeight;
+  }
+
+  /**
+   * Get the latest finalized height
+   * @returns {number|null} - Finalized height or null if not known yet
+   */
+  getFinalizedHeight() {
+    return this.finalizedHeight;
+  }
+
+  /**
+   * Get the latest safe height
+   * @returns {number|null} - Safe height or null if not tracked
+   */
+  getSafeHeight() {
+    return this.safeHeight;
+  }
+
+  /**
+   * Get finality tracker metrics
+   * @returns {Object} - Metrics object
+   */
+  getMetrics() {
+    return {
+      ...this.metrics,
+      running: this.timer !== null,
+      finalizedHeight: this.finalizedHeight,
+      safeHeight: this.safeHeight
+    };
+  }
+
+  /**
+   * Reset metrics
+   */
+  resetMetrics() {
+    this.metrics.polls = 0;
+    this.metrics.pollErrors = 0;
+  }
+}
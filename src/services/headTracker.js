@@ -0,0 +1,329 @@
+import { config } from '../config/index.js';
+import { getBlockParam } from '../config/methodCaching.js';
+
+// Block tags that resolve relative to the current chain head
+const HEAD_TAGS = ['latest', 'pending', 'safe', 'finalized'];
+
+/**
+ * Resolve a block parameter (hex number, tag or EIP-1898 object) to a height
+ * @param {*} blockParam - Block parameter from the request
+ * @param {number|null} headNumber - Current head used for head-relative tags
+ * @returns {number|null} - Block height or null if it can't be determined
+ */
+function resolveBlockHeight(blockParam, headNumber) {
+  if (blockParam === null || blockParam === undefined) return null;
+
+  if (typeof blockParam === 'object') {
+    return blockParam.blockNumber ? resolveBlockHeight(blockParam.blockNumber, headNumber) : null;
+  }
+
+  if (HEAD_TAGS.includes(blockParam)) return headNumber;
+  if (blockParam === 'earliest') return null;
+
+  const height = parseInt(blockParam, 16);
+  return Number.isNaN(height) ? null : height;
+}
+
+/**
+ * HeadTracker follows the upstream chain head, remembers recent block hashes
+ * and purges cache entries derived from blocks that get reorged out
+ */
+export class HeadTracker {
+  constructor(ethereumService, cacheManager, options = {}) {
+    this.ethereumService = ethereumService;
+    this.cacheManager = cacheManager;
+
+    // Configuration
+    this.pollInterval = options.pollInterval || config.reorg?.pollInterval || 4000;
+    this.depth = options.depth || config.reorg?.depth || 64;
+
+    // Callbacks
+    this.onReorg = options.onReorg || (() => {});
+    this.onNewHead = options.onNewHead || (() => {});
+
+    // State
+    this.headNumber = null;
+    this.blockHashes = new Map(); // height -> canonical block hash
+    this.keyIndex = new Map(); // cache key -> { from, to } block range it was derived from
+    this.timer = null;
+    this.polling = false;
+
+    // Metrics
+    this.metrics = {
+      polls: 0,
+      pollErrors: 0,
+      reorgsDetected: 0,
+      deepestReorg: 0,
+      keysPurged: 0,
+      lastReorgTime: null
+    };
+  }
+
+  /**
+   * Start polling the upstream head
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.poll(), this.pollInterval);
+    // Unref the timer so it doesn't block process exit
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+    this.poll();
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Check if the tracker is polling
+   * @returns {boolean} - True if running
+   */
+  isRunning() {
+    return this.timer !== null;
+  }
+
+  /**
+   * Poll the upstream head once
+   */
+  async poll() {
+    // Skip if the previous poll is still walking the chain
+    if (this.polling) return;
+    this.polling = true;
+    this.metrics.polls++;
+
+    try {
+      const head = parseInt(await this.ethereumService.getBlockNumber(), 16);
+      await this.sync(head);
+    } catch (error) {
+      this.metrics.pollErrors++;
+      if (process.env.NODE_ENV !== 'test') {
+        console.error('Head tracker poll failed:', error.message);
+      }
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Fetch a block header by height
+   * @param {number} height - Block height
+   * @returns {Promise<Object>} - Block with number, hash and parentHash
+   */
+  async fetchBlock(height) {
+    const block = await this.ethereumService.getBlockByNumber(`0x${height.toString(16)}`, false);
+    if (!block) {
+      throw new Error(`Block ${height} not available upstream`);
+    }
+    return block;
+  }
+
+  /**
+   * Bring tracked hashes up to the given head, detecting reorgs on the way
+   * @param {number} head - Latest block number reported upstream
+   */
+  async sync(head) {
+    const headBlock = await this.fetchBlock(head);
+
+    if (this.headNumber === null) {
+      this.blockHashes.set(head, headBlock.hash);
+      this.headNumber = head;
+      this.onNewHead(head);
+      return;
+    }
+
+    // A provider behind us on the same chain is not a reorg
+    if (head <= this.headNumber && this.blockHashes.get(head) === headBlock.hash) {
+      return;
+    }
+
+    // Walk back along parent hashes until we connect to a block we already know
+    const floor = head - this.depth + 1;
+    const canonical = new Map([[head, headBlock.hash]]);
+    let cursor = headBlock;
+    let forkHeight = null;
+
+    while (parseInt(cursor.number, 16) - 1 >= floor) {
+      const parentHeight = parseInt(cursor.number, 16) - 1;
+      const known = this.blockHashes.get(parentHeight);
+
+      if (known === cursor.parentHash) break;
+
+      if (known === undefined && parentHeight <= this.headNumber) {
+        // Outside the tracked window, nothing to compare against
+        break;
+      }
+
+      if (known !== undefined) {
+        forkHeight = parentHeight;
+      }
+
+      cursor = await this.fetchBlock(parentHeight);
+      canonical.set(parentHeight, cursor.hash);
+    }
+
+    // The previous hash at the new head height may also have been replaced
+    const previousAtHead = this.blockHashes.get(head);
+    if (previousAtHead && previousAtHead !== headBlock.hash) {
+      forkHeight = forkHeight === null ? head : Math.min(forkHeight, head);
+    }
+
+    const previousHead = this.headNumber;
+    canonical.forEach((hash, height) => this.blockHashes.set(height, hash));
+
+    if (forkHeight !== null) {
+      // Heights above the new head belonged to the orphaned branch
+      for (let height = head + 1; height <= previousHead; height++) {
+        this.blockHashes.delete(height);
+      }
+      this.headNumber = head;
+      await this.handleReorg(forkHeight, Math.max(previousHead, head));
+    } else {
+      this.headNumber = Math.max(head, previousHead);
+    }
+
+    this.prune();
+
+    if (this.headNumber !== previousHead || forkHeight !== null) {
+      this.onNewHead(this.headNumber);
+    }
+  }
+
+  /**
+   * Purge everything cached from the reorged heights
+   * @param {number} fromHeight - Lowest reorged height
+   * @param {number} toHeight - Highest height of the orphaned branch
+   */
+  async handleReorg(fromHeight, toHeight) {
+    const depth = toHeight - fromHeight + 1;
+    this.metrics.reorgsDetected++;
+    this.metrics.deepestReorg = Math.max(this.metrics.deepestReorg, depth);
+    this.metrics.lastReorgTime = Date.now();
+
+    if (process.env.NODE_ENV !== 'test') {
+      console.warn(`Reorg detected: blocks ${fromHeight}-${toHeight} replaced (depth ${depth})`);
+    }
+
+    const keys = [];
+    for (const [key, range] of this.keyIndex) {
+      if (range.to >= fromHeight && range.from <= toHeight) {
+        keys.push(key);
+      }
+    }
+
+    if (keys.length > 0) {
+      await this.cacheManager.purgeKeys(keys);
+      keys.forEach(key => this.keyIndex.delete(key));
+      this.metrics.keysPurged += keys.length;
+    }
+
+    this.onReorg(fromHeight, toHeight, keys.length);
+  }
+
+  /**
+   * Remember which block heights a cache entry was derived from
+   * @param {string} cacheKey - Cache key of the entry
+   * @param {string} method - RPC method
+   * @param {Array} params - RPC params
+   * @param {*} result - Upstream result
+   */
+  recordCacheEntry(cacheKey, method, params, result) {
+    if (!this.isRunning() || this.headNumber === null || !cacheKey) return;
+
+    const heights = [];
+
+    if (method === 'eth_getLogs' && params && params[0]) {
+      const filter = params[0];
+      if (!filter.blockHash) {
+        heights.push(
+          resolveBlockHeight(filter.fromBlock || 'latest', this.headNumber),
+          resolveBlockHeight(filter.toBlock || 'latest', this.headNumber)
+        );
+      }
+    } else {
+      const blockParam = getBlockParam(method, params);
+      if (blockParam !== null) {
+        heights.push(resolveBlockHeight(blockParam, this.headNumber));
+      }
+    }
+
+    // Results carry their own block numbers (receipts, transactions, blocks, logs)
+    const items = Array.isArray(result) ? result : [result];
+    for (const item of items) {
+      if (item && typeof item === 'object') {
+        heights.push(resolveBlockHeight(item.blockNumber || item.number, this.headNumber));
+      }
+    }
+
+    const known = heights.filter(height => height !== null);
+    if (known.length === 0) return;
+
+    const range = { from: Math.min(...known), to: Math.max(...known) };
+
+    // Entries entirely below the watched window can't be reorged out
+    if (range.to < this.headNumber - this.depth) return;
+
+    this.keyIndex.set(cacheKey, range);
+  }
+
+  /**
+   * Drop hashes and index entries that fell out of the watched window
+   */
+  prune() {
+    const floor = this.headNumber - this.depth;
+
+    for (const height of this.blockHashes.keys()) {
+      if (height <= floor) {
+        this.blockHashes.delete(height);
+      }
+    }
+
+    for (const [key, range] of this.keyIndex) {
+      if (range.to <= floor) {
+        this.keyIndex.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Get the current head number
+   * @returns {number|null} - Head number or null if not known yet
+   */
+  getHeadNumber() {
+    return this.isRunning() ? this.headNumber : null;
+  }
+
+  /**
+   * Get head tracker metrics
+   * @returns {Object} - Metrics object
+   */
+  getMetrics() {
+    return {
+      ...this.metrics,
+      running: this.isRunning(),
+      headNumber: this.headNumber,
+      trackedBlocks: this.blockHashes.size,
+      indexedKeys: this.keyIndex.size
+    };
+  }
+
+  /**
+   * Reset metrics
+   */
+  resetMetrics() {
+    this.metrics.polls = 0;
+    this.metrics.pollErrors = 0;
+    this.metrics.reorgsDetected = 0;
+    this.metrics.deepestReorg = 0;
+    this.metrics.keysPurged = 0;
+    this.metrics.lastReorgTime = null;
+  }
+}
@@ -0,0 +1,407 @@
+import WebSocket from 'ws';
+import crypto from 'crypto';
+import { config } from '../config/index.js';
+import { normalizeParams } from '../utils/paramNormalizer.js';
+import { wsSubscriptions } from '../utils/metrics.js';
+
+// Subscription types accepted from clients
+const SUBSCRIPTION_TYPES = ['newHeads', 'logs', 'newPendingTransactions', 'syncing'];
+
+/**
+ * Build an error carrying a JSON-RPC error code
+ */
+function createRpcError(code, message, data) {
+  const error = new Error(message);
+  error.code = code;
+  if (data !== undefined) {
+    error.data = data;
+  }
+  return error;
+}
+
+/**
+ * SubscriptionManager multiplexes client eth_subscribe calls onto a single
+ * upstream WebSocket: every distinct topic (subscription type + filter) is
+ * subscribed upstream once and its events are fanned out to all clients.
+ */
+export class SubscriptionManager {
+  constructor(options = {}) {
+    // Configuration
+    // An explicit null upstream means subscriptions are not available
+    this.upstreamUrl = 'upstreamUrl' in options ? options.upstreamUrl : config.websocket?.upstreamUrl ?? null;
+    this.reconnectDelay = options.reconnectDelay ?? config.websocket?.reconnectDelay ?? 1000;
+    this.maxSubscriptionsPerClient = options.maxSubscriptionsPerClient
+      ?? config.websocket?.maxSubscriptionsPerClient ?? 100;
+    this.requestTimeout = options.requestTimeout ?? 10000;
+    this.createSocket = options.createSocket || ((url) => new WebSocket(url));
+
+    // Upstream connection state
+    this.socket = null;
+    this.connecting = null;
+    this.reconnectTimer = null;
+    this.closed = false;
+    this.nextRequestId = 1;
+    this.pendingRequests = new Map(); // request id -> { resolve, reject, timer }
+
+    // Subscription state
+    this.topics = new Map(); // topic key -> { params, upstreamId, subscribers, ready }
+    this.upstreamIds = new Map(); // upstream subscription id -> topic
+    this.clientSubscriptions = new Map(); // client subscription id -> { client, topicKey }
+    this.clients = new Map(); // client -> Set of client subscription ids
+
+    // Metrics
+    this.metrics = {
+      subscribes: 0,
+      unsubscribes: 0,
+      upstreamSubscribes: 0,
+      eventsReceived: 0,
+      eventsDelivered: 0,
+      reconnects: 0,
+      upstreamErrors: 0
+    };
+  }
+
+  /**
+   * Whether an upstream WebSocket is configured
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return Boolean(this.upstreamUrl);
+  }
+
+  /**
+   * Subscribe a client to a topic
+   * @param {Object} client - Client socket (anything with send())
+   * @param {Array} params - eth_subscribe params
+   * @returns {Promise<string>} - Subscription id handed to the client
+   */
+  async subscribe(client, params) {
+    if (!this.isAvailable()) {
+      throw createRpcError(-32601, 'Subscriptions are not available: UPSTREAM_WS_URL is not configured');
+    }
+
+    const normalized = normalizeParams('eth_subscribe', params);
+    if (!Array.isArray(normalized) || !SUBSCRIPTION_TYPES.includes(normalized[0])) {
+      throw createRpcError(-32602, `Unsupported subscription type: ${Array.isArray(params) ? params[0] : params}`);
+    }
+
+    if (!this.clients.has(client)) {
+      this.clients.set(client, new Set());
+    }
+    const clientSubscriptionIds = this.clients.get(client);
+    if (clientSubscriptionIds.size >= this.maxSubscriptionsPerClient) {
+      throw createRpcError(-32000, `Subscription limit of ${this.maxSubscriptionsPerClient} reached`);
+    }
+
+    const topicKey = JSON.stringify(normalized);
+    let topic = this.topics.get(topicKey);
+
+    if (!topic) {
+      topic = { params: normalized, upstreamId: null, subscribers: new Map(), ready: null };
+      this.topics.set(topicKey, topic);
+      topic.ready = this.subscribeUpstream(topic).catch((error) => {
+        this.topics.delete(topicKey);
+        throw error;
+      });
+    }
+
+    await topic.ready;
+
+    // The topic was released while we waited, start over
+    if (this.topics.get(topicKey) !== topic) {
+      return this.subscribe(client, params);
+    }
+
+    // The client went away while we waited
+    if (!this.clients.has(client)) {
+      await this.releaseTopic(topicKey);
+      throw createRpcError(-32000, 'Client disconnected');
+    }
+
+    const subscriptionId = `0x${crypto.randomBytes(16).toString('hex')}`;
+    topic.subscribers.set(subscriptionId, client);
+    this.clientSubscriptions.set(subscriptionId, { client, topicKey });
+    clientSubscriptionIds.add(subscriptionId);
+    this.metrics.subscribes++;
+    wsSubscriptions.inc();
+
+    return subscriptionId;
+  }
+
+  /**
+   * Unsubscribe a client subscription
+   * @param {Object} client - Client socket
+   * @param {string} subscriptionId - Client subscription id
+   * @returns {Promise<boolean>} - False if the subscription doesn't belong to the client
+   */
+  async unsubscribe(client, subscriptionId) {
+    const entry = this.clientSubscriptions.get(subscriptionId);
+    if (!entry || entry.client !== client) {
+      return false;
+    }
+
+    this.clientSubscriptions.delete(subscriptionId);
+    this.clients.get(client)?.delete(subscriptionId);
+    this.topics.get(entry.topicKey)?.subscribers.delete(subscriptionId);
+    this.metrics.unsubscribes++;
+    wsSubscriptions.dec();
+
+    await this.releaseTopic(entry.topicKey);
+    return true;
+  }
+
+  /**
+   * Drop all subscriptions of a disconnected client
+   * @param {Object} client - Client socket
+   */
+  async removeClient(client) {
+    const subscriptionIds = this.clients.get(client);
+    if (!subscriptionIds) return;
+
+    this.clients.delete(client);
+    await Promise.all(
+      Array.from(subscriptionIds).map(subscriptionId => this.unsubscribe(client, subscriptionId))
+    );
+  }
+
+  /**
+   * Unsubscribe a topic upstream once its last subscriber is gone
+   * @param {string} topicKey - Topic key
+   */
+  async releaseTopic(topicKey) {
+    const topic = this.topics.get(topicKey);
+    if (!topic || topic.subscribers.size > 0) return;
+
+    this.topics.delete(topicKey);
+    if (topic.upstreamId === null) return;
+
+    this.upstreamIds.delete(topic.upstreamId);
+    try {
+      await this.request('eth_unsubscribe', [topic.upstreamId]);
+    } catch (error) {
+      if (process.env.NODE_ENV !== 'test') {
+        console.error('Upstream eth_unsubscribe failed:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Create the upstream subscription for a topic
+   * @param {Object} topic - Topic
+   */
+  async subscribeUpstream(topic) {
+    const upstreamId = await this.request('eth_subscribe', topic.params);
+    topic.upstreamId = upstreamId;
+    this.upstreamIds.set(upstreamId, topic);
+    this.metrics.upstreamSubscribes++;
+  }
+
+  /**
+   * Send a JSON-RPC request over the upstream socket
+   * @param {string} method - RPC method
+   * @param {Array} params - Params
+   * @returns {Promise<*>} - Result
+   */
+  async request(method, params) {
+    await this.connect();
+
+    const id = this.nextRequestId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(id);
+        reject(createRpcError(-32603, `Upstream ${method} timed out`));
+      }, this.requestTimeout);
+      if (timer.unref) {
+        timer.unref();
+      }
+
+      this.pendingRequests.set(id, { resolve, reject, timer });
+      this.socket.send(JSON.stringify({ jsonrpc: '2.0', id, method, params }));
+    });
+  }
+
+  /**
+   * Open the upstream socket if it isn't open yet
+   * @returns {Promise<void>}
+   */
+  connect() {
+    if (this.closed) {
+      return Promise.reject(createRpcError(-32603, 'Subscription manager is closed'));
+    }
+    if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+      return Promise.resolve();
+    }
+
+    if (!this.connecting) {
+      this.connecting = new Promise((resolve, reject) => {
+        const socket = this.createSocket(this.upstreamUrl);
+        this.socket = socket;
+
+        socket.on('open', () => {
+          this.connecting = null;
+          resolve();
+        });
+        socket.on('message', (data) => this.handleUpstreamMessage(data));
+        socket.on('error', (error) => {
+          this.metrics.upstreamErrors++;
+          if (process.env.NODE_ENV !== 'test') {
+            console.error('Upstream WebSocket error:', error.message);
+          }
+        });
+        socket.on('close', () => {
+          if (this.connecting) {
+            this.connecting = null;
+            reject(createRpcError(-32603, 'Upstream WebSocket connection failed'));
+          }
+          this.handleUpstreamClose(socket);
+        });
+      });
+    }
+
+    return this.connecting;
+  }
+
+  /**
+   * Route an upstream message to a pending request or to subscribers
+   * @param {Buffer|string} data - Raw message
+   */
+  handleUpstreamMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch {
+      return;
+    }
+
+    if (message.id !== undefined && this.pendingRequests.has(message.id)) {
+      const pending = this.pendingRequests.get(message.id);
+      this.pendingRequests.delete(message.id);
+      clearTimeout(pending.timer);
+
+      if (message.error) {
+        pending.reject(createRpcError(message.error.code, message.error.message, message.error.data));
+      } else {
+        pending.resolve(message.result);
+      }
+      return;
+    }
+
+    if (message.method === 'eth_subscription' && message.params) {
+      const topic = this.upstreamIds.get(message.params.subscription);
+      if (!topic) return;
+
+      this.metrics.eventsReceived++;
+      for (const [subscriptionId, client] of topic.subscribers) {
+        this.send(client, {
+          jsonrpc: '2.0',
+          method: 'eth_subscription',
+          params: { subscription: subscriptionId, result: message.params.result }
+        });
+      }
+    }
+  }
+
+  /**
+   * Fail pending requests and schedule a reconnect after the upstream closed
+   * @param {Object} socket - The socket that closed
+   */
+  handleUpstreamClose(socket) {
+    if (this.socket !== socket) return;
+    this.socket = null;
+
+    for (const pending of this.pendingRequests.values()) {
+      clearTimeout(pending.timer);
+      pending.reject(createRpcError(-32603, 'Upstream WebSocket closed'));
+    }
+    this.pendingRequests.clear();
+
+    // Upstream subscription ids don't survive the connection
+    this.upstreamIds.clear();
+    for (const topic of this.topics.values()) {
+      topic.upstreamId = null;
+    }
+
+    if (!this.closed && this.topics.size > 0 && !this.reconnectTimer) {
+      this.reconnectTimer = setTimeout(() => this.resubscribeAll(), this.reconnectDelay);
+      if (this.reconnectTimer.unref) {
+        this.reconnectTimer.unref();
+      }
+    }
+  }
+
+  /**
+   * Reconnect and restore every topic that still has subscribers
+   */
+  resubscribeAll() {
+    this.reconnectTimer = null;
+    this.metrics.reconnects++;
+
+    for (const topic of this.topics.values()) {
+      topic.ready = this.subscribeUpstream(topic).catch((error) => {
+        // A failed connection schedules the next reconnect attempt itself
+        if (process.env.NODE_ENV !== 'test') {
+          console.error('Upstream resubscribe failed:', error.message);
+        }
+      });
+    }
+  }
+
+  /**
+   * Send a message to a client, ignoring clients that already went away
+   * @param {Object} client - Client socket
+   * @param {Object} payload - JSON-RPC message
+   */
+  send(client, payload) {
+    try {
+      client.send(JSON.stringify(payload));
+      this.metrics.eventsDelivered++;
+    } catch {
+      // Client closed; its subscriptions are dropped on the close event
+    }
+  }
+
+  /**
+   * Close the upstream connection and drop all subscriptions
+   */
+  close() {
+    this.closed = true;
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+
+    const socket = this.socket;
+    this.handleUpstreamClose(socket);
+    if (socket) {
+      socket.close();
+    }
+
+    wsSubscriptions.dec({}, this.clientSubscriptions.size);
+    this.topics.clear();
+    this.clientSubscriptions.clear();
+    this.clients.clear();
+  }
+
+  /**
+   * Get subscription metrics
+   * @returns {Object} - Metrics object
+   */
+  getMetrics() {
+    return {
+      ...this.metrics,
+      connected: this.socket !== null && this.socket.readyState === WebSocket.OPEN,
+      clients: this.clients.size,
+      topics: this.topics.size,
+      subscriptions: this.clientSubscriptions.size
+    };
+  }
+
+  /**
+   * Reset metrics
+   */
+  resetMetrics() {
+    Object.keys(this.metrics).forEach(key => {
+      this.metrics[key] = 0;
+    });
+  }
+}
@@ -0,0 +1,152 @@
+import { readFile } from 'fs/promises';
+import { config } from '../config/index.js';
+import { METHOD_CACHE_RULES, getMethodCacheConfig } from '../config/methodCaching.js';
+
+// Categories a tenant can be granted ('unknown' covers methods without rules)
+const CATEGORIES = [...Object.keys(METHOD_CACHE_RULES), 'unknown'];
+
+/**
+ * Check whether a tenant may call a method
+ * @param {Object} tenant - Tenant from the registry
+ * @param {string} method - RPC method
+ * @returns {boolean} - True if the method is allowed
+ */
+export function isMethodAllowed(tenant, method) {
+  // Tenants without lists may call everything
+  if (!tenant.allowedMethods && !tenant.allowedCategories) {
+    return true;
+  }
+
+  if (tenant.allowedMethods?.includes('*') || tenant.allowedMethods?.includes(method)) {
+    return true;
+  }
+
+  return Boolean(tenant.allowedCategories?.includes(getMethodCacheConfig(method).category));
+}
+
+/**
+ * TenantRegistry maps API keys to tenants loaded from the TENANTS_FILE
+ * JSON file. Authentication is enabled whenever a tenants file is configured.
+ *
+ * File format:
+ * {
+ *   "tenants": [
+ *     { "name": "dapp", "apiKeys": ["..."], "allowedCategories": ["blocks", "logs"], "allowedMethods": ["eth_call"] },
+ *     { "name": "ops", "apiKey": "...", "admin": true,
+ *       "rateLimit": { "requestsPerSecond": 200, "burst": 400 }, "methodLimits": { "logs": { "requestsPerSecond": 20, "burst": 40 } } }
+ *   ]
+ * }
+ */
+export class TenantRegistry {
+  constructor(options = {}) {
+    this.tenantsFile = options.tenantsFile ?? config.auth?.tenantsFile ?? null;
+    this.tenants = new Map(); // api key -> tenant
+  }
+
+  /**
+   * Whether API key authentication is enabled
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return Boolean(this.tenantsFile);
+  }
+
+  /**
+   * Load tenants from the configured file
+   * @returns {Promise<number>} - Number of tenants loaded
+   */
+  async load() {
+    if (!this.tenantsFile) return 0;
+
+    const content = JSON.parse(await readFile(this.tenantsFile, 'utf8'));
+    return this.setTenants(Array.isArray(content) ? content : content.tenants);
+  }
+
+  /**
+   * Replace the tenant list
+   * @param {Array<Object>} tenants - Tenant definitions
+   * @returns {number} - Number of tenants loaded
+   */
+  setTenants(tenants) {
+    if (!Array.isArray(tenants)) {
+      throw new Error('Tenants file must contain a "tenants" array');
+    }
+
+    const byKey = new Map();
+    tenants.forEach((definition, index) => {
+      const tenant = this.validateTenant(definition, index);
+      tenant.apiKeys.forEach(apiKey => {
+        if (byKey.has(apiKey)) {
+          throw new Error(`Tenant "${tenant.name}" reuses an API key of tenant "${byKey.get(apiKey).name}"`);
+        }
+        byKey.set(apiKey, tenant);
+      });
+    });
+
+    this.tenants = byKey;
+    return tenants.length;
+  }
+
+  /**
+   * Validate and normalize a tenant definition
+   * @param {Object} definition - Tenant definition
+   * @param {number} index - Position in the file (for error messages)
+   * @returns {Object} - Tenant
+   */
+  validateTenant(definition, index) {
+    if (!definition || typeof definition.name !== 'string' || !definition.name) {
+      throw new Error(`Tenant at index ${index} is missing a name`);
+    }
+
+    const apiKeys = [definition.apiKey, ...(definition.apiKeys || [])].filter(Boolean);
+    if (apiKeys.length === 0) {
+      throw new Error(`Tenant "${definition.name}" has no API key`);
+    }
+
+    const unknownCategories = (definition.allowedCategories || []).filter(category => !CATEGORIES.includes(category));
+    if (unknownCategories.length > 0) {
+      throw new Error(
+        `Tenant "${definition.name}" has unknown categories: ${unknownCategories.join(', ')} ` +
+        `(valid: ${CATEGORIES.join(', ')})`
+      );
+    }
+
+    const limits = [
+      ['rateLimit', definition.rateLimit],
+      ...Object.entries(definition.methodLimits || {}).map(([name, limit]) => [`methodLimits.${name}`, limit])
+    ];
+    limits.forEach(([name, limit]) => {
+      if (limit !== undefined && !(limit?.requestsPerSecond > 0 && limit?.burst > 0)) {
+        throw new Error(`Tenant "${definition.name}" has an invalid ${name} (requestsPerSecond and burst must be positive)`);
+      }
+    });
+
+    return {
+      name: definition.name,
+      apiKeys,
+      admin: definition.admin === true,
+      allowedCategories: definition.allowedCategories || null,
+      allowedMethods: definition.allowedMethods || null,
+      rateLimit: definition.rateLimit || null,
+      methodLimits: definition.methodLimits || null
+    };
+  }
+
+  /**
+   * Look up the tenant of an API key
+   * @param {string} apiKey - API key
+   * @returns {Object|null} - Tenant or null if the key is unknown
+   */
+  authenticate(apiKey) {
+    if (!apiKey) return null;
+    return this.tenants.get(apiKey) || null;
+  }
+
+  /**
+   * Get the number of distinct tenants
+   * @returns {number}
+   */
+  getTenantCount() {
+    return new Set(this.tenants.values()).size;
+  }
+}
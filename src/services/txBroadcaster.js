@@ -0,0 +1,262 @@
+import { keccak_256 } from '@noble/hashes/sha3';
+import { config } from '../config/index.js';
+import { createRPCError } from './ethereum.js';
+import { txBroadcasts } from '../utils/metrics.js';
+
+// Responses meaning the provider already has the transaction
+const KNOWN_TX_PATTERN = /already known|alreadyknown|known transaction|already imported/i;
+
+// Responses meaning the nonce was used - fine if it was used by this very transaction
+const NONCE_TOO_LOW_PATTERN = /nonce too low|oldnonce|nonce is too low/i;
+
+// How long an accepted transaction is answered without sending it again (ms)
+const RECENT_TX_TTL = 60000;
+
+/**
+ * Compute the hash of a signed raw transaction (keccak256 of its bytes)
+ * @param {string} rawTx - Hex encoded signed transaction
+ * @returns {string|null} - Transaction hash, or null if rawTx isn't valid hex
+ */
+export function getTransactionHash(rawTx) {
+  if (typeof rawTx !== 'string' || !/^0x([0-9a-fA-F]{2})+$/.test(rawTx)) {
+    return null;
+  }
+
+  const hash = keccak_256(Buffer.from(rawTx.slice(2), 'hex'));
+  return `0x${Buffer.from(hash).toString('hex')}`;
+}
+
+/**
+ * TransactionBroadcaster submits eth_sendRawTransaction to every healthy
+ * provider of the broadcast pool in parallel and answers with the transaction
+ * hash as soon as one of them accepts it. The hash is computed locally, so
+ * "already known" answers and resubmissions of the same transaction are
+ * recognized as duplicates.
+ */
+export class TransactionBroadcaster {
+  constructor(ethereumService, options = {}) {
+    this.ethereumService = ethereumService;
+
+    // Configuration
+    this.enabled = options.enabled ?? config.broadcast?.enabled ?? false;
+    this.maxProviders = options.maxProviders ?? config.broadcast?.maxProviders ?? 0; // 0 = all
+
+    // Submissions in flight and recently accepted, by transaction hash
+    this.inFlight = new Map();
+    this.recent = new Map();
+
+    // Per-provider acceptance: url -> { accepted, known, rejected, failed }
+    this.providerStats = new Map();
+
+    // Metrics
+    this.metrics = {
+      transactions: 0,
+      duplicates: 0,
+      accepted: 0,
+      failed: 0
+    };
+  }
+
+  /**
+   * Broadcast a signed transaction
+   * @param {Array} params - eth_sendRawTransaction params ([rawTx])
+   * @returns {Promise<string>} - Transaction hash
+   */
+  async send(params = []) {
+    const hash = getTransactionHash(params[0]);
+    this.metrics.transactions++;
+
+    if (hash) {
+      this.pruneRecent();
+      if (this.recent.has(hash) || this.inFlight.has(hash)) {
+        this.metrics.duplicates++;
+        return this.inFlight.get(hash) || hash;
+      }
+    }
+
+    const promise = this.broadcast(params, hash);
+    if (!hash) {
+      return promise;
+    }
+
+    this.inFlight.set(hash, promise);
+    try {
+      const result = await promise;
+      this.recent.set(hash, Date.now());
+      return result;
+    } finally {
+      this.inFlight.delete(hash);
+    }
+  }
+
+  /**
+   * Send the transaction to all broadcast providers, resolving on the first acceptance
+   * @param {Array} params - eth_sendRawTransaction params
+   * @param {string|null} hash - Locally computed transaction hash
+   * @returns {Promise<string>} - Transaction hash
+   */
+  broadcast(params, hash) {
+    const service = this.ethereumService;
+    const candidates = service.getUrlOrder({ pool: 'broadcast' });
+    let urls = candidates.filter(url => service.isUrlCallable(url, candidates));
+    if (this.maxProviders > 0) {
+      urls = urls.slice(0, this.maxProviders);
+    }
+    if (urls.length === 0) {
+      return Promise.reject(service.allProvidersOpenError());
+    }
+
+    return new Promise((resolve, reject) => {
+      const failures = [];
+      let settled = false;
+
+      urls.forEach(url => {
+        this.submit(url, candidates, params, hash).then(({ outcome, result, error }) => {
+          if (outcome === 'accepted' || outcome === 'known') {
+            if (!settled) {
+              settled = true;
+              this.metrics.accepted++;
+              resolve(hash || result);
+            }
+            return;
+          }
+
+          failures.push({ outcome, error });
+          if (failures.length === urls.length) {
+            this.metrics.failed++;
+            // Prefer a node's verdict on the transaction over network errors
+            const rejection = failures.find(failure => failure.outcome === 'rejected');
+            reject(rejection ? createRPCError(rejection.error) : this.allFailedError(failures[0].error));
+          }
+        });
+      });
+    });
+  }
+
+  /**
+   * Error for a broadcast that no provider answered, counted by the global
+   * circuit like a failed callRPC
+   * @param {string} message - Error message of the first failure
+   * @returns {Error} - Error with code ALL_PROVIDERS_FAILED
+   */
+  allFailedError(message) {
+    const error = new Error(`All RPC endpoints failed: ${message}`);
+    error.code = 'ALL_PROVIDERS_FAILED';
+    return error;
+  }
+
+  /**
+   * Submit the transaction to one provider
+   * @param {string} url - Provider URL
+   * @param {Array<string>} candidates - Broadcast URLs of the call (a lone one bypasses its circuit)
+   * @param {Array} params - eth_sendRawTransaction params
+   * @param {string|null} hash - Locally computed transaction hash
+   * @returns {Promise<Object>} - { outcome: accepted|known|rejected|failed, result, error }
+   *   (error is the JSON-RPC error object when rejected, a message when failed)
+   */
+  async submit(url, candidates, params, hash) {
+    const service = this.ethereumService;
+    let submission;
+
+    try {
+      // JSON-RPC error responses don't count against the provider's circuit
+      const response = await service.executeOn(url, candidates, () => service.post(url, {
+        jsonrpc: '2.0',
+        method: 'eth_sendRawTransaction',
+        params,
+        id: ++service.requestId
+      }));
+
+      const { result, error } = response.data;
+      if (!error) {
+        if (hash && result !== hash && process.env.NODE_ENV !== 'test') {
+          console.warn(`Provider ${service.sanitizeUrl(url)} returned hash ${result}, expected ${hash}`);
+        }
+        submission = { outcome: 'accepted', result };
+      } else if (hash && KNOWN_TX_PATTERN.test(error.message)) {
+        submission = { outcome: 'known', result: hash };
+      } else if (hash && NONCE_TOO_LOW_PATTERN.test(error.message) && await this.isKnownTransaction(url, hash)) {
+        submission = { outcome: 'known', result: hash };
+      } else {
+        submission = { outcome: 'rejected', error };
+      }
+      service.updateUrlMetrics(url, true);
+    } catch (error) {
+      service.updateUrlMetrics(url, false, error.message);
+      submission = { outcome: 'failed', error: service.getErrorMessage(error) };
+    }
+
+    this.recordOutcome(url, submission.outcome);
+    return submission;
+  }
+
+  /**
+   * Check whether a provider knows a transaction (after "nonce too low")
+   * @param {string} url - Provider URL
+   * @param {string} hash - Transaction hash
+   * @returns {Promise<boolean>} - True if the provider returns the transaction
+   */
+  async isKnownTransaction(url, hash) {
+    const service = this.ethereumService;
+    try {
+      const response = await service.post(url, {
+        jsonrpc: '2.0',
+        method: 'eth_getTransactionByHash',
+        params: [hash],
+        id: ++service.requestId
+      });
+      return Boolean(response.data.result);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Count a submission outcome for a provider
+   * @param {string} url - Provider URL
+   * @param {string} outcome - accepted, known, rejected or failed
+   */
+  recordOutcome(url, outcome) {
+    if (!this.providerStats.has(url)) {
+      this.providerStats.set(url, { accepted: 0, known: 0, rejected: 0, failed: 0 });
+    }
+    this.providerStats.get(url)[outcome]++;
+    txBroadcasts.inc({ url: this.ethereumService.sanitizeUrl(url), outcome });
+  }
+
+  /**
+   * Forget transactions accepted more than RECENT_TX_TTL ago
+   */
+  pruneRecent() {
+    const cutoff = Date.now() - RECENT_TX_TTL;
+    for (const [hash, acceptedAt] of this.recent) {
+      if (acceptedAt >= cutoff) break; // insertion order is acceptance order
+      this.recent.delete(hash);
+    }
+  }
+
+  /**
+   * Get broadcaster metrics
+   * @returns {Object} - Metrics object
+   */
+  getMetrics() {
+    return {
+      ...this.metrics,
+      enabled: this.enabled,
+      inFlight: this.inFlight.size,
+      providers: Object.fromEntries(
+        [...this.providerStats].map(([url, stats]) => [this.ethereumService.sanitizeUrl(url), { ...stats }])
+      )
+    };
+  }
+
+  /**
+   * Reset metrics
+   */
+  resetMetrics() {
+    Object.keys(this.metrics).forEach(key => {
+      this.metrics[key] = 0;
+    });
+    this.providerStats.clear();
+  }
+}
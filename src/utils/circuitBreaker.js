@@ -1,4 +1,5 @@
 import { config } from '../config/index.js';
+import { circuitBreakerState } from './metrics.js';
 
 /**
  * Circuit Breaker States
@@ -9,6 +10,13 @@ const State = {
   HALF_OPEN: 'HALF_OPEN' // Testing if service recovered
 };
 
+// Numeric state values exported as a Prometheus gauge
+const STATE_GAUGE_VALUES = {
+  CLOSED: 0,
+  HALF_OPEN: 1,
+  OPEN: 2
+};
+
 /**
  * CircuitBreaker prevents cascading failures by temporarily blocking
  * requests to a failing service
@@ -38,6 +46,9 @@ export class CircuitBreaker {
     
     // Callbacks
     this.onStateChange = options.onStateChange || (() => {});
+    // Decides which errors count against the circuit; others count as the
+    // service having answered
+    this.isFailure = options.isFailure || (() => true);
     
     // Metrics
     this.metrics = {
@@ -49,6 +60,8 @@ export class CircuitBreaker {
       lastFailureTime: null,
       lastSuccessTime: null
     };
+    
+    circuitBreakerState.set({ name: this.name }, STATE_GAUGE_VALUES[this.state]);
   }
 
   /**
@@ -78,7 +91,11 @@ export class CircuitBreaker {
       this.onSuccess();
       return result;
     } catch (error) {
-      this.onFailure();
+      if (this.isFailure(error)) {
+        this.onFailure();
+      } else {
+        this.onSuccess();
+      }
       throw error;
     }
   }
@@ -91,7 +108,9 @@ export class CircuitBreaker {
   async executeWithTimeout(fn) {
     return new Promise(async (resolve, reject) => {
       const timeoutId = setTimeout(() => {
-        reject(new Error(`Circuit breaker timeout for ${this.name} after ${this.timeout}ms`));
+        const error = new Error(`Circuit breaker timeout for ${this.name} after ${this.timeout}ms`);
+        error.code = 'CIRCUIT_TIMEOUT';
+        reject(error);
       }, this.timeout);
       
       try {
@@ -182,6 +201,7 @@ export class CircuitBreaker {
     const oldState = this.state;
     this.state = newState;
     this.metrics.stateChanges++;
+    circuitBreakerState.set({ name: this.name }, STATE_GAUGE_VALUES[newState]);
     
     if (process.env.NODE_ENV !== 'test') {
       console.log(`Circuit breaker ${this.name}: ${oldState} -> ${newState}`);
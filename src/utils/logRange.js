@@ -0,0 +1,119 @@
+/**
+ * eth_getLogs range guardrails
+ *
+ * Resolves the block span of a log filter against the chain head, checks it
+ * (and the number of addresses) against the configured limits and splits
+ * oversized ranges into provider-sized chunks.
+ */
+
+const HEX_PATTERN = /^0x[0-9a-fA-F]+$/;
+
+// Tags resolved to the chain head (safe and finalized are at or below it)
+const HEAD_TAGS = ['latest', 'pending', 'safe', 'finalized'];
+
+/**
+ * Resolve a filter block param to a height
+ * @param {string|number|undefined} block - Block number or tag (omitted means latest)
+ * @param {number|null} head - Chain head height (null if unknown)
+ * @returns {number|null} - Height, or null if it can't be resolved
+ */
+export function resolveLogsBlock(block, head) {
+  if (block === undefined || block === null || HEAD_TAGS.includes(block)) {
+    return head;
+  }
+  if (block === 'earliest') {
+    return 0;
+  }
+  if (typeof block === 'number') {
+    return block;
+  }
+  if (typeof block === 'string' && HEX_PATTERN.test(block)) {
+    return parseInt(block, 16);
+  }
+  return null;
+}
+
+/**
+ * Whether resolving a filter's range needs the chain head
+ * @param {Object} filter - eth_getLogs filter
+ * @returns {boolean} - True if fromBlock or toBlock is a head tag (or omitted)
+ */
+export function needsHead(filter) {
+  if (!filter || typeof filter !== 'object' || filter.blockHash) {
+    return false;
+  }
+  return [filter.fromBlock, filter.toBlock].some(block =>
+    block === undefined || block === null || HEAD_TAGS.includes(block)
+  );
+}
+
+/**
+ * Get the block range of an eth_getLogs filter
+ * @param {Object} filter - eth_getLogs filter
+ * @param {number|null} head - Chain head height (null if unknown)
+ * @returns {Object|null} - { from, to }, or null for blockHash filters and
+ *   ranges that can't be resolved
+ */
+export function getLogsRange(filter, head) {
+  if (!filter || typeof filter !== 'object' || filter.blockHash) {
+    return null;
+  }
+
+  const from = resolveLogsBlock(filter.fromBlock, head);
+  const to = resolveLogsBlock(filter.toBlock, head);
+  return from === null || to === null ? null : { from, to };
+}
+
+/**
+ * Check an eth_getLogs filter against the configured limits
+ * @param {Object} filter - eth_getLogs filter
+ * @param {number|null} head - Chain head height (null if unknown)
+ * @param {Object} limits - { maxBlockRange, maxAddresses } (0 = unlimited)
+ * @returns {string|null} - Why the filter is rejected, or null if it's within the limits
+ */
+export function checkLogsFilter(filter, head, limits = {}) {
+  if (!filter || typeof filter !== 'object') {
+    return null; // left to the upstream to reject
+  }
+
+  const addresses = Array.isArray(filter.address) ? filter.address.length : (filter.address ? 1 : 0);
+  if (limits.maxAddresses > 0 && addresses > limits.maxAddresses) {
+    return `Too many addresses: ${addresses} (max ${limits.maxAddresses})`;
+  }
+
+  const range = getLogsRange(filter, head);
+  if (range && limits.maxBlockRange > 0) {
+    const span = range.to - range.from + 1;
+    if (span > limits.maxBlockRange) {
+      return `Block range too large: ${span} blocks (max ${limits.maxBlockRange})`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Split a filter into consecutive filters of at most chunkSize blocks. The
+ * last chunk keeps the original toBlock, so a tag still reads up to the head.
+ * @param {Object} filter - eth_getLogs filter
+ * @param {number|null} head - Chain head height (null if unknown)
+ * @param {number} chunkSize - Blocks per chunk (0 = never split)
+ * @returns {Array<Object>|null} - Chunk filters, or null if no split is needed
+ */
+export function splitLogsFilter(filter, head, chunkSize) {
+  const range = getLogsRange(filter, head);
+  if (!range || !(chunkSize > 0) || range.to - range.from + 1 <= chunkSize) {
+    return null;
+  }
+
+  const chunks = [];
+  for (let start = range.from; start <= range.to; start += chunkSize) {
+    const end = start + chunkSize - 1;
+    chunks.push({
+      ...filter,
+      fromBlock: `0x${start.toString(16)}`,
+      toBlock: end >= range.to ? (filter.toBlock ?? 'latest') : `0x${end.toString(16)}`
+    });
+  }
+  return chunks;
+}
@@ -0,0 +1,309 @@
+/**
+ * Minimal Prometheus metrics registry
+ *
+ * Implements counters, gauges and histograms rendered in the Prometheus text
+ * exposition format (version 0.0.4) for the /metrics endpoint.
+ */
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * Escape a label value for the text format
+ * @param {*} value - Label value
+ * @returns {string} - Escaped value
+ */
+function escapeLabelValue(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n');
+}
+
+/**
+ * Render a label set as {a="1",b="2"}
+ * @param {Object} labels - Label values
+ * @returns {string} - Rendered labels (empty string when there are none)
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+/**
+ * Base class holding one value per label combination
+ */
+class Metric {
+  constructor(name, help, type, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.type = type;
+    this.labelNames = labelNames;
+    this.values = new Map(); // serialized labels -> { labels, value }
+  }
+
+  /**
+   * Pick the declared labels in a stable order
+   * @param {Object} labels - Label values
+   * @returns {Object} - Normalized labels
+   */
+  normalizeLabels(labels = {}) {
+    const normalized = {};
+    this.labelNames.forEach(name => {
+      normalized[name] = labels[name] === undefined ? '' : labels[name];
+    });
+    return normalized;
+  }
+
+  /**
+   * Get (or create) the entry for a label combination
+   * @param {Object} labels - Label values
+   * @param {Function} create - Initial entry factory
+   * @returns {Object} - Entry
+   */
+  getEntry(labels, create) {
+    const normalized = this.normalizeLabels(labels);
+    const key = JSON.stringify(normalized);
+    if (!this.values.has(key)) {
+      this.values.set(key, { labels: normalized, ...create() });
+    }
+    return this.values.get(key);
+  }
+
+  /**
+   * Render the sample lines of this metric
+   * @returns {Array<string>} - Lines
+   */
+  renderSamples() {
+    return Array.from(this.values.values()).map(
+      entry => `${this.name}${formatLabels(entry.labels)} ${entry.value}`
+    );
+  }
+
+  /**
+   * Render the metric with its HELP and TYPE header
+   * @returns {string} - Text block
+   */
+  render() {
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} ${this.type}`,
+      ...this.renderSamples()
+    ].join('\n');
+  }
+
+  /**
+   * Drop all recorded values
+   */
+  reset() {
+    this.values.clear();
+  }
+}
+
+/**
+ * Monotonically increasing counter
+ */
+export class Counter extends Metric {
+  constructor(name, help, labelNames = []) {
+    super(name, help, 'counter', labelNames);
+  }
+
+  inc(labels = {}, value = 1) {
+    this.getEntry(labels, () => ({ value: 0 })).value += value;
+  }
+}
+
+/**
+ * Value that can go up and down
+ */
+export class Gauge extends Metric {
+  constructor(name, help, labelNames = []) {
+    super(name, help, 'gauge', labelNames);
+  }
+
+  set(labels = {}, value) {
+    this.getEntry(labels, () => ({ value: 0 })).value = value;
+  }
+
+  inc(labels = {}, value = 1) {
+    this.getEntry(labels, () => ({ value: 0 })).value += value;
+  }
+
+  dec(labels = {}, value = 1) {
+    this.getEntry(labels, () => ({ value: 0 })).value -= value;
+  }
+}
+
+/**
+ * Distribution of observed values in cumulative buckets
+ */
+export class Histogram extends Metric {
+  constructor(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    super(name, help, 'histogram', labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels = {}, value) {
+    const entry = this.getEntry(labels, () => ({
+      counts: new Array(this.buckets.length).fill(0),
+      sum: 0,
+      count: 0
+    }));
+
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        entry.counts[index]++;
+      }
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  renderSamples() {
+    const lines = [];
+    for (const entry of this.values.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...entry.labels, le: bound })} ${entry.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+      lines.push(`${this.name}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+      lines.push(`${this.name}_count${formatLabels(entry.labels)} ${entry.count}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Registry of metrics rendered together on scrape
+ */
+export class Registry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  /**
+   * Register a metric
+   * @param {Metric} metric - Metric to register
+   * @returns {Metric} - The registered metric
+   */
+  register(metric) {
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  /**
+   * Render all metrics in the Prometheus text format
+   * @returns {string} - Exposition text
+   */
+  render() {
+    return Array.from(this.metrics.values())
+      .map(metric => metric.render())
+      .join('\n') + '\n';
+  }
+
+  /**
+   * Reset all metric values
+   */
+  reset() {
+    this.metrics.forEach(metric => metric.reset());
+  }
+}
+
+// Default registry shared by the whole process
+export const registry = new Registry();
+
+export const rpcRequests = registry.register(new Counter(
+  'rpc_requests_total',
+  'JSON-RPC requests received by method and tenant',
+  ['method', 'tenant']
+));
+
+export const rpcCacheResults = registry.register(new Counter(
+  'rpc_cache_results_total',
+  'Cache lookups by method and result (hit, miss, stale, negative)',
+  ['method', 'tenant', 'result']
+));
+
+export const rpcErrors = registry.register(new Counter(
+  'rpc_errors_total',
+  'JSON-RPC requests answered with an error',
+  ['method', 'tenant']
+));
+
+export const rpcRequestLatency = registry.register(new Histogram(
+  'rpc_request_duration_seconds',
+  'Time to answer a JSON-RPC request',
+  ['method']
+));
+
+export const upstreamRequests = registry.register(new Counter(
+  'rpc_upstream_requests_total',
+  'HTTP requests sent to upstream RPC providers',
+  ['url', 'status']
+));
+
+export const upstreamLatency = registry.register(new Histogram(
+  'rpc_upstream_request_duration_seconds',
+  'Latency of upstream RPC requests per provider',
+  ['url']
+));
+
+export const upstreamHedges = registry.register(new Counter(
+  'rpc_upstream_hedges_total',
+  'Hedged upstream requests by the request that answered first',
+  ['winner']
+));
+
+export const txBroadcasts = registry.register(new Counter(
+  'rpc_tx_broadcasts_total',
+  'Raw transaction submissions per provider by outcome (accepted, known, rejected, failed)',
+  ['url', 'outcome']
+));
+
+export const circuitBreakerState = registry.register(new Gauge(
+  'rpc_circuit_breaker_state',
+  'Circuit breaker state (0 = closed, 1 = half open, 2 = open)',
+  ['name']
+));
+
+export const coalescerInFlight = registry.register(new Gauge(
+  'rpc_coalescer_in_flight',
+  'Requests currently in flight in the request coalescer'
+));
+
+export const coalescedRequests = registry.register(new Counter(
+  'rpc_coalesced_requests_total',
+  'Requests that waited on an identical in-flight request'
+));
+
+export const cacheWarmings = registry.register(new Counter(
+  'rpc_cache_warmings_total',
+  'Cache warming refreshes by source (target, hot) and outcome (refreshed, skipped, failed)',
+  ['source', 'outcome']
+));
+
+export const lockContentions = registry.register(new Counter(
+  'rpc_lock_contentions_total',
+  'Distributed lock acquisitions that found the lock already held'
+));
+
+export const lockFailures = registry.register(new Counter(
+  'rpc_lock_failures_total',
+  'Distributed lock acquisitions that gave up or errored'
+));
+
+export const wsConnections = registry.register(new Gauge(
+  'rpc_ws_connections',
+  'Open client WebSocket connections'
+));
+
+export const wsSubscriptions = registry.register(new Gauge(
+  'rpc_ws_subscriptions',
+  'Active client eth_subscribe subscriptions'
+));
+
+export const rateLimitedRequests = registry.register(new Counter(
+  'rpc_rate_limited_total',
+  'Requests rejected by the rate limiter',
+  ['tenant', 'limit']
+));
@@ -0,0 +1,236 @@
+/**
+ * JSON-RPC parameter normalization
+ *
+ * Canonicalizes request params so semantically identical requests share a
+ * cache key: hex quantities lose leading zeros, addresses and hashes are
+ * lowercased, object keys are sorted, omitted defaults are filled in and
+ * block tags can optionally be pinned to concrete block numbers.
+ */
+
+const HEX_PATTERN = /^0x[0-9a-fA-F]*$/;
+
+// Tags that can be pinned to a concrete block number
+const PINNABLE_TAGS = ['latest', 'safe', 'finalized'];
+
+// Field types of transaction call objects (eth_call, eth_estimateGas, ...)
+const CALL_FIELDS = {
+  from: 'address',
+  to: 'address',
+  gas: 'quantity',
+  gasPrice: 'quantity',
+  maxFeePerGas: 'quantity',
+  maxPriorityFeePerGas: 'quantity',
+  maxFeePerBlobGas: 'quantity',
+  value: 'quantity',
+  nonce: 'quantity',
+  chainId: 'quantity',
+  type: 'quantity',
+  data: 'data',
+  input: 'data',
+  accessList: 'accessList',
+  blobVersionedHashes: 'hashes'
+};
+
+const param = (type, defaultValue) => ({ type, defaultValue });
+
+// Parameter schemas per method; methods not listed are passed through untouched
+const PARAM_SCHEMAS = {
+  eth_getBalance: [param('address'), param('block', 'latest')],
+  eth_getTransactionCount: [param('address'), param('block', 'latest')],
+  eth_getCode: [param('address'), param('block', 'latest')],
+  eth_getStorageAt: [param('address'), param('quantity'), param('block', 'latest')],
+  eth_getProof: [param('address'), param('hashes'), param('block', 'latest')],
+  eth_call: [param('call'), param('block', 'latest')],
+  eth_estimateGas: [param('call'), param('block')],
+  eth_createAccessList: [param('call'), param('block', 'latest')],
+  eth_getBlockByNumber: [param('block'), param('bool', false)],
+  eth_getBlockByHash: [param('hash'), param('bool', false)],
+  eth_getBlockTransactionCountByNumber: [param('block')],
+  eth_getBlockTransactionCountByHash: [param('hash')],
+  eth_getUncleCountByBlockNumber: [param('block')],
+  eth_getUncleCountByBlockHash: [param('hash')],
+  eth_getTransactionByHash: [param('hash')],
+  eth_getTransactionReceipt: [param('hash')],
+  eth_getTransactionByBlockHashAndIndex: [param('hash'), param('quantity')],
+  eth_getTransactionByBlockNumberAndIndex: [param('block'), param('quantity')],
+  eth_getUncleByBlockHashAndIndex: [param('hash'), param('quantity')],
+  eth_getUncleByBlockNumberAndIndex: [param('block'), param('quantity')],
+  eth_getLogs: [param('filter')],
+  eth_feeHistory: [param('quantity'), param('block')],
+  eth_subscribe: [param('name'), param('filter')]
+};
+
+/**
+ * Canonicalize a hex quantity ('0x010' -> '0x10', 16 -> '0x10')
+ */
+function normalizeQuantity(value) {
+  if (typeof value === 'number' && Number.isInteger(value) && value >= 0) {
+    return `0x${value.toString(16)}`;
+  }
+  if (typeof value === 'string' && HEX_PATTERN.test(value) && value.length > 2) {
+    return `0x${BigInt(value).toString(16)}`;
+  }
+  return value;
+}
+
+/**
+ * Lowercase hex data such as addresses, hashes and calldata
+ */
+function normalizeHex(value) {
+  if (typeof value === 'string' && HEX_PATTERN.test(value)) {
+    return value.toLowerCase();
+  }
+  return value;
+}
+
+/**
+ * Normalize a block parameter (quantity, tag or EIP-1898 object)
+ */
+function normalizeBlock(value, options) {
+  if (typeof value === 'string') {
+    if (PINNABLE_TAGS.includes(value) && options.resolveTag) {
+      const pinned = options.resolveTag(value);
+      if (pinned !== null && pinned !== undefined) {
+        return normalizeQuantity(pinned);
+      }
+    }
+    return HEX_PATTERN.test(value) ? normalizeQuantity(value) : value;
+  }
+
+  if (value && typeof value === 'object') {
+    return sortKeys({
+      ...value,
+      ...(value.blockHash !== undefined && { blockHash: normalizeHex(value.blockHash) }),
+      ...(value.blockNumber !== undefined && { blockNumber: normalizeBlock(value.blockNumber, options) })
+    });
+  }
+
+  return normalizeQuantity(value);
+}
+
+/**
+ * Rebuild an object with its keys in sorted order
+ */
+function sortKeys(obj) {
+  return Object.keys(obj).sort().reduce((sorted, key) => {
+    sorted[key] = obj[key];
+    return sorted;
+  }, {});
+}
+
+/**
+ * Normalize a transaction call object
+ */
+function normalizeCall(call) {
+  if (!call || typeof call !== 'object' || Array.isArray(call)) return call;
+
+  const normalized = {};
+  for (const [key, value] of Object.entries(call)) {
+    normalized[key] = normalizeValue(CALL_FIELDS[key], value);
+  }
+  return sortKeys(normalized);
+}
+
+/**
+ * Normalize an eth_getLogs filter object
+ */
+function normalizeFilter(filter, options) {
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter)) return filter;
+
+  const normalized = { ...filter };
+
+  if (filter.fromBlock !== undefined) {
+    normalized.fromBlock = normalizeBlock(filter.fromBlock, options);
+  }
+  if (filter.toBlock !== undefined) {
+    normalized.toBlock = normalizeBlock(filter.toBlock, options);
+  }
+  if (filter.blockHash !== undefined) {
+    normalized.blockHash = normalizeHex(filter.blockHash);
+  }
+  if (Array.isArray(filter.address)) {
+    // Address order doesn't affect the result set
+    normalized.address = [...new Set(filter.address.map(normalizeHex))].sort();
+  } else if (filter.address !== undefined) {
+    normalized.address = normalizeHex(filter.address);
+  }
+  if (Array.isArray(filter.topics)) {
+    normalized.topics = filter.topics.map(topic =>
+      Array.isArray(topic) ? topic.map(normalizeHex) : normalizeHex(topic)
+    );
+  }
+
+  return sortKeys(normalized);
+}
+
+/**
+ * Normalize a single value of a known type
+ */
+function normalizeValue(type, value, options = {}) {
+  if (value === null || value === undefined) return value;
+
+  switch (type) {
+    case 'quantity':
+      return normalizeQuantity(value);
+    case 'address':
+    case 'hash':
+    case 'data':
+      return normalizeHex(value);
+    case 'hashes':
+      return Array.isArray(value) ? value.map(normalizeHex) : value;
+    case 'block':
+      return normalizeBlock(value, options);
+    case 'call':
+      return normalizeCall(value);
+    case 'filter':
+      return normalizeFilter(value, options);
+    case 'accessList':
+      return Array.isArray(value)
+        ? value.map(entry => (entry && typeof entry === 'object' ? sortKeys({
+          ...entry,
+          address: normalizeHex(entry.address),
+          storageKeys: Array.isArray(entry.storageKeys) ? entry.storageKeys.map(normalizeHex) : entry.storageKeys
+        }) : entry)) // malformed entries are left for the upstream to reject
+        : value;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Normalize the params of a JSON-RPC request
+ * @param {string} method - RPC method
+ * @param {Array} params - Request params
+ * @param {Object} options - Options
+ * @param {Function} options.resolveTag - Maps 'latest'/'safe'/'finalized' to a block number, or null to keep the tag
+ * @returns {Array} - Normalized params (the original array for unknown methods)
+ */
+export function normalizeParams(method, params, options = {}) {
+  const schema = PARAM_SCHEMAS[method];
+  if (!schema || (params !== undefined && !Array.isArray(params))) {
+    return params;
+  }
+
+  const input = params || [];
+  const normalized = [];
+
+  schema.forEach((spec, index) => {
+    let value = input[index];
+    if (value === undefined && spec.defaultValue !== undefined && index >= input.length) {
+      value = spec.defaultValue;
+    }
+    if (value === undefined) return;
+    normalized[index] = normalizeValue(spec.type, value, options);
+  });
+
+  // Keep any extra params the schema doesn't describe
+  for (let index = schema.length; index < input.length; index++) {
+    normalized[index] = input[index];
+  }
+
+  return normalized;
+}
+
+export default {
+  normalizeParams
+};
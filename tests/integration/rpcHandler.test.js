@@ -3,6 +3,8 @@ import { jest } from '@jest/globals';
 import { RPCHandler } from '../../src/handlers/rpcHandler.js';
 import { config } from '../../src/config/index.js';
 import * as redisModule from '../../src/cache/redis.js';
+import { RateLimiter } from '../../src/cache/rateLimiter.js';
+import { InMemoryCache } from '../../src/cache/inMemoryCache.js';
 
 // Parse URL for nock
 const upstreamUrl = new URL(config.ethereum.rpcUrl || 'http://localhost:8545');
@@ -204,8 +206,9 @@ describe('RPCHandler Integration Tests', () => {
         .reply(500, { error: 'Internal Server Error' })
         .persist();
 
-      // Make requests until circuit opens
-      const requests = Array(5).fill({
+      // Make requests until the provider circuit opens (3 failures)
+      // and the global circuit sees all providers open (5 times)
+      const requests = Array(8).fill({
         jsonrpc: '2.0',
         method: 'eth_blockNumber',
         params: [],
@@ -229,6 +232,24 @@ describe('RPCHandler Integration Tests', () => {
       expect(metrics.circuitBreakerRejections).toBeGreaterThan(0);
     });
 
+    it('should open circuit when the upstream hangs', async () => {
+      handler.circuitBreaker.timeout = 20;
+      upstreamMock
+        .post('/')
+        .delay(100)
+        .reply(200, { jsonrpc: '2.0', result: '0x1', id: 1 })
+        .persist();
+
+      const request = { jsonrpc: '2.0', method: 'eth_blockNumber', params: [], id: 1 };
+      for (let i = 0; i < handler.circuitBreaker.failureThreshold; i++) {
+        const result = await handler.handleRequest(request);
+        expect(result.error).toBeDefined();
+      }
+
+      expect(handler.getMetrics().circuitBreaker.state).toBe('OPEN');
+      await global.sleep(100); // let the hanging requests finish
+    });
+
     it('should serve stale data when circuit is open', async () => {
       // Enable stale-while-revalidate for this test
       const originalSetting = config.advanced.staleWhileRevalidate;
@@ -396,61 +417,100 @@ describe('RPCHandler Integration Tests', () => {
   });
 
   describe('Negative Caching', () => {
-    it('should cache failures when enabled', async () => {
-      // Enable negative caching for this test
-      const originalSetting = config.advanced.negativeCaching;
+    let originalSetting;
+
+    beforeEach(() => {
+      originalSetting = config.advanced.negativeCaching;
       config.advanced.negativeCaching = true;
+      handler.cacheManager.client = new InMemoryCache();
+    });
 
-      // Mock upstream to fail
+    afterEach(() => {
+      config.advanced.negativeCaching = originalSetting;
+    });
+
+    it('should not cache transport failures', async () => {
       upstreamMock
         .post('/')
-        .reply(500, { error: 'Internal Server Error' });
+        .reply(500, { error: 'Internal Server Error' })
+        .post('/')
+        .reply(200, { jsonrpc: '2.0', result: '0x10', id: 1 });
+
+      const request = { jsonrpc: '2.0', method: 'eth_blockNumber', params: [], id: 1 };
+
+      const result1 = await handler.handleRequest(request);
+      expect(result1.error.code).toBe(-32603);
+
+      const result2 = await handler.handleRequest(request);
+      expect(result2.result).toBe('0x10');
+      expect(handler.getMetrics().negativeCacheHits).toBe(0);
+    });
+
+    it('should cache reverts at a fixed block with the full error', async () => {
+      const revert = { code: 3, message: 'execution reverted', data: '0x08c379a0' };
+      upstreamMock
+        .post('/')
+        .once()
+        .reply(200, { jsonrpc: '2.0', error: revert, id: 1 });
 
       const request = {
         jsonrpc: '2.0',
-        method: 'eth_blockNumber',
-        params: [],
+        method: 'eth_call',
+        params: [{ to: '0x1234567890123456789012345678901234567890', data: '0x8da5cb5b' }, '0x10'],
         id: 1
       };
 
-      // First request - upstream failure
       const result1 = await handler.handleRequest(request);
-      expect(result1.error).toBeDefined();
+      const result2 = await handler.handleRequest(request);
 
-      // Small delay to ensure negative cache is written
-      await new Promise(resolve => setTimeout(resolve, 10));
+      expect(result1.error).toEqual(revert);
+      expect(result2.error).toEqual(revert);
+      expect(handler.getMetrics().negativeCacheHits).toBe(1);
+    });
 
-      // Second request - should get cached failure or another failure
-      const result2 = await handler.handleRequest(request);
-      expect(result2.error).toBeDefined();
-      // The negative cache hit count depends on timing and mock behavior
-      // Just verify we got an error
-      expect(result2.error.message).toBeDefined();
-      
-      // Restore original setting
-      config.advanced.negativeCaching = originalSetting;
+    it('should not cache reverts at the latest block', async () => {
+      const revert = { code: 3, message: 'execution reverted', data: '0x08c379a0' };
+      upstreamMock
+        .post('/')
+        .times(2)
+        .reply(200, { jsonrpc: '2.0', error: revert, id: 1 });
+
+      const request = {
+        jsonrpc: '2.0',
+        method: 'eth_call',
+        params: [{ to: '0x1234567890123456789012345678901234567890', data: '0x8da5cb5b' }, 'latest'],
+        id: 1
+      };
+
+      await handler.handleRequest(request);
+      await handler.handleRequest(request);
+
+      expect(handler.getMetrics().negativeCacheHits).toBe(0);
+      expect(upstreamMock.isDone()).toBe(true);
     });
   });
 
   describe('Batch Requests', () => {
+    beforeEach(() => {
+      // Batches rely on multi-get, use a real in-memory store
+      handler.cacheManager.client = new InMemoryCache();
+    });
+
+    const respond = (request) => ({
+      jsonrpc: '2.0',
+      result: request.method === 'eth_blockNumber' ? '0x123456' : { number: request.params[0], hash: '0xabc', transactions: ['0x1'] },
+      id: request.id
+    });
+
     it('should handle batch requests correctly', async () => {
+      let upstreamCalls = 0;
       upstreamMock
         .post('/')
         .reply(200, (uri, requestBody) => {
+          upstreamCalls++;
           // requestBody might already be parsed by nock
           const parsed = typeof requestBody === 'string' ? JSON.parse(requestBody) : requestBody;
-          if (parsed.method === 'eth_blockNumber') {
-            return {
-              jsonrpc: '2.0',
-              result: '0x123456',
-              id: parsed.id
-            };
-          }
-          return {
-            jsonrpc: '2.0',
-            result: { number: '0x1' },
-            id: parsed.id
-          };
+          return Array.isArray(parsed) ? parsed.map(respond) : respond(parsed);
         })
         .persist();
 
@@ -474,10 +534,361 @@ describe('RPCHandler Integration Tests', () => {
       expect(results).toHaveLength(2);
       expect(results[0].result).toBe('0x123456');
       expect(results[1].result.number).toBe('0x1');
+      
+      // Both misses were sent in one upstream batch
+      expect(upstreamCalls).toBe(1);
+    });
+
+    it('should serve hits from the cache and pack misses into one upstream batch', async () => {
+      const upstreamBatches = [];
+      upstreamMock
+        .post('/')
+        .reply(200, (uri, requestBody) => {
+          const parsed = typeof requestBody === 'string' ? JSON.parse(requestBody) : requestBody;
+          upstreamBatches.push(parsed);
+          return Array.isArray(parsed) ? parsed.map(respond) : respond(parsed);
+        })
+        .persist();
+
+      const request = (number, id) => ({ jsonrpc: '2.0', method: 'eth_getBlockByNumber', params: [number, false], id });
+
+      await handler.handleBatchRequest([request('0x1', 1), request('0x2', 2)]);
+      expect(upstreamBatches).toHaveLength(1);
+
+      const results = await handler.handleBatchRequest([
+        request('0x1', 1),
+        request('0x2', 2),
+        request('0x3', 3),
+        request('0x4', 4),
+        request('0x3', 5)
+      ]);
+
+      expect(results.map(r => r.id)).toEqual([1, 2, 3, 4, 5]);
+      expect(results.map(r => r.cached)).toEqual([true, true, false, false, false]);
+      expect(results[4].result.number).toBe('0x3');
+
+      // Only the two distinct misses went upstream, in a single batch
+      expect(upstreamBatches).toHaveLength(2);
+      expect(upstreamBatches[1].map(r => r.params[0])).toEqual(['0x3', '0x4']);
+      expect(handler.getMetrics().cacheHits).toBe(2);
+    });
+
+    it('should fall back to individual requests when the upstream rejects the batch', async () => {
+      upstreamMock
+        .post('/')
+        .reply(200, (uri, requestBody) => {
+          const parsed = typeof requestBody === 'string' ? JSON.parse(requestBody) : requestBody;
+          if (Array.isArray(parsed)) {
+            return { jsonrpc: '2.0', error: { code: -32600, message: 'batch requests not supported' }, id: null };
+          }
+          return respond(parsed);
+        })
+        .persist();
+
+      const results = await handler.handleBatchRequest([
+        { jsonrpc: '2.0', method: 'eth_getBlockByNumber', params: ['0x10', false], id: 1 },
+        { jsonrpc: '2.0', method: 'eth_getBlockByNumber', params: ['0x11', false], id: 2 }
+      ]);
+
+      expect(results.map(r => r.result.number)).toEqual(['0x10', '0x11']);
+    });
+
+    it('should share upstream fetches between batches and concurrent single requests', async () => {
+      const requested = [];
+      upstreamMock
+        .post('/')
+        .reply(200, async (uri, requestBody) => {
+          const parsed = typeof requestBody === 'string' ? JSON.parse(requestBody) : requestBody;
+          requested.push(...[parsed].flat().map(r => r.params[0]));
+          await global.sleep(50);
+          return Array.isArray(parsed) ? parsed.map(respond) : respond(parsed);
+        })
+        .persist();
+
+      const request = (number, id) => ({ jsonrpc: '2.0', method: 'eth_getBlockByNumber', params: [number, false], id });
+
+      const [batch, single] = await Promise.all([
+        handler.handleBatchRequest([request('0x20', 1), request('0x21', 2)]),
+        // Arrives while the batch is upstream
+        global.sleep(20).then(() => handler.handleRequest(request('0x21', 3)))
+      ]);
+
+      expect(batch.map(r => r.result.number)).toEqual(['0x20', '0x21']);
+      expect(single.result.number).toBe('0x21');
+      expect(requested.sort()).toEqual(['0x20', '0x21']);
+      expect(handler.getMetrics().coalescedRequests).toBe(1);
+    });
+
+    it('should hold the distributed lock of every key fetched in a batch', async () => {
+      const acquire = jest.spyOn(handler.distributedLock, 'acquireLock').mockResolvedValue(true);
+      const release = jest.spyOn(handler.distributedLock, 'releaseLock').mockResolvedValue(true);
+      upstreamMock
+        .post('/')
+        .reply(200, (uri, requestBody) => {
+          const parsed = typeof requestBody === 'string' ? JSON.parse(requestBody) : requestBody;
+          return parsed.map(respond);
+        });
+
+      const keys = ['0x30', '0x31'].map(number => handler.cacheManager.getKey(`eth_getBlockByNumber:["${number}",false]`));
+
+      await handler.handleBatchRequest([
+        { jsonrpc: '2.0', method: 'eth_getBlockByNumber', params: ['0x30', false], id: 1 },
+        { jsonrpc: '2.0', method: 'eth_getBlockByNumber', params: ['0x31', false], id: 2 }
+      ]);
+
+      expect(acquire.mock.calls.map(([key]) => key)).toEqual(keys);
+      expect(release.mock.calls.map(([key]) => key)).toEqual(keys);
+    });
+  });
+
+  describe('Chain namespace', () => {
+    const saved = {};
+
+    beforeEach(() => {
+      Object.assign(saved, {
+        cacheType: config.cache.type,
+        chainVerification: config.chainVerification.enabled,
+        chainId: config.ethereum.chainId
+      });
+      config.cache.type = 'memory';
+      config.chainVerification.enabled = false;
+    });
+
+    afterEach(() => {
+      config.cache.type = saved.cacheType;
+      config.chainVerification.enabled = saved.chainVerification;
+      config.ethereum.chainId = saved.chainId;
+    });
+
+    it('should keep the default chain un-namespaced unless CHAIN_ID is set', async () => {
+      const detected = new RPCHandler();
+      detected.ethereumService.chainId = 1; // as reported by the upstreams
+      await detected.initialize();
+      expect(detected.cacheManager.getKey('key')).toBe('key');
+      await detected.cleanup();
+
+      config.ethereum.chainId = 1;
+      const pinned = new RPCHandler();
+      await pinned.initialize();
+      expect(pinned.cacheManager.getKey('key')).toBe('chain:1:key');
+      await pinned.cleanup();
+    });
+  });
+
+  describe('Tenant access control', () => {
+    const tenant = { name: 'dapp', admin: false, allowedCategories: ['blocks'], allowedMethods: null };
+
+    it('should reject methods outside the tenant allow list', async () => {
+      const result = await handler.handleRequest(
+        { jsonrpc: '2.0', method: 'eth_sendRawTransaction', params: ['0x00'], id: 7 },
+        { tenant }
+      );
+
+      expect(result.error.code).toBe(-32004);
+      expect(result.id).toBe(7);
+      expect(handler.getMetrics().accessDenied).toBe(1);
+    });
+
+    it('should reject disallowed entries of a batch individually', async () => {
+      handler.cacheManager.client = new InMemoryCache();
+      upstreamMock
+        .post('/')
+        .reply(200, { jsonrpc: '2.0', result: '0x10', id: 1 });
+
+      const results = await handler.handleBatchRequest([
+        { jsonrpc: '2.0', method: 'eth_blockNumber', params: [], id: 1 },
+        { jsonrpc: '2.0', method: 'eth_getBalance', params: ['0x1234567890123456789012345678901234567890', 'latest'], id: 2 }
+      ], { tenant });
+
+      expect(results[0].result).toBe('0x10');
+      expect(results[1].error.code).toBe(-32004);
+    });
+  });
+
+  describe('Rate limiting', () => {
+    beforeEach(() => {
+      handler.cacheManager.client = new InMemoryCache();
+      handler.rateLimiter = new RateLimiter({
+        enabled: true,
+        defaultLimit: { requestsPerSecond: 1, burst: 1 },
+        methodLimits: {}
+      });
+    });
+
+    it('should reject requests over the client limit', async () => {
+      upstreamMock
+        .post('/')
+        .reply(200, { jsonrpc: '2.0', result: '0x10', id: 1 });
+
+      const request = { jsonrpc: '2.0', method: 'eth_blockNumber', params: [], id: 1 };
+      const first = await handler.handleRequest(request, { clientIp: '1.2.3.4' });
+      const second = await handler.handleRequest(request, { clientIp: '1.2.3.4' });
+
+      expect(first.result).toBe('0x10');
+      expect(second.error).toEqual({ code: -32005, message: 'Limit exceeded', data: { retryAfter: 1 } });
+      expect(handler.getMetrics().rateLimited).toBe(1);
+    });
+
+    it('should not count cache hits when they are exempt', async () => {
+      handler.rateLimiter.exemptCacheHits = true;
+      upstreamMock
+        .post('/')
+        .reply(200, { jsonrpc: '2.0', result: '0x10', id: 1 });
+
+      const request = { jsonrpc: '2.0', method: 'eth_blockNumber', params: [], id: 1 };
+      await handler.handleRequest(request, { clientIp: '1.2.3.4' });
+      const hit = await handler.handleRequest(request, { clientIp: '1.2.3.4' });
+      const miss = await handler.handleRequest(
+        { jsonrpc: '2.0', method: 'eth_gasPrice', params: [], id: 2 },
+        { clientIp: '1.2.3.4' }
+      );
+
+      expect(hit.cached).toBe(true);
+      expect(miss.error.code).toBe(-32005);
+    });
+
+    it('should limit batch entries individually', async () => {
+      upstreamMock
+        .post('/')
+        .reply(200, { jsonrpc: '2.0', result: '0x10', id: 1 });
+
+      const results = await handler.handleBatchRequest([
+        { jsonrpc: '2.0', method: 'eth_blockNumber', params: [], id: 1 },
+        { jsonrpc: '2.0', method: 'eth_chainId', params: [], id: 2 }
+      ], { clientIp: '1.2.3.4' });
+
+      expect(results[0].result).toBe('0x10');
+      expect(results[1].error.code).toBe(-32005);
+      expect(results[1].id).toBe(2);
+    });
+  });
+
+  describe('Transaction broadcast', () => {
+    const rawTx = '0xf86c098504a817c800825208943535353535353535353535353535353535353535880de0b6b3a76400008025a028ef61340bd939bc2195fe537567866003e1a15d3c71ff63e1590620aa636276a067cbe9d8997f761aecb703304b3800ccf555c9f3dc64214b297fb1966a3b6d83';
+    const txHash = '0x33469b22e9f636356c4160a87eb19df52b7412e8eac32a4a55ffe88ea8350788';
+
+    it('should answer with the local hash when the provider already knows the transaction', async () => {
+      handler.txBroadcaster.enabled = true;
+      upstreamMock
+        .post('/')
+        .reply(200, { jsonrpc: '2.0', error: { code: -32000, message: 'already known' }, id: 1 });
+
+      const result = await handler.handleRequest({ jsonrpc: '2.0', method: 'eth_sendRawTransaction', params: [rawTx], id: 1 });
+
+      expect(result).toEqual({ jsonrpc: '2.0', result: txHash, id: 1, cached: false });
+      expect(handler.getMetrics().txBroadcast).toMatchObject({ transactions: 1, accepted: 1 });
+    });
+  });
+
+  describe('Request limits', () => {
+    const limits = { ...config.limits };
+
+    afterEach(() => {
+      Object.assign(config.limits, limits);
+    });
+
+    it('should leave batches and eth_getLogs filters unlimited by default', () => {
+      expect(limits).toMatchObject({ maxBatchSize: 0, maxLogsBlockRange: 0, maxLogsAddresses: 0 });
+    });
+
+    it('should reject batches over MAX_BATCH_SIZE', async () => {
+      config.limits.maxBatchSize = 2;
+      const batch = [1, 2, 3].map(id => ({ jsonrpc: '2.0', method: 'eth_chainId', params: [], id }));
+
+      const result = await handler.handleBatchRequest(batch);
+
+      expect(result).toEqual({
+        jsonrpc: '2.0',
+        error: { code: -32600, message: 'Batch too large: 3 requests (max 2)' },
+        id: null
+      });
+    });
+
+    it('should reject eth_getLogs ranges and address lists over the limits', async () => {
+      config.limits.maxLogsBlockRange = 1000;
+      config.limits.maxLogsAddresses = 1;
+
+      const range = await handler.handleRequest({
+        jsonrpc: '2.0', method: 'eth_getLogs', params: [{ fromBlock: '0x1', toBlock: '0x3e9' }], id: 1
+      });
+      const addresses = await handler.handleRequest({
+        jsonrpc: '2.0', method: 'eth_getLogs', params: [{ fromBlock: '0x1', toBlock: '0x2', address: ['0x01', '0x02'] }], id: 2
+      });
+
+      expect(range.error).toEqual({ code: -32602, message: 'Block range too large: 1001 blocks (max 1000)' });
+      expect(addresses.error).toEqual({ code: -32602, message: 'Too many addresses: 2 (max 1)' });
+    });
+
+    it('should resolve block tags against the upstream head', async () => {
+      config.limits.maxLogsBlockRange = 1000;
+      upstreamMock
+        .post('/', body => body.method === 'eth_blockNumber')
+        .reply(200, (uri, body) => ({ jsonrpc: '2.0', result: '0x2710', id: body.id }));
+
+      const result = await handler.handleRequest({
+        jsonrpc: '2.0', method: 'eth_getLogs', params: [{ fromBlock: '0x0' }], id: 1
+      });
+
+      expect(result.error).toEqual({ code: -32602, message: 'Block range too large: 10001 blocks (max 1000)' });
+    });
+
+    it('should refresh a head seen in eth_blockNumber traffic once it is stale', async () => {
+      config.limits.maxLogsBlockRange = 1000;
+      upstreamMock
+        .post('/', body => body.method === 'eth_blockNumber')
+        .reply(200, (uri, body) => ({ jsonrpc: '2.0', result: '0x7d0', id: body.id }));
+      const request = { jsonrpc: '2.0', method: 'eth_getLogs', params: [{ fromBlock: '0x3e8' }], id: 1 };
+
+      handler.ethereumService.recordHead('0x3e8');
+      expect(handler.getKnownHead()).toBe(1000);
+
+      // The eth_blockNumber traffic is now answered from the cache
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now + 6000);
+      expect(handler.getKnownHead()).toBeNull();
+
+      const result = await handler.handleRequest(request);
+      expect(result.error).toEqual({ code: -32602, message: 'Block range too large: 1001 blocks (max 1000)' });
+      expect(handler.getKnownHead()).toBe(2000);
+    });
+
+    it('should split oversized eth_getLogs ranges into chunks and merge the logs', async () => {
+      config.limits.logsChunkSize = 100;
+      const requested = [];
+      upstreamMock
+        .post('/', body => body.method === 'eth_getLogs')
+        .times(3)
+        .reply(200, (uri, body) => {
+          requested.push([body.params[0].fromBlock, body.params[0].toBlock]);
+          return { jsonrpc: '2.0', result: [{ blockNumber: body.params[0].fromBlock }], id: body.id };
+        });
+
+      const result = await handler.handleRequest({
+        jsonrpc: '2.0', method: 'eth_getLogs', params: [{ fromBlock: '0x1', toBlock: '0xfa' }], id: 1
+      });
+
+      expect(requested.sort()).toEqual([['0x1', '0x64'], ['0x65', '0xc8'], ['0xc9', '0xfa']]);
+      expect(result.result).toEqual([{ blockNumber: '0x1' }, { blockNumber: '0x65' }, { blockNumber: '0xc9' }]);
     });
   });
 
   describe('Error Handling', () => {
+    it('should answer params that fail normalization with invalid params', async () => {
+      jest.spyOn(handler, 'normalizeRequestParams').mockImplementation(() => {
+        throw new TypeError('bad param');
+      });
+
+      const result = await handler.handleRequest({ jsonrpc: '2.0', method: 'eth_call', params: [{}], id: 1 });
+      expect(result.error).toEqual({ code: -32602, message: 'Invalid params', data: 'bad param' });
+
+      // The rest of a batch is still answered
+      const responses = await handler.handleBatchRequest([
+        { jsonrpc: '2.0', method: 'eth_call', params: [{}], id: 2 },
+        { jsonrpc: '1.0', method: 'eth_blockNumber', params: [], id: 3 }
+      ]);
+      expect(responses.map(response => response.error.code)).toEqual([-32602, -32600]);
+    });
+
     it('should handle invalid JSON-RPC format', async () => {
       const invalidRequest = {
         jsonrpc: '1.0', // Wrong version
@@ -516,9 +927,41 @@ describe('RPCHandler Integration Tests', () => {
       };
 
       const result = await handler.handleRequest(request);
-      expect(result.error).toBeDefined();
-      // Should get internal error since upstream mock returned error
+      // The upstream error is passed through as-is
+      expect(result.error).toEqual({ code: -32000, message: 'insufficient funds' });
+    });
+
+    it('should pass revert data from upstream through to the client', async () => {
+      const revert = {
+        code: 3,
+        message: 'execution reverted: Ownable: caller is not the owner',
+        data: '0x08c379a0000000000000000000000000000000000000000000000000000000000000002000000000000000000000000000000000000000000000000000000000000000204f776e61626c653a2063616c6c6572206973206e6f7420746865206f776e6572'
+      };
+      upstreamMock
+        .post('/')
+        .reply(200, { jsonrpc: '2.0', error: revert, id: 1 });
+
+      const result = await handler.handleRequest({
+        jsonrpc: '2.0',
+        method: 'eth_call',
+        params: [{ to: '0x1234567890123456789012345678901234567890', data: '0x8da5cb5b' }, '0x10'],
+        id: 7
+      });
+
+      expect(result).toEqual({ jsonrpc: '2.0', error: revert, id: 7 });
+    });
+
+    it('should report transport failures as internal errors', async () => {
+      upstreamMock
+        .post('/')
+        .times(2)
+        .reply(503, 'Service Unavailable');
+
+      const result = await handler.handleRequest({ jsonrpc: '2.0', method: 'eth_chainId', params: [], id: 1 });
+
       expect(result.error.code).toBe(-32603);
+      expect(result.error.message).toBe('Internal error');
+      expect(result.error.data).toMatch(/^All RPC endpoints failed/);
     });
   });
 });
\ No newline at end of file
@@ -0,0 +1,133 @@
+import nock from 'nock';
+import { buildServer } from '../../src/server.js';
+import { config } from '../../src/config/index.js';
+
+const defaultUrl = new URL(config.ethereum.rpcUrl || 'http://localhost:8545');
+const polygonUrl = 'http://polygon.example.com';
+
+// Answer eth_chainId with the chain of the upstream and blocks tagged with it
+const mockUpstream = (url, chainId, calls) => nock(url)
+  .post('/')
+  .reply(200, (uri, body) => {
+    calls.push(body.method);
+    return {
+      jsonrpc: '2.0',
+      result: body.method === 'eth_chainId' ? `0x${chainId.toString(16)}` : { number: body.params[0], chainId },
+      id: body.id
+    };
+  })
+  .persist();
+
+describe('Server chain routing', () => {
+  const saved = {};
+  let server;
+  let defaultCalls;
+  let polygonCalls;
+
+  const rpc = (url, number) => server.inject({
+    method: 'POST',
+    url,
+    payload: { jsonrpc: '2.0', method: 'eth_getBlockByNumber', params: [number, false], id: 1 }
+  });
+
+  beforeAll(async () => {
+    Object.assign(saved, {
+      chains: config.chains,
+      cacheType: config.cache.type,
+      websocket: config.websocket.enabled,
+      chainVerification: config.chainVerification.enabled,
+      prettyPrint: config.logging.prettyPrint
+    });
+    config.chains = [{
+      chainId: 137,
+      rpcUrl: polygonUrl,
+      rpcUrls: [polygonUrl],
+      archiveRpcUrls: [],
+      broadcastRpcUrls: [],
+      providerOptions: {},
+      wsUrl: null,
+      permanentCacheHeight: 0
+    }];
+    config.cache.type = 'memory';
+    config.websocket.enabled = false;
+    config.chainVerification.enabled = true;
+    config.logging.prettyPrint = false;
+
+    defaultCalls = [];
+    polygonCalls = [];
+    mockUpstream(`${defaultUrl.protocol}//${defaultUrl.host}`, 1, defaultCalls);
+    mockUpstream(polygonUrl, 137, polygonCalls);
+
+    server = await buildServer();
+  });
+
+  afterAll(async () => {
+    await server.close();
+    nock.cleanAll();
+    config.chains = saved.chains;
+    config.cache.type = saved.cacheType;
+    config.websocket.enabled = saved.websocket;
+    config.chainVerification.enabled = saved.chainVerification;
+    config.logging.prettyPrint = saved.prettyPrint;
+  });
+
+  beforeEach(() => {
+    defaultCalls.length = 0;
+    polygonCalls.length = 0;
+  });
+
+  it('should serve the default chain on / and on its chain ID', async () => {
+    const first = (await rpc('/', '0x1')).json();
+    const second = (await rpc('/1', '0x1')).json();
+
+    expect(first).toMatchObject({ result: { number: '0x1', chainId: 1 }, cached: false });
+    expect(second).toMatchObject({ result: { number: '0x1', chainId: 1 }, cached: true });
+    expect(defaultCalls).toEqual(['eth_getBlockByNumber']);
+    expect(polygonCalls).toEqual([]);
+  });
+
+  it('should route /:chainId to the upstream and cache of that chain', async () => {
+    const response = await rpc('/137', '0x2');
+
+    expect(response.statusCode).toBe(200);
+    expect(response.json()).toMatchObject({ result: { number: '0x2', chainId: 137 }, cached: false });
+    expect(polygonCalls).toEqual(['eth_getBlockByNumber']);
+    expect(defaultCalls).toEqual([]);
+
+    // Another chain's cache doesn't answer for the same request
+    expect((await rpc('/', '0x2')).json()).toMatchObject({ result: { chainId: 1 }, cached: false });
+  });
+
+  it('should answer unsupported chains with a 404', async () => {
+    const response = await rpc('/10', '0x1');
+
+    expect(response.statusCode).toBe(404);
+    expect(response.json()).toEqual({
+      jsonrpc: '2.0',
+      error: { code: -32601, message: 'Unsupported chain: 10' },
+      id: null
+    });
+    expect(defaultCalls).toEqual([]);
+    expect(polygonCalls).toEqual([]);
+  });
+
+  it('should refuse a CHAINS entry with the default chain ID', async () => {
+    const chains = config.chains;
+    config.chains = [{ ...chains[0], chainId: 1 }];
+
+    try {
+      await expect(buildServer()).rejects.toThrow('CHAINS lists chain 1, which is already the default chain');
+    } finally {
+      config.chains = chains;
+    }
+  });
+
+  it('should export request latency and a breaker series per chain', async () => {
+    await rpc('/137', '0x3');
+    const output = (await server.inject({ method: 'GET', url: '/metrics' })).body;
+
+    expect(output).toMatch(/rpc_request_duration_seconds_count\{method="eth_getBlockByNumber"\} [1-9]/);
+    expect(output).toContain('rpc_circuit_breaker_state{name="upstream-rpc"} 0');
+    expect(output).toContain('rpc_circuit_breaker_state{name="upstream-rpc:137"} 0');
+  });
+});
@@ -0,0 +1,86 @@
+import { jest } from '@jest/globals';
+import { BatchDispatcher } from '../../src/services/batchDispatcher.js';
+
+describe('BatchDispatcher', () => {
+  let ethereumService;
+
+  beforeEach(() => {
+    ethereumService = {
+      callRPC: jest.fn().mockResolvedValue('0xsingle'),
+      batchCall: jest.fn().mockImplementation(async (requests) =>
+        requests.map(({ params }) => ({ result: `0x${params[0]}` }))
+      ),
+      getErrorMessage: jest.fn().mockImplementation(error => error.message)
+    };
+  });
+
+  it('should send calls arriving within the window as one batch', async () => {
+    const dispatcher = new BatchDispatcher(ethereumService, { window: 5, maxSize: 50 });
+
+    const results = await Promise.all([
+      dispatcher.call('eth_getBalance', ['a']),
+      dispatcher.call('eth_getBalance', ['b']),
+      dispatcher.call('eth_getCode', ['c'])
+    ]);
+
+    expect(results).toEqual(['0xa', '0xb', '0xc']);
+    expect(ethereumService.batchCall).toHaveBeenCalledTimes(1);
+    expect(ethereumService.batchCall).toHaveBeenCalledWith([
+      { method: 'eth_getBalance', params: ['a'] },
+      { method: 'eth_getBalance', params: ['b'] },
+      { method: 'eth_getCode', params: ['c'] }
+    ]);
+    expect(dispatcher.getMetrics().largestBatch).toBe(3);
+  });
+
+  it('should flush early once the batch is full', async () => {
+    const dispatcher = new BatchDispatcher(ethereumService, { window: 60000, maxSize: 2 });
+
+    const results = await Promise.all([
+      dispatcher.call('eth_getBalance', ['a']),
+      dispatcher.call('eth_getBalance', ['b'])
+    ]);
+
+    expect(results).toEqual(['0xa', '0xb']);
+    expect(dispatcher.getMetrics().flushedBySize).toBe(1);
+  });
+
+  it('should use a single call when only one request is queued', async () => {
+    const dispatcher = new BatchDispatcher(ethereumService, { window: 1 });
+
+    await expect(dispatcher.call('eth_getBalance', ['a'])).resolves.toBe('0xsingle');
+    expect(ethereumService.batchCall).not.toHaveBeenCalled();
+  });
+
+  it('should reject only the callers whose request failed', async () => {
+    ethereumService.batchCall.mockResolvedValueOnce([
+      { result: '0x1' },
+      { error: { code: 3, message: 'execution reverted' } }
+    ]);
+    const dispatcher = new BatchDispatcher(ethereumService, { window: 1 });
+
+    const [ok, failed] = await Promise.allSettled([
+      dispatcher.call('eth_call', [{}]),
+      dispatcher.call('eth_call', [{}])
+    ]);
+
+    expect(ok.value).toBe('0x1');
+    expect(failed.reason.message).toBe('RPC Error: execution reverted');
+    expect(failed.reason.rpcError).toEqual({ code: 3, message: 'execution reverted' });
+  });
+
+  it('should reject every caller when the batch fails', async () => {
+    ethereumService.batchCall.mockRejectedValueOnce(new Error('Connection refused'));
+    const dispatcher = new BatchDispatcher(ethereumService, { window: 1 });
+
+    const results = await Promise.allSettled([
+      dispatcher.call('eth_getBalance', ['a']),
+      dispatcher.call('eth_getBalance', ['b'])
+    ]);
+
+    results.forEach(result => {
+      expect(result.reason.message).toBe('All RPC endpoints failed: Connection refused');
+    });
+    expect(dispatcher.getMetrics().batchFailures).toBe(1);
+  });
+});
@@ -2,6 +2,10 @@ import { jest } from '@jest/globals';
 import { CacheManager } from '../../src/cache/cacheManager.js';
 import * as redisModule from '../../src/cache/redis.js';
 import { config } from '../../src/config/index.js';
+import { DiskCache } from '../../src/cache/diskCache.js';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
 
 describe('CacheManager', () => {
   let cacheManager;
@@ -105,6 +109,26 @@ describe('CacheManager', () => {
     });
   });
 
+  describe('namespace', () => {
+    it('should keep chains apart in a shared cache', async () => {
+      const polygon = new CacheManager({ namespace: 'chain:137' });
+      polygon.client = cacheManager.client;
+      cacheManager.setNamespace('chain:1');
+
+      await cacheManager.set('eth_chainId', '0x1', null);
+      await polygon.set('eth_chainId', '0x89', null);
+
+      expect(await cacheManager.get('eth_chainId')).toBe('0x1');
+      expect(await polygon.get('eth_chainId')).toBe('0x89');
+      expect(await cacheManager.client.get('chain:137:eth_chainId')).toBe('"0x89"');
+
+      // Flushing one chain leaves the other one's entries
+      await polygon.flush();
+      expect(await polygon.get('eth_chainId')).toBeNull();
+      expect(await cacheManager.get('eth_chainId')).toBe('0x1');
+    });
+  });
+
   describe('getStats', () => {
     it('should return cache statistics', async () => {
       // Set some values
@@ -118,4 +142,56 @@ describe('CacheManager', () => {
       expect(stats).toHaveProperty('ttlCount', 1);
     });
   });
+
+  describe('compression', () => {
+    it('should compress large values and still read uncompressed ones', async () => {
+      cacheManager.compression = { algorithm: 'gzip', threshold: 100 };
+      const logs = Array.from({ length: 20 }, (_, i) => ({ logIndex: `0x${i.toString(16)}`, data: '0x' + '00'.repeat(32) }));
+
+      await cacheManager.set('logs', logs, 60);
+      await cacheManager.set('small', '0x1', 60);
+      await cacheManager.client.set('old', JSON.stringify(logs));
+
+      expect(await cacheManager.client.get('logs')).toMatch(/^~c1:gzip:/);
+      expect(await cacheManager.client.get('small')).toBe('"0x1"');
+      expect(await cacheManager.get('logs')).toEqual(logs);
+      expect(await cacheManager.mGet(['logs', 'old'])).toEqual([logs, logs]);
+
+      const { compression } = await cacheManager.getStats();
+      expect(compression.compressedWrites).toBe(1);
+      expect(compression.bytesSaved).toBeGreaterThan(0);
+    });
+  });
+
+  describe('disk store', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await mkdtemp(path.join(tmpdir(), 'cache-manager-'));
+      cacheManager.disk = new DiskCache({ path: dir });
+      await cacheManager.disk.open();
+    });
+
+    afterEach(async () => {
+      await cacheManager.disk.close();
+      cacheManager.disk = null;
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    it('should keep permanent entries on disk and restore them to the hot cache', async () => {
+      await cacheManager.set('block', { number: '0x1' }, null);
+      await cacheManager.set('latest', '0x10', 2);
+      expect(cacheManager.disk.keys('*')).toEqual(['block']);
+
+      // Hot cache lost (e.g. restart)
+      await cacheManager.client.flushAll();
+
+      expect(await cacheManager.get('block')).toEqual({ number: '0x1' });
+      expect(await cacheManager.client.get('block')).toBe('{"number":"0x1"}');
+      expect(await cacheManager.mGet(['block', 'latest'])).toEqual([{ number: '0x1' }, null]);
+
+      await cacheManager.purgeKeys(['block']);
+      expect(await cacheManager.get('block')).toBeNull();
+    });
+  });
 });
\ No newline at end of file
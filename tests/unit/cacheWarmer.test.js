@@ -0,0 +1,143 @@
+import { jest } from '@jest/globals';
+import { CacheWarmer } from '../../src/cache/cacheWarmer.js';
+
+describe('CacheWarmer', () => {
+  let handler;
+  let warmer;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+
+    handler = {
+      chainId: null,
+      normalizeRequestParams: (method, params) => params,
+      cacheManager: { getKey: (key) => `chain:1:${key}` },
+      distributedLock: {
+        tryAcquireLock: jest.fn().mockResolvedValue(true),
+        releaseLock: jest.fn().mockResolvedValue(true),
+        keepLock: jest.fn()
+      },
+      requestCoalescer: { getOrFetch: (key, fetchFn) => fetchFn() },
+      // Writes the result with a 10s TTL like RPCHandler.cacheResult
+      fetchWithCircuitBreaker: jest.fn().mockImplementation(async (method, params, cacheKey) => {
+        warmer.recordWrite(cacheKey, 10);
+        return '0x1';
+      })
+    };
+
+    warmer = new CacheWarmer(handler, { enabled: true, hotKeys: 2, refreshAhead: 0.2 });
+  });
+
+  afterEach(() => {
+    warmer.stop();
+    jest.useRealTimers();
+  });
+
+  const fetchedMethods = () => handler.fetchWithCircuitBreaker.mock.calls.map(call => call[0]);
+
+  it('should warm the declared targets and watched balances', async () => {
+    warmer.setTargets({
+      targets: [{ method: 'eth_chainId' }, { method: 'eth_sendRawTransaction', params: ['0x00'] }],
+      balances: ['0x1234567890123456789012345678901234567890']
+    });
+
+    await warmer.warmTargets();
+
+    // Methods that are never cached aren't warmed
+    expect(fetchedMethods()).toEqual(['eth_chainId', 'eth_getBalance']);
+    expect(handler.fetchWithCircuitBreaker.mock.calls[1][1]).toEqual(['0x1234567890123456789012345678901234567890', 'latest']);
+    expect(warmer.getMetrics()).toMatchObject({ runs: 1, refreshed: 2 });
+  });
+
+  it('should reject targets without a method', () => {
+    expect(() => warmer.setTargets([{ params: [] }])).toThrow('Warm target 0 needs a "method"');
+  });
+
+  it('should leave keys locked by another instance to it', async () => {
+    handler.distributedLock.tryAcquireLock.mockResolvedValue(false);
+
+    await warmer.warmTargets();
+
+    expect(handler.fetchWithCircuitBreaker).not.toHaveBeenCalled();
+    expect(handler.distributedLock.tryAcquireLock).toHaveBeenCalledWith(expect.stringMatching(/^warm:chain:1:/), expect.any(Number));
+    expect(warmer.getMetrics()).toMatchObject({ skipped: 3, refreshed: 0 });
+  });
+
+  it('should keep the lock of a refreshed key until it is due again', async () => {
+    warmer.setTargets([{ method: 'eth_blockNumber' }, { method: 'eth_chainId' }]);
+    await warmer.warmTargets();
+
+    // Targets are due on the next head (about their TTL) or interval
+    expect(handler.distributedLock.tryAcquireLock.mock.calls.map(call => call[1])).toEqual([2000, 300000]);
+    expect(handler.distributedLock.keepLock).toHaveBeenCalledTimes(2);
+    expect(handler.distributedLock.releaseLock).not.toHaveBeenCalled();
+
+    // Hot keys are due once in the last 20% of their TTL
+    handler.distributedLock.tryAcquireLock.mockClear();
+    warmer.recordAccess('eth_getBalance', ['a', 'latest'], 'a');
+    warmer.recordWrite('a', 10);
+    jest.advanceTimersByTime(8000);
+    await warmer.refreshHotKeys();
+    expect(handler.distributedLock.tryAcquireLock).toHaveBeenCalledWith('warm:chain:1:a', 8000);
+
+    // A failed refresh lets another instance try
+    handler.fetchWithCircuitBreaker.mockRejectedValueOnce(new Error('All RPC endpoints failed'));
+    await warmer.warmTargets();
+    expect(handler.distributedLock.releaseLock).toHaveBeenCalledTimes(1);
+  });
+
+  it('should warm the targets again on a new head once started', async () => {
+    warmer.onNewHead();
+    expect(handler.fetchWithCircuitBreaker).not.toHaveBeenCalled();
+
+    warmer.start();
+    await jest.advanceTimersByTimeAsync(0);
+    warmer.onNewHead();
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(warmer.getMetrics().runs).toBe(2);
+  });
+
+  it('should refresh the hottest keys shortly before they expire', async () => {
+    ['a', 'a', 'a', 'b', 'b', 'c'].forEach(key => warmer.recordAccess('eth_getBalance', [key, 'latest'], key));
+    warmer.recordWrite('a', 10);
+    warmer.recordWrite('b', null); // permanent
+    warmer.recordWrite('c', 10); // not among the top 2
+
+    // 7s into a 10s TTL: not yet in the last 20%
+    jest.advanceTimersByTime(7000);
+    await warmer.refreshHotKeys();
+    expect(handler.fetchWithCircuitBreaker).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(1000);
+    await warmer.refreshHotKeys();
+    expect(handler.fetchWithCircuitBreaker.mock.calls.map(call => call[2])).toEqual(['a']);
+
+    // The refreshed key's expiry moved forward
+    await warmer.refreshHotKeys();
+    expect(handler.fetchWithCircuitBreaker).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not retry failed refreshes until the key is written again', async () => {
+    handler.fetchWithCircuitBreaker.mockRejectedValue(new Error('All RPC endpoints failed'));
+    warmer.recordAccess('eth_getBalance', ['a', 'latest'], 'a');
+    warmer.recordWrite('a', 1);
+    jest.advanceTimersByTime(900);
+
+    await warmer.refreshHotKeys();
+    await warmer.refreshHotKeys();
+
+    expect(handler.fetchWithCircuitBreaker).toHaveBeenCalledTimes(1);
+    expect(warmer.getMetrics().failed).toBe(1);
+  });
+
+  it('should forget keys that went cold', () => {
+    warmer.recordAccess('eth_getBalance', ['a', 'latest'], 'a');
+    warmer.recordAccess('eth_getBalance', ['a', 'latest'], 'a');
+    warmer.recordAccess('eth_getBalance', ['b', 'latest'], 'b');
+
+    warmer.decay();
+
+    expect(warmer.getMetrics().hotKeys).toEqual([{ key: 'a', hits: 1 }]);
+  });
+});
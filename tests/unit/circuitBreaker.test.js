@@ -106,7 +106,10 @@ describe('CircuitBreaker', () => {
         return 'result';
       });
       
-      await expect(breaker.execute(slowFn)).rejects.toThrow('Circuit breaker timeout');
+      await expect(breaker.execute(slowFn)).rejects.toMatchObject({
+        message: expect.stringContaining('Circuit breaker timeout'),
+        code: 'CIRCUIT_TIMEOUT'
+      });
       expect(breaker.failures).toBe(1);
     });
 
@@ -130,6 +133,25 @@ describe('CircuitBreaker', () => {
       // But also hits the simple failure threshold of 3
       expect(breaker.getState()).toBe('OPEN');
     });
+
+    it('should only count errors selected by isFailure', async () => {
+      const selective = new CircuitBreaker('selective-breaker', {
+        failureThreshold: 2,
+        isFailure: (error) => error.code === 'DOWN'
+      });
+      const reverted = jest.fn().mockRejectedValue(new Error('execution reverted'));
+
+      for (let i = 0; i < 3; i++) {
+        await expect(selective.execute(reverted)).rejects.toThrow('execution reverted');
+      }
+      expect(selective.getState()).toBe('CLOSED');
+      expect(selective.getMetrics().totalFailures).toBe(0);
+
+      const down = jest.fn().mockRejectedValue(Object.assign(new Error('down'), { code: 'DOWN' }));
+      await expect(selective.execute(down)).rejects.toThrow('down');
+      await expect(selective.execute(down)).rejects.toThrow('down');
+      expect(selective.getState()).toBe('OPEN');
+    });
   });
 
   describe('state management', () => {
@@ -0,0 +1,46 @@
+import zlib from 'zlib';
+import { encodeValue, decodeValue, isCompressed, isCompressionSupported } from '../../src/cache/compression.js';
+
+describe('Cache compression', () => {
+  const block = JSON.stringify({
+    number: '0x10',
+    transactions: Array.from({ length: 50 }, (_, i) => ({ hash: `0x${i.toString(16).padStart(64, '0')}`, input: '0x' }))
+  });
+
+  it.each(['gzip', 'brotli'])('should round-trip %s values with a header', async (algorithm) => {
+    const stored = await encodeValue(block, { algorithm, threshold: 1024 });
+
+    expect(stored.startsWith(`~c1:${algorithm}:`)).toBe(true);
+    expect(stored.length).toBeLessThan(block.length);
+    expect(await decodeValue(stored)).toBe(block);
+  });
+
+  it('should compress brotli at a quality fit for the request path', async () => {
+    const stored = await encodeValue(block, { algorithm: 'brotli', threshold: 0 });
+    const expected = zlib.brotliCompressSync(block, { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 4 } });
+
+    expect(stored).toBe(`~c1:brotli:${expected.toString('base64')}`);
+  });
+
+  it('should leave small, incompressible and disabled values as they are', async () => {
+    expect(await encodeValue('"0x1"', { algorithm: 'gzip', threshold: 1024 })).toBe('"0x1"');
+    expect(await encodeValue(block, { algorithm: 'none', threshold: 0 })).toBe(block);
+
+    // Short values grow with the gzip header and base64
+    expect(await encodeValue('"0x1234"', { algorithm: 'gzip', threshold: 0 })).toBe('"0x1234"');
+  });
+
+  it('should decode uncompressed entries and reject unknown algorithms', async () => {
+    expect(isCompressed(block)).toBe(false);
+    expect(await decodeValue(block)).toBe(block);
+    expect(await decodeValue(null)).toBeNull();
+    await expect(decodeValue('~c1:lz4:AAAA')).rejects.toThrow('Unsupported cache compression: lz4');
+  });
+
+  it('should report zstd support from zlib', () => {
+    expect(isCompressionSupported('none')).toBe(true);
+    expect(isCompressionSupported('gzip')).toBe(true);
+    expect(isCompressionSupported('zstd')).toBe(typeof zlib.zstdCompress === 'function');
+    expect(isCompressionSupported('lz4')).toBe(false);
+  });
+});
@@ -0,0 +1,85 @@
+import { mkdtemp, rm, appendFile, readFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { DiskCache } from '../../src/cache/diskCache.js';
+
+describe('DiskCache', () => {
+  let dir;
+  let cache;
+
+  const openCache = async () => {
+    cache = new DiskCache({ path: dir });
+    await cache.open();
+    return cache;
+  };
+
+  beforeEach(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'disk-cache-'));
+  });
+
+  afterEach(async () => {
+    await cache?.close();
+    cache = null;
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should keep entries across restarts', async () => {
+    await openCache();
+    await cache.set('chain:1:block:0x1', '{"number":"0x1"}');
+    await cache.set('chain:1:receipt:0xab', '~c1:gzip:H4sI');
+    await cache.close();
+
+    await openCache();
+    expect(await cache.get('chain:1:block:0x1')).toBe('{"number":"0x1"}');
+    expect(await cache.get('chain:1:receipt:0xab')).toBe('~c1:gzip:H4sI');
+    expect(await cache.get('chain:1:block:0x2')).toBeNull();
+    expect(cache.getStats()).toMatchObject({ entries: 2, hits: 2, misses: 1 });
+  });
+
+  it('should not rewrite stored keys and replay deletions', async () => {
+    await openCache();
+    expect(await cache.set('a', '"1"')).toBe(true);
+    expect(await cache.set('a', '"2"')).toBe(false);
+    await cache.set('chain:137:b', '"3"');
+    await cache.set('chain:137:c', '"4"');
+
+    expect(await cache.deleteKeys('chain:137:*')).toBe(2);
+    await cache.close();
+
+    await openCache();
+    expect(cache.keys('*')).toEqual(['a']);
+    expect(await cache.get('a')).toBe('"1"');
+  });
+
+  it('should drop a torn last record', async () => {
+    await openCache();
+    await cache.set('a', '"1"');
+    await cache.close();
+    await appendFile(path.join(dir, 'cache.dat'), '["b","tor');
+
+    await openCache();
+    await cache.set('c', '"3"');
+    expect(cache.keys('*')).toEqual(['a', 'c']);
+
+    const lines = (await readFile(path.join(dir, 'cache.dat'), 'utf8')).trim().split('\n');
+    expect(lines).toEqual(['["a","\\"1\\""]', '["c","\\"3\\""]']);
+  });
+
+  it('should compact the file once deletions dominate it', async () => {
+    await openCache();
+    const value = JSON.stringify('x'.repeat(1024));
+    for (let i = 0; i < 1100; i++) {
+      await cache.set(`old:${i}`, value);
+    }
+    await cache.set('keep', '"1"');
+
+    await cache.deleteKeys('old:*');
+
+    expect(cache.getStats()).toMatchObject({ compactions: 1, entries: 1, deadBytes: 0 });
+    expect(await cache.get('keep')).toBe('"1"');
+    await cache.close();
+
+    await openCache();
+    expect(cache.getStats().bytes).toBe(Buffer.byteLength('["keep","\\"1\\""]\n'));
+  });
+});
@@ -251,6 +251,542 @@ describe('EthereumService - Multi-URL Fallback', () => {
       ]);
       expect(axios.post).toHaveBeenCalledTimes(2);
     });
+
+    it('should report missing batch responses as errors', async () => {
+      axios.post.mockResolvedValueOnce({
+        data: [{ jsonrpc: '2.0', result: '0x1', id: 1 }]
+      });
+
+      const results = await ethereumService.batchCall([
+        { method: 'eth_blockNumber', params: [] },
+        { method: 'eth_gasPrice', params: [] }
+      ]);
+
+      expect(results[0]).toEqual({ result: '0x1' });
+      expect(results[1].error.message).toBe('Missing response in upstream batch');
+    });
+
+    it('should split batches to the provider max batch size', async () => {
+      ethereumService.providerOptions = { 'https://primary.example.com': { maxBatch: 2 } };
+      axios.post.mockImplementation(async (url, payload) => ({
+        data: payload.map(req => ({ jsonrpc: '2.0', result: req.params[0], id: req.id }))
+      }));
+
+      const results = await ethereumService.batchCall(
+        ['0x1', '0x2', '0x3'].map(value => ({ method: 'eth_getBalance', params: [value] }))
+      );
+
+      expect(results).toEqual([{ result: '0x1' }, { result: '0x2' }, { result: '0x3' }]);
+      expect(axios.post).toHaveBeenCalledTimes(2);
+      expect(axios.post.mock.calls.map(call => call[1].length)).toEqual([2, 1]);
+    });
+
+    it('should fall back to single calls when a provider rejects batches', async () => {
+      axios.post.mockImplementation(async (url, payload) => ({
+        data: Array.isArray(payload)
+          ? { jsonrpc: '2.0', error: { code: -32600, message: 'batch not supported' }, id: null }
+          : { jsonrpc: '2.0', result: payload.params[0], id: payload.id }
+      }));
+
+      const requests = ['0x1', '0x2'].map(value => ({ method: 'eth_getBalance', params: [value] }));
+      const results = await ethereumService.batchCall(requests);
+
+      expect(results).toEqual([{ result: '0x1' }, { result: '0x2' }]);
+      expect(ethereumService.getUrlHealthStatus()[0].batchSupported).toBe(false);
+
+      // The provider is remembered as not supporting batches
+      axios.post.mockClear();
+      await ethereumService.batchCall(requests);
+      expect(axios.post).toHaveBeenCalledTimes(2);
+      expect(axios.post.mock.calls.every(call => !Array.isArray(call[1]))).toBe(true);
+    });
+  });
+
+  describe('Per-provider circuit breakers', () => {
+    const respond = () => axios.post.mockImplementation(async (url, payload) => ({
+      data: { jsonrpc: '2.0', result: '0x1', id: payload.id }
+    }));
+
+    it('should skip a provider with an open circuit and probe it after the reset timeout', async () => {
+      ethereumService.breakers.get('https://primary.example.com').trip();
+      respond();
+
+      await ethereumService.callRPC('eth_blockNumber');
+      expect(axios.post.mock.calls[0][0]).toBe('https://fallback1.example.com');
+      expect(ethereumService.getUrlHealthStatus()[0]).toMatchObject({ healthy: false, circuitState: 'OPEN' });
+
+      // Half-open after the reset timeout: the primary receives traffic again
+      jest.advanceTimersByTime(60000);
+      axios.post.mockClear();
+      await ethereumService.callRPC('eth_blockNumber');
+      expect(axios.post.mock.calls[0][0]).toBe('https://primary.example.com');
+      expect(ethereumService.getUrlHealthStatus()[0].circuitState).toBe('HALF_OPEN');
+    });
+
+    it('should not count JSON-RPC errors against the provider circuit', async () => {
+      axios.post.mockResolvedValue({
+        data: { jsonrpc: '2.0', error: { code: 3, message: 'execution reverted' }, id: 1 }
+      });
+
+      for (let i = 0; i < 3; i++) {
+        await expect(ethereumService.callRPC('eth_call', [{}])).rejects.toThrow('execution reverted');
+      }
+
+      expect(ethereumService.getUrlHealthStatus()[0].circuitState).toBe('CLOSED');
+    });
+
+    it('should return JSON-RPC errors verbatim without falling back', async () => {
+      axios.post.mockResolvedValueOnce({
+        data: { jsonrpc: '2.0', error: { code: 3, message: 'execution reverted', data: '0x08c379a0' }, id: 1 }
+      });
+
+      await expect(ethereumService.callRPC('eth_call', [{}])).rejects.toMatchObject({
+        message: 'RPC Error: execution reverted',
+        rpcError: { code: 3, message: 'execution reverted', data: '0x08c379a0' }
+      });
+      expect(axios.post).toHaveBeenCalledTimes(1);
+      expect(ethereumService.getUrlHealthStatus()[0]).toMatchObject({ failureCount: 0, successCount: 1 });
+    });
+
+    it('should return JSON-RPC errors sent with an HTTP error status without charging the provider', async () => {
+      axios.post.mockRejectedValue(Object.assign(new Error('Request failed with status code 400'), {
+        response: { status: 400, data: { jsonrpc: '2.0', error: { code: -32602, message: 'invalid argument 0' }, id: 1 } }
+      }));
+
+      for (let i = 0; i < 5; i++) {
+        await expect(ethereumService.callRPC('eth_getBalance', ['0x1', 'latest'])).rejects.toMatchObject({
+          rpcError: { code: -32602, message: 'invalid argument 0' }
+        });
+      }
+
+      expect(axios.post).toHaveBeenCalledTimes(5);
+      expect(ethereumService.getUrlHealthStatus()[0]).toMatchObject({ failureCount: 0, successCount: 5, circuitState: 'CLOSED' });
+    });
+
+    it('should fall back when a provider rate limits with a JSON-RPC error', async () => {
+      axios.post
+        .mockRejectedValueOnce(Object.assign(new Error('Request failed with status code 429'), {
+          response: { status: 429, data: { jsonrpc: '2.0', error: { code: -32005, message: 'rate limited' }, id: 1 } }
+        }))
+        .mockResolvedValueOnce({ data: { jsonrpc: '2.0', result: '0x1', id: 1 } });
+
+      await expect(ethereumService.callRPC('eth_blockNumber')).resolves.toBe('0x1');
+      expect(axios.post.mock.calls[1][0]).toBe('https://fallback1.example.com');
+    });
+
+    it('should report when every provider circuit is open', async () => {
+      ethereumService.breakers.forEach(breaker => breaker.trip());
+
+      await expect(ethereumService.callRPC('eth_blockNumber')).rejects.toMatchObject({ code: 'ALL_PROVIDERS_OPEN' });
+      await expect(ethereumService.batchCall([{ method: 'eth_blockNumber' }])).rejects.toMatchObject({ code: 'ALL_PROVIDERS_OPEN' });
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+
+    it('should always call a lone provider', async () => {
+      const single = new EthereumService({ rpcUrl: 'https://only.example.com' });
+      single.breakers.get('https://only.example.com').trip();
+      respond();
+
+      await expect(single.callRPC('eth_blockNumber')).resolves.toBe('0x1');
+      await expect(single.batchCall([{ method: 'eth_blockNumber' }])).resolves.toEqual([{ result: '0x1' }]);
+      expect(axios.post.mock.calls.every(call => call[0] === 'https://only.example.com')).toBe(true);
+    });
+  });
+
+  describe('Health probe', () => {
+    const urls = ['https://primary.example.com', 'https://fallback1.example.com', 'https://fallback2.example.com'];
+    const mockHeads = (heads, syncing = {}) => axios.post.mockImplementation(async (url, payload) => ({
+      data: payload.method === 'eth_syncing'
+        ? { jsonrpc: '2.0', result: syncing[url] || false, id: payload.id }
+        : { jsonrpc: '2.0', result: payload.method === 'eth_blockNumber' ? `0x${heads[url].toString(16)}` : '0x1', id: payload.id }
+    }));
+
+    it('should mark providers behind the best head as lagging', async () => {
+      mockHeads({ [urls[0]]: 1000, [urls[1]]: 1010, [urls[2]]: 1009 });
+
+      await ethereumService.probeProviders();
+
+      const status = ethereumService.getUrlHealthStatus();
+      expect(ethereumService.bestHead).toBe(1010);
+      expect(status.map(provider => provider.lag)).toEqual([10, 0, 1]);
+      expect(status.map(provider => provider.lagging)).toEqual([true, false, false]);
+      expect(status[0].headBlock).toBe(1000);
+    });
+
+    it('should treat syncing providers as lagging', async () => {
+      mockHeads({ [urls[0]]: 1000, [urls[1]]: 1000, [urls[2]]: 1000 }, { [urls[2]]: { currentBlock: '0x3e8' } });
+
+      await ethereumService.probeProviders();
+
+      expect(ethereumService.getUrlHealthStatus()[2]).toMatchObject({ lagging: true, syncing: true });
+    });
+
+    it('should route head reads away from lagging providers', async () => {
+      mockHeads({ [urls[0]]: 1000, [urls[1]]: 1010, [urls[2]]: 1010 });
+      await ethereumService.probeProviders();
+      axios.post.mockClear();
+
+      await ethereumService.callRPC('eth_getBalance', ['0x1234567890123456789012345678901234567890', 'latest']);
+      expect(axios.post.mock.calls[0][0]).toBe(urls[1]);
+
+      // Historical reads can still use the lagging provider
+      axios.post.mockClear();
+      await ethereumService.callRPC('eth_getBalance', ['0x1234567890123456789012345678901234567890', '0x10']);
+      expect(axios.post.mock.calls[0][0]).toBe(urls[0]);
+    });
+
+    it('should detect head-sensitive calls', () => {
+      expect(ethereumService.isHeadSensitive('eth_blockNumber', [])).toBe(true);
+      expect(ethereumService.isHeadSensitive('eth_call', [{}])).toBe(true);
+      expect(ethereumService.isHeadSensitive('eth_call', [{}, '0x10'])).toBe(false);
+      expect(ethereumService.isHeadSensitive('eth_getLogs', [{ fromBlock: '0x1' }])).toBe(true);
+      expect(ethereumService.isHeadSensitive('eth_getLogs', [{ fromBlock: '0x1', toBlock: '0x2' }])).toBe(false);
+      expect(ethereumService.isHeadSensitive('eth_getTransactionReceipt', ['0xabc'])).toBe(false);
+    });
+
+    it('should record probe failures', async () => {
+      axios.post.mockImplementation(async (url, payload) => {
+        if (url === urls[0]) throw new Error('Connection refused');
+        return { data: { jsonrpc: '2.0', result: payload.method === 'eth_syncing' ? false : '0x3f2', id: payload.id } };
+      });
+
+      await ethereumService.probeProviders();
+
+      const status = ethereumService.getUrlHealthStatus()[0];
+      expect(status).toMatchObject({ headBlock: null, lag: null, lagging: false, lastProbeError: 'Connection refused' });
+      expect(status.failureCount).toBe(1);
+    });
+  });
+
+  describe('Upstream pools', () => {
+    const address = '0x1234567890123456789012345678901234567890';
+    let pooledService;
+
+    beforeEach(async () => {
+      const { config } = await import('../../src/config/index.js');
+      config.ethereum.archiveRpcUrls = ['https://archive.example.com'];
+      config.ethereum.broadcastRpcUrls = ['https://broadcast.example.com'];
+      try {
+        pooledService = new EthereumService();
+      } finally {
+        delete config.ethereum.archiveRpcUrls;
+        delete config.ethereum.broadcastRpcUrls;
+      }
+
+      axios.post.mockImplementation(async (url, payload) => ({
+        data: Array.isArray(payload)
+          ? payload.map(req => ({ jsonrpc: '2.0', result: url, id: req.id }))
+          : { jsonrpc: '2.0', result: payload.method === 'eth_blockNumber' ? '0x1000' : url, id: payload.id }
+      }));
+    });
+
+    it('should send historical state reads, debug and trace calls to the archive pool', async () => {
+      await pooledService.callRPC('eth_blockNumber');
+
+      await expect(pooledService.callRPC('eth_getBalance', [address, '0x10'])).resolves.toBe('https://archive.example.com');
+      await expect(pooledService.callRPC('debug_traceTransaction', ['0xabc'])).resolves.toBe('https://archive.example.com');
+      await expect(pooledService.callRPC('eth_getBalance', [address, '0xfff'])).resolves.toBe('https://primary.example.com');
+      await expect(pooledService.callRPC('eth_getBalance', [address, 'latest'])).resolves.toBe('https://primary.example.com');
+    });
+
+    it('should send transactions to the broadcast pool', async () => {
+      await expect(pooledService.callRPC('eth_sendRawTransaction', ['0x00'])).resolves.toBe('https://broadcast.example.com');
+    });
+
+    it('should keep fallbacks within the pool', async () => {
+      axios.post.mockRejectedValueOnce(new Error('Connection refused'));
+
+      await expect(pooledService.callRPC('trace_block', ['0x10'])).rejects.toThrow('All RPC endpoints failed');
+      expect(axios.post.mock.calls.map(call => call[0])).toEqual(['https://archive.example.com']);
+    });
+
+    it('should retry state reads a full node has pruned on the archive pool', async () => {
+      axios.post.mockImplementation(async (url, payload) => {
+        const answer = (req) => url === 'https://primary.example.com' && req.method === 'eth_getBalance'
+          ? { jsonrpc: '2.0', error: { code: -32000, message: 'missing trie node abc' }, id: req.id }
+          : { jsonrpc: '2.0', result: url, id: req.id };
+        return { data: Array.isArray(payload) ? payload.map(answer) : answer(payload) };
+      });
+
+      // Without a known head the read goes to the full node first
+      await expect(pooledService.callRPC('eth_getBalance', [address, '0x10'])).resolves.toBe('https://archive.example.com');
+      expect(axios.post.mock.calls.map(call => call[0])).toEqual(['https://primary.example.com', 'https://archive.example.com']);
+      expect(pooledService.getUrlHealthStatus()[0]).toMatchObject({ failureCount: 0 });
+
+      const results = await pooledService.batchCall([
+        { method: 'eth_getBalance', params: [address, '0x10'] },
+        { method: 'eth_chainId', params: [] }
+      ]);
+      expect(results).toEqual([
+        { result: 'https://archive.example.com' },
+        { result: 'https://primary.example.com' }
+      ]);
+    });
+
+    it('should split batches by pool', async () => {
+      const results = await pooledService.batchCall([
+        { method: 'eth_chainId', params: [] },
+        { method: 'trace_block', params: ['0x10'] },
+        { method: 'eth_gasPrice', params: [] }
+      ]);
+
+      expect(results).toEqual([
+        { result: 'https://primary.example.com' },
+        { result: 'https://archive.example.com' },
+        { result: 'https://primary.example.com' }
+      ]);
+    });
+
+    it('should list the pools of every provider', () => {
+      const status = pooledService.getUrlHealthStatus();
+
+      expect(status).toHaveLength(5);
+      expect(status[0].pools).toEqual(['default']);
+      expect(status[3]).toMatchObject({ url: 'https://archive.example.com/', pools: ['archive'] });
+    });
+  });
+
+  describe('Load balancing', () => {
+    const urls = ['https://primary.example.com', 'https://fallback1.example.com', 'https://fallback2.example.com'];
+    const respond = () => axios.post.mockImplementation(async (url, payload) => ({
+      data: { jsonrpc: '2.0', result: '0x1', id: payload.id }
+    }));
+    const calledUrls = () => axios.post.mock.calls.map(call => call[0]);
+
+    it('should reject unknown routing strategies', async () => {
+      const { config } = await import('../../src/config/index.js');
+      config.ethereum.routingStrategy = 'random';
+      try {
+        expect(() => new EthereumService()).toThrow('Unknown routing strategy: random');
+      } finally {
+        delete config.ethereum.routingStrategy;
+      }
+    });
+
+    it('should rotate providers with round-robin', async () => {
+      ethereumService.routingStrategy = 'round-robin';
+      respond();
+
+      for (let i = 0; i < 4; i++) {
+        await ethereumService.callRPC('eth_blockNumber');
+      }
+
+      expect(calledUrls()).toEqual([urls[0], urls[1], urls[2], urls[0]]);
+    });
+
+    it('should spread requests by provider weight', async () => {
+      ethereumService.routingStrategy = 'weighted';
+      ethereumService.providerOptions = { [urls[0]]: { weight: 3 } };
+      respond();
+
+      for (let i = 0; i < 10; i++) {
+        await ethereumService.callRPC('eth_blockNumber');
+      }
+
+      const counts = calledUrls().reduce((acc, url) => ({ ...acc, [url]: (acc[url] || 0) + 1 }), {});
+      expect(counts).toEqual({ [urls[0]]: 6, [urls[1]]: 2, [urls[2]]: 2 });
+      expect(ethereumService.getUrlHealthStatus()[0].weight).toBe(3);
+    });
+
+    it('should prefer the provider with the lowest latency average', async () => {
+      ethereumService.routingStrategy = 'least-latency';
+      ethereumService.recordLatency(urls[0], 300);
+      ethereumService.recordLatency(urls[1], 50);
+      ethereumService.recordLatency(urls[2], 120);
+      respond();
+
+      await ethereumService.callRPC('eth_blockNumber');
+
+      expect(calledUrls()).toEqual([urls[1]]);
+    });
+
+    it('should keep an exponential moving average of latency', () => {
+      ethereumService.recordLatency(urls[0], 100);
+      ethereumService.recordLatency(urls[0], 200);
+
+      expect(ethereumService.getUrlHealthStatus()[0].latency).toEqual({ ewma: 130, last: 200, samples: 2 });
+    });
+
+    it('should prefer the provider with the fewest outstanding requests', async () => {
+      ethereumService.routingStrategy = 'least-outstanding';
+      ethereumService.urlMetrics.get(urls[0]).outstanding = 4;
+      ethereumService.urlMetrics.get(urls[1]).outstanding = 2;
+      ethereumService.urlMetrics.get(urls[2]).outstanding = 5;
+      respond();
+
+      await ethereumService.callRPC('eth_blockNumber');
+
+      expect(calledUrls()).toEqual([urls[1]]);
+      expect(ethereumService.getUrlHealthStatus()[1].outstanding).toBe(2);
+    });
+
+    it('should fall back to the other providers when the selected one fails', async () => {
+      ethereumService.routingStrategy = 'round-robin';
+      ethereumService.currentUrlIndex = 1;
+      axios.post.mockRejectedValueOnce(new Error('Connection refused'));
+      respond();
+
+      await ethereumService.callRPC('eth_blockNumber');
+
+      expect(calledUrls()).toEqual([urls[1], urls[0]]);
+    });
+  });
+
+  describe('Hedged requests', () => {
+    const urls = ['https://primary.example.com', 'https://fallback1.example.com', 'https://fallback2.example.com'];
+    const balanceParams = ['0x1234567890123456789012345678901234567890', 'latest'];
+
+    // Each URL answers after its delay unless the request is cancelled first
+    const mockDelays = (delays) => axios.post.mockImplementation((url, payload, options) => new Promise((resolve, reject) => {
+      const timer = setTimeout(() => resolve({ data: { jsonrpc: '2.0', result: url, id: payload.id } }), delays[url] ?? 0);
+      options.signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(Object.assign(new Error('canceled'), { code: 'ERR_CANCELED' }));
+      });
+    }));
+
+    beforeEach(() => {
+      ethereumService.hedging.enabled = true;
+    });
+
+    it('should hedge a slow read to the next URL and cancel the loser', async () => {
+      mockDelays({ [urls[0]]: 5000, [urls[1]]: 100 });
+
+      const promise = ethereumService.callRPC('eth_getBalance', balanceParams);
+      await jest.advanceTimersByTimeAsync(600);
+
+      await expect(promise).resolves.toBe(urls[1]);
+      expect(axios.post).toHaveBeenCalledTimes(2);
+      expect(axios.post.mock.calls[0][2].signal.aborted).toBe(true);
+      expect(ethereumService.hedgeMetrics).toEqual({ hedged: 1, hedgeWins: 1 });
+
+      // The cancelled request doesn't count against the primary
+      const status = ethereumService.getUrlHealthStatus();
+      expect(status[0]).toMatchObject({ failureCount: 0, circuitState: 'CLOSED' });
+      expect(status[1].successCount).toBe(1);
+    });
+
+    it('should not hedge when the first URL answers in time', async () => {
+      mockDelays({ [urls[0]]: 100 });
+
+      const promise = ethereumService.callRPC('eth_getBalance', balanceParams);
+      await jest.advanceTimersByTimeAsync(1000);
+
+      await expect(promise).resolves.toBe(urls[0]);
+      expect(axios.post).toHaveBeenCalledTimes(1);
+      expect(ethereumService.hedgeMetrics.hedged).toBe(0);
+    });
+
+    it('should keep the primary answer when it beats the hedge', async () => {
+      mockDelays({ [urls[0]]: 700, [urls[1]]: 1000 });
+
+      const promise = ethereumService.callRPC('eth_getBalance', balanceParams);
+      await jest.advanceTimersByTimeAsync(800);
+
+      await expect(promise).resolves.toBe(urls[0]);
+      expect(axios.post.mock.calls[1][2].signal.aborted).toBe(true);
+      expect(ethereumService.hedgeMetrics).toEqual({ hedged: 1, hedgeWins: 0 });
+    });
+
+    it('should fall back without hedging when the first URL fails fast', async () => {
+      axios.post.mockImplementation(async (url, payload) => {
+        if (url === urls[0]) throw new Error('Connection refused');
+        return { data: { jsonrpc: '2.0', result: url, id: payload.id } };
+      });
+
+      await expect(ethereumService.callRPC('eth_getBalance', balanceParams)).resolves.toBe(urls[1]);
+      expect(ethereumService.hedgeMetrics.hedged).toBe(0);
+    });
+
+    it('should never hedge non-idempotent methods', async () => {
+      mockDelays({ [urls[0]]: 2000 });
+
+      const promise = ethereumService.callRPC('eth_sendRawTransaction', ['0xf86c']);
+      await jest.advanceTimersByTimeAsync(2000);
+
+      await expect(promise).resolves.toBe(urls[0]);
+      expect(axios.post).toHaveBeenCalledTimes(1);
+      expect(ethereumService.shouldHedge('eth_sendRawTransaction')).toBe(false);
+      expect(ethereumService.shouldHedge('eth_getBalance')).toBe(true);
+    });
+
+    it('should derive the hedge delay from recent latencies', () => {
+      expect(ethereumService.getHedgeDelay('eth_call')).toBe(500);
+
+      for (let latency = 1; latency <= 100; latency++) {
+        ethereumService.recordMethodLatency('eth_call', latency * 2);
+      }
+      expect(ethereumService.getHedgeDelay('eth_call')).toBe(190);
+
+      for (let i = 0; i < 100; i++) {
+        ethereumService.recordMethodLatency('eth_getCode', 5);
+      }
+      expect(ethereumService.getHedgeDelay('eth_getCode')).toBe(50);
+    });
+  });
+
+  describe('Chain ID verification', () => {
+    const urls = ['https://primary.example.com', 'https://fallback1.example.com', 'https://fallback2.example.com'];
+
+    // chainIds: url -> chain ID reported (missing = unreachable)
+    const mockChains = (chainIds) => axios.post.mockImplementation(async (url, payload) => {
+      if (chainIds[url] === undefined) throw new Error('Connection refused');
+      const result = payload.method === 'eth_chainId' ? `0x${chainIds[url].toString(16)}` : url;
+      return { data: { jsonrpc: '2.0', result, id: payload.id } };
+    });
+
+    beforeEach(() => {
+      ethereumService.chainVerification.enabled = true;
+    });
+
+    it('should quarantine providers reporting another chain', async () => {
+      mockChains({ [urls[0]]: 11155111, [urls[1]]: 1, [urls[2]]: 1 });
+
+      await expect(ethereumService.verifyChainIds()).resolves.toBe(1);
+      expect(ethereumService.getUrlHealthStatus()[0]).toMatchObject({ healthy: false, chainId: 11155111, quarantined: true });
+
+      axios.post.mockClear();
+      await expect(ethereumService.callRPC('eth_getBalance', ['0x1234567890123456789012345678901234567890', 'latest']))
+        .resolves.toBe(urls[1]);
+      expect(axios.post.mock.calls[0][0]).toBe(urls[1]);
+    });
+
+    it('should expect the configured chain ID over the majority', async () => {
+      ethereumService.expectedChainId = 137;
+      ethereumService.chainId = 137;
+      mockChains({ [urls[0]]: 1, [urls[1]]: 1, [urls[2]]: 137 });
+
+      await expect(ethereumService.verifyChainIds()).resolves.toBe(137);
+      expect(ethereumService.getUrlHealthStatus().map(status => status.quarantined)).toEqual([true, true, false]);
+    });
+
+    it('should refuse mismatched providers when configured to', async () => {
+      ethereumService.chainVerification.onMismatch = 'refuse';
+      mockChains({ [urls[0]]: 1, [urls[1]]: 1, [urls[2]]: 5 });
+
+      await expect(ethereumService.verifyChainIds())
+        .rejects.toThrow('Chain ID mismatch (expected 1): https://fallback2.example.com/ reports 5');
+    });
+
+    it('should keep unreachable providers and verify them on reconnection', async () => {
+      mockChains({ [urls[0]]: 1, [urls[1]]: 1 });
+      await ethereumService.verifyChainIds();
+      expect(ethereumService.isUrlAvailable(urls[2])).toBe(true);
+
+      // The provider comes back serving another chain: its circuit closes and it is checked
+      const breaker = ethereumService.breakers.get(urls[2]);
+      breaker.trip();
+      mockChains({ [urls[0]]: 1, [urls[1]]: 1, [urls[2]]: 10 });
+      breaker.reset();
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(ethereumService.getUrlHealthStatus()[2]).toMatchObject({ chainId: 10, quarantined: true });
+
+      // A quarantined provider is released once it reports the right chain again
+      mockChains({ [urls[0]]: 1, [urls[1]]: 1, [urls[2]]: 1 });
+      await ethereumService.probeUrl(urls[2]);
+      expect(ethereumService.isUrlAvailable(urls[2])).toBe(true);
+    });
   });
 
   describe('URL sanitization', () => {
@@ -0,0 +1,82 @@
+import { jest } from '@jest/globals';
+import { FinalityTracker } from '../../src/services/finalityTracker.js';
+import { getPermanentCacheHeight, setFinalizedHeight } from '../../src/config/methodCaching.js';
+import { config } from '../../src/config/index.js';
+
+const hex = (n) => `0x${n.toString(16)}`;
+
+describe('FinalityTracker', () => {
+  const staticHeight = config.cache.permanentCacheHeight;
+  let tracker;
+
+  afterEach(() => {
+    tracker?.stop();
+    tracker = null;
+    setFinalizedHeight(0);
+    jest.useRealTimers();
+  });
+
+  it('should raise the permanent cache height to the finalized block', async () => {
+    const finalized = staticHeight + 5000;
+    const ethereumService = {
+      getBlockByNumber: jest.fn().mockImplementation(async (tag) => ({
+        number: hex(tag === 'safe' ? finalized + 32 : finalized)
+      }))
+    };
+
+    tracker = new FinalityTracker(ethereumService, { useSafe: false });
+    await tracker.poll();
+
+    expect(ethereumService.getBlockByNumber).toHaveBeenCalledWith('finalized', false);
+    expect(ethereumService.getBlockByNumber).not.toHaveBeenCalledWith('safe', false);
+    expect(getPermanentCacheHeight()).toBe(finalized);
+
+    const safeTracker = new FinalityTracker(ethereumService, { useSafe: true });
+    await safeTracker.poll();
+    expect(getPermanentCacheHeight()).toBe(finalized + 32);
+  });
+
+  it('should keep the previous height when the upstream fails', async () => {
+    const ethereumService = {
+      getBlockByNumber: jest.fn().mockRejectedValue(new Error('unsupported block tag'))
+    };
+
+    tracker = new FinalityTracker(ethereumService);
+    await tracker.poll();
+
+    expect(tracker.getMetrics().pollErrors).toBe(1);
+    expect(getPermanentCacheHeight()).toBe(staticHeight);
+  });
+
+  it('should never move the finalized height backwards', async () => {
+    const heights = [staticHeight + 200, staticHeight + 100];
+    const ethereumService = {
+      getBlockByNumber: jest.fn().mockImplementation(async () => ({ number: hex(heights.shift()) }))
+    };
+
+    tracker = new FinalityTracker(ethereumService);
+    await tracker.poll();
+    await tracker.poll();
+
+    expect(tracker.getFinalizedHeight()).toBe(staticHeight + 200);
+    expect(getPermanentCacheHeight()).toBe(staticHeight + 200);
+  });
+
+  it('should poll on the interval until stopped', async () => {
+    jest.useFakeTimers();
+    const ethereumService = {
+      getBlockByNumber: jest.fn().mockResolvedValue({ number: hex(staticHeight + 1) })
+    };
+
+    tracker = new FinalityTracker(ethereumService, { pollInterval: 1000 });
+    tracker.start();
+    expect(tracker.getMetrics()).toMatchObject({ polls: 1, running: true });
+
+    jest.advanceTimersByTime(2000);
+    expect(tracker.getMetrics().polls).toBe(3);
+
+    tracker.stop();
+    jest.advanceTimersByTime(2000);
+    expect(tracker.getMetrics()).toMatchObject({ polls: 3, running: false });
+  });
+});
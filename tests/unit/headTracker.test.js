@@ -0,0 +1,125 @@
+import { jest } from '@jest/globals';
+import { HeadTracker } from '../../src/services/headTracker.js';
+import { CacheManager } from '../../src/cache/cacheManager.js';
+
+const hex = (n) => `0x${n.toString(16)}`;
+
+// Build a fake chain where each block's hash is derived from its branch name
+function makeBlock(height, branch = 'a', parentBranch = branch) {
+  return {
+    number: hex(height),
+    hash: `0x${branch}${height}`,
+    parentHash: `0x${parentBranch}${height - 1}`
+  };
+}
+
+describe('HeadTracker', () => {
+  let cacheManager;
+  let ethereumService;
+  let tracker;
+  let blocks;
+  let head;
+
+  beforeEach(async () => {
+    process.env.REDIS_URL = 'memory';
+    cacheManager = new CacheManager();
+    await cacheManager.initialize();
+
+    blocks = new Map();
+    for (let i = 90; i <= 100; i++) {
+      blocks.set(i, makeBlock(i));
+    }
+    head = 100;
+
+    ethereumService = {
+      getBlockNumber: jest.fn().mockImplementation(async () => hex(head)),
+      getBlockByNumber: jest.fn().mockImplementation(async (number) => blocks.get(parseInt(number, 16)) || null)
+    };
+
+    tracker = new HeadTracker(ethereumService, cacheManager, { pollInterval: 60000, depth: 8 });
+    // Mark as running without starting the interval
+    tracker.timer = {};
+    await tracker.poll();
+  });
+
+  afterEach(async () => {
+    tracker.timer = null;
+    await cacheManager.flush();
+  });
+
+  it('should record the head on first poll', () => {
+    expect(tracker.getHeadNumber()).toBe(100);
+    expect(tracker.getMetrics().reorgsDetected).toBe(0);
+  });
+
+  it('should follow new blocks without reporting a reorg', async () => {
+    blocks.set(101, makeBlock(101));
+    blocks.set(102, makeBlock(102));
+    head = 102;
+
+    await tracker.poll();
+
+    expect(tracker.getHeadNumber()).toBe(102);
+    expect(tracker.getMetrics().reorgsDetected).toBe(0);
+  });
+
+  it('should report new heads but not a lagging provider', async () => {
+    tracker.onNewHead = jest.fn();
+    blocks.set(101, makeBlock(101));
+    head = 101;
+    await tracker.poll();
+
+    head = 100;
+    await tracker.poll();
+
+    expect(tracker.onNewHead.mock.calls).toEqual([[101]]);
+  });
+
+  it('should purge entries derived from reorged heights', async () => {
+    blocks.set(101, makeBlock(101));
+    head = 101;
+    await tracker.poll();
+
+    await cacheManager.set('block-101', { number: hex(101) }, 60);
+    await cacheManager.set('block-99', { number: hex(99) }, 60);
+    tracker.recordCacheEntry('block-101', 'eth_getBlockByNumber', [hex(101), false], { number: hex(101) });
+    tracker.recordCacheEntry('block-99', 'eth_getBlockByNumber', [hex(99), false], { number: hex(99) });
+
+    // Block 101 gets replaced and the chain continues on branch b
+    blocks.set(101, makeBlock(101, 'b', 'a'));
+    blocks.set(102, makeBlock(102, 'b'));
+    head = 102;
+    await tracker.poll();
+
+    const metrics = tracker.getMetrics();
+    expect(metrics.reorgsDetected).toBe(1);
+    expect(metrics.keysPurged).toBe(1);
+    expect(await cacheManager.get('block-101')).toBeNull();
+    expect(await cacheManager.get('block-99')).toEqual({ number: hex(99) });
+  });
+
+  it('should index receipts by the block number in the result', async () => {
+    await cacheManager.set('receipt', { blockNumber: hex(100) }, null);
+    tracker.recordCacheEntry('receipt', 'eth_getTransactionReceipt', ['0xabc'], { blockNumber: hex(100) });
+
+    // Block 100 reorged out at the same height
+    blocks.set(100, makeBlock(100, 'c', 'a'));
+    await tracker.poll();
+
+    expect(tracker.getMetrics().reorgsDetected).toBe(1);
+    expect(await cacheManager.get('receipt')).toBeNull();
+  });
+
+  it('should not treat a lagging provider as a reorg', async () => {
+    head = 98;
+    await tracker.poll();
+
+    expect(tracker.getHeadNumber()).toBe(100);
+    expect(tracker.getMetrics().reorgsDetected).toBe(0);
+  });
+
+  it('should ignore entries below the watched window', () => {
+    tracker.recordCacheEntry('old', 'eth_getBlockByNumber', [hex(10), false], { number: hex(10) });
+    expect(tracker.getMetrics().indexedKeys).toBe(0);
+  });
+});
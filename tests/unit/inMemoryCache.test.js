@@ -0,0 +1,91 @@
+import { jest } from '@jest/globals';
+import { InMemoryCache } from '../../src/cache/inMemoryCache.js';
+
+describe('InMemoryCache', () => {
+  let cache;
+
+  afterEach(async () => {
+    await cache.quit();
+    jest.useRealTimers();
+  });
+
+  it('should evict the least recently used entry over the entry limit', async () => {
+    cache = new InMemoryCache({ maxEntries: 2, maxBytes: 0 });
+
+    await cache.set('a', '1');
+    await cache.set('b', '2');
+    await cache.get('a'); // b is now the least recently used
+    await cache.set('c', '3');
+
+    expect(await cache.get('a')).toBe('1');
+    expect(await cache.get('b')).toBeNull();
+    expect(await cache.get('c')).toBe('3');
+    expect(cache.getStats()).toMatchObject({ size: 2, evictions: 1 });
+  });
+
+  it('should evict entries over the byte budget', async () => {
+    cache = new InMemoryCache({ maxEntries: 0, maxBytes: 30 });
+
+    await cache.set('k1', 'x'.repeat(10));
+    await cache.set('k2', 'x'.repeat(10));
+    expect(cache.getStats().bytes).toBe(24);
+
+    await cache.set('k3', 'x'.repeat(10));
+
+    expect(await cache.exists('k1')).toBe(0);
+    expect(await cache.keys('k*')).toEqual(['k2', 'k3']);
+    expect(cache.getStats()).toMatchObject({ bytes: 24, evictions: 1 });
+
+    // Overwrites replace the size of the old value
+    await cache.set('k3', 'x');
+    expect(cache.getStats().bytes).toBe(15);
+  });
+
+  it('should expire keys lazily without per-key timers', async () => {
+    jest.useFakeTimers();
+    cache = new InMemoryCache({ sweepInterval: 0 });
+
+    await cache.set('short', 'v', { EX: 1 });
+    await cache.set('forever', 'v');
+    expect(jest.getTimerCount()).toBe(0);
+
+    jest.advanceTimersByTime(1000);
+
+    expect(await cache.get('short')).toBeNull();
+    expect(await cache.ttl('short')).toBe(-2);
+    expect(await cache.get('forever')).toBe('v');
+    expect(cache.getStats()).toMatchObject({ size: 1, ttlCount: 0, expired: 1, bytes: 8 });
+  });
+
+  it('should sweep expired keys periodically', async () => {
+    jest.useFakeTimers();
+    cache = new InMemoryCache({ sweepInterval: 5000 });
+
+    await cache.set('a', 'v', { EX: 1 });
+    await cache.set('b', 'v', { EX: 10 });
+
+    jest.advanceTimersByTime(5000);
+
+    expect(cache.store.has('a')).toBe(false);
+    expect(cache.store.has('b')).toBe(true);
+    expect(cache.getStats().expired).toBe(1);
+
+    await cache.quit();
+    expect(jest.getTimerCount()).toBe(0);
+  });
+
+  it('should keep the TTL of counters and let setNX take expired keys', async () => {
+    jest.useFakeTimers();
+    cache = new InMemoryCache({ sweepInterval: 0 });
+
+    await cache.set('count', '1', { EX: 10 });
+    expect(await cache.incr('count')).toBe(2);
+    expect(await cache.ttl('count')).toBe(10);
+
+    await cache.setNX('lock', 'a', 1);
+    expect(await cache.setNX('lock', 'b', 1)).toBeNull();
+    jest.advanceTimersByTime(1000);
+    expect(await cache.setNX('lock', 'b', 1)).toBe('OK');
+    expect(await cache.get('lock')).toBe('b');
+  });
+});
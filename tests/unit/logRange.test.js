@@ -0,0 +1,42 @@
+import { resolveLogsBlock, getLogsRange, checkLogsFilter, splitLogsFilter } from '../../src/utils/logRange.js';
+
+describe('logRange', () => {
+  const limits = { maxBlockRange: 1000, maxAddresses: 2 };
+
+  it('should resolve block numbers and tags', () => {
+    expect(resolveLogsBlock('0x10', 500)).toBe(16);
+    expect(resolveLogsBlock('earliest', 500)).toBe(0);
+    expect(resolveLogsBlock('latest', 500)).toBe(500);
+    expect(resolveLogsBlock(undefined, 500)).toBe(500);
+    expect(resolveLogsBlock('latest', null)).toBeNull();
+    expect(resolveLogsBlock('bogus', 500)).toBeNull();
+  });
+
+  it('should not compute a range for blockHash filters', () => {
+    expect(getLogsRange({ blockHash: '0xabc' }, 500)).toBeNull();
+    expect(getLogsRange({ fromBlock: '0x0', toBlock: 'latest' }, 500)).toEqual({ from: 0, to: 500 });
+  });
+
+  it('should reject ranges and address lists over the limits', () => {
+    expect(checkLogsFilter({ fromBlock: '0x1', toBlock: '0x3e8' }, null, limits)).toBeNull();
+    expect(checkLogsFilter({ fromBlock: '0x0', toBlock: '0x3e8' }, null, limits)).toBe('Block range too large: 1001 blocks (max 1000)');
+    expect(checkLogsFilter({ fromBlock: 'earliest' }, 1000000, limits)).toBe('Block range too large: 1000001 blocks (max 1000)');
+    expect(checkLogsFilter({ address: ['0x1', '0x2', '0x3'] }, 10, limits)).toBe('Too many addresses: 3 (max 2)');
+  });
+
+  it('should allow anything with the limits disabled', () => {
+    expect(checkLogsFilter({ fromBlock: 'earliest', address: ['0x1', '0x2', '0x3'] }, 1000000, {})).toBeNull();
+  });
+
+  it('should split ranges into chunks, keeping the tag of the last one', () => {
+    const filter = { address: '0xabc', fromBlock: '0x0', toBlock: 'latest' };
+
+    expect(splitLogsFilter(filter, 250, 100)).toEqual([
+      { address: '0xabc', fromBlock: '0x0', toBlock: '0x63' },
+      { address: '0xabc', fromBlock: '0x64', toBlock: '0xc7' },
+      { address: '0xabc', fromBlock: '0xc8', toBlock: 'latest' }
+    ]);
+    expect(splitLogsFilter(filter, 99, 100)).toBeNull();
+    expect(splitLogsFilter(filter, 250, 0)).toBeNull();
+  });
+});
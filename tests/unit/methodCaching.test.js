@@ -0,0 +1,135 @@
+import {
+  getMethodTTL,
+  getResultTTL,
+  getErrorTTL,
+  getPermanentCacheHeight,
+  setFinalizedHeight
+} from '../../src/config/methodCaching.js';
+import { config } from '../../src/config/index.js';
+
+const hex = (n) => `0x${n.toString(16)}`;
+const ADDRESS = '0x1234567890123456789012345678901234567890';
+
+describe('methodCaching', () => {
+  const staticHeight = config.cache.permanentCacheHeight;
+
+  afterEach(() => {
+    setFinalizedHeight(0);
+  });
+
+  describe('block-scoped TTLs', () => {
+    it('should read the block from the second parameter of eth_getBalance', () => {
+      expect(getMethodTTL('eth_getBalance', [ADDRESS, 'latest'])).toBe(15);
+      expect(getMethodTTL('eth_getBalance', [ADDRESS])).toBe(15);
+      expect(getMethodTTL('eth_getBalance', [ADDRESS, hex(staticHeight - 1)])).toBeNull();
+      expect(getMethodTTL('eth_getBalance', [ADDRESS, hex(staticHeight + 1)])).toBe(300);
+    });
+
+    it('should treat safe and finalized tags like latest for blocks', () => {
+      expect(getMethodTTL('eth_getBlockByNumber', ['finalized', false])).toBe(config.cache.latestBlockTtl);
+      expect(getMethodTTL('eth_getBlockByNumber', ['safe', false])).toBe(config.cache.latestBlockTtl);
+    });
+  });
+
+  describe('finalized height', () => {
+    it('should fall back to the static permanent cache height', () => {
+      expect(getPermanentCacheHeight()).toBe(staticHeight);
+    });
+
+    it('should never go below the static permanent cache height', () => {
+      setFinalizedHeight(100);
+      expect(getPermanentCacheHeight()).toBe(staticHeight);
+    });
+
+    it('should cache finalized blocks, logs and calls permanently', () => {
+      const finalized = staticHeight + 1000000;
+      setFinalizedHeight(finalized);
+
+      expect(getPermanentCacheHeight()).toBe(finalized);
+      expect(getMethodTTL('eth_getBlockByNumber', [hex(finalized), false])).toBeNull();
+      expect(getMethodTTL('eth_getBlockByNumber', [hex(finalized + 1), false])).toBe(config.cache.recentBlockTtl);
+      expect(getMethodTTL('eth_getLogs', [{ fromBlock: hex(finalized - 10), toBlock: hex(finalized) }])).toBeNull();
+      expect(getMethodTTL('eth_call', [{ to: ADDRESS, data: '0x' }, hex(finalized - 1)])).toBeNull();
+    });
+
+    it('should track the permanent cache height per chain', () => {
+      config.chains.push({ chainId: 137, permanentCacheHeight: 50000000 });
+      try {
+        expect(getPermanentCacheHeight(137)).toBe(50000000);
+        expect(getMethodTTL('eth_getBlockByNumber', [hex(staticHeight + 1), false], 137)).toBeNull();
+
+        setFinalizedHeight(60000000, 137);
+        expect(getPermanentCacheHeight(137)).toBe(60000000);
+        expect(getPermanentCacheHeight()).toBe(staticHeight);
+      } finally {
+        config.chains.pop();
+        setFinalizedHeight(0, 137);
+      }
+    });
+  });
+
+  describe('getResultTTL', () => {
+    it('should not cache missing results', () => {
+      expect(getResultTTL('eth_getTransactionReceipt', ['0xabc'], null)).toBe(0);
+      expect(getResultTTL('eth_getBlockByNumber', [hex(staticHeight + 10), false], null)).toBe(0);
+    });
+
+    it('should not cache pending transactions', () => {
+      const pending = { hash: '0xabc', blockNumber: null, blockHash: null };
+      const mined = { hash: '0xabc', blockNumber: hex(staticHeight + 1), blockHash: '0xdef' };
+
+      expect(getResultTTL('eth_getTransactionByHash', ['0xabc'], pending)).toBe(0);
+      expect(getResultTTL('eth_getTransactionByHash', ['0xabc'], mined)).toBeNull();
+    });
+
+    it('should shorten the TTL of empty blocks at the tip', () => {
+      const params = [hex(staticHeight + 10), false];
+      const empty = { number: params[0], hash: '0x1', transactions: [] };
+      const full = { number: params[0], hash: '0x1', transactions: ['0x2'] };
+
+      expect(getResultTTL('eth_getBlockByNumber', params, empty)).toBe(config.cache.latestBlockTtl);
+      expect(getResultTTL('eth_getBlockByNumber', params, full)).toBe(config.cache.recentBlockTtl);
+      expect(getResultTTL('eth_getBlockByNumber', ['pending', false], { number: null, hash: null })).toBe(0);
+    });
+
+    it('should keep permanent TTLs for empty historical blocks', () => {
+      const params = [hex(1), false];
+      expect(getResultTTL('eth_getBlockByNumber', params, { number: '0x1', hash: '0x1', transactions: [] })).toBeNull();
+    });
+  });
+
+  describe('getErrorTTL', () => {
+    const rpcError = (code, message) => Object.assign(new Error(`RPC Error: ${message}`), { rpcError: { code, message } });
+    const call = { to: ADDRESS, data: '0x8da5cb5b' };
+
+    it('should cache execution errors at a pinned block like results', () => {
+      const revert = rpcError(3, 'execution reverted');
+
+      expect(getErrorTTL('eth_call', [call, hex(1)], revert)).toBeNull();
+      expect(getErrorTTL('eth_call', [call, hex(staticHeight + 10)], revert)).toBe(300);
+      expect(getErrorTTL('eth_call', [call, { blockHash: '0xabc' }], rpcError(-32000, 'invalid opcode: INVALID'))).toBe(config.cache.ethCallTtl || 300);
+      expect(getErrorTTL('eth_estimateGas', [call, hex(1)], rpcError(-32000, 'gas required exceeds allowance (30000000)'))).toBe(5);
+    });
+
+    it('should not cache execution errors at moving block tags', () => {
+      expect(getErrorTTL('eth_call', [call, 'latest'], rpcError(3, 'execution reverted'))).toBe(0);
+      expect(getErrorTTL('eth_call', [call], rpcError(3, 'execution reverted'))).toBe(0);
+    });
+
+    it('should never cache transient errors', () => {
+      expect(getErrorTTL('eth_call', [call, hex(1)], new Error('All RPC endpoints failed: timeout'))).toBe(0);
+      expect(getErrorTTL('eth_call', [call, hex(1)], rpcError(-32000, 'missing trie node abc'))).toBe(0);
+      expect(getErrorTTL('eth_call', [call, hex(1)], rpcError(-32000, 'header not found'))).toBe(0);
+      expect(getErrorTTL('eth_call', [call, hex(1)], rpcError(-32005, 'request limit reached'))).toBe(0);
+      expect(getErrorTTL('eth_getBalance', [ADDRESS, hex(1)], rpcError(-32000, 'execution reverted'))).toBe(0);
+    });
+
+    it('should cache request errors for NEGATIVE_TTL', () => {
+      expect(getErrorTTL('eth_getBalance', ['0xzz', 'latest'], rpcError(-32602, 'invalid argument 0'))).toBe(config.advanced.negativeTtl || 60);
+    });
+
+    it('should not cache method not found, which depends on the provider', () => {
+      expect(getErrorTTL('trace_block', [hex(1)], rpcError(-32601, 'the method trace_block does not exist/is not available'))).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,50 @@
+import { getMethodPool, isPrunedStateError } from '../../src/config/methodRouting.js';
+
+describe('Method Routing Configuration', () => {
+  const address = '0x1234567890123456789012345678901234567890';
+
+  it('should route transactions to the broadcast pool', () => {
+    expect(getMethodPool('eth_sendRawTransaction', ['0x00'], 1000)).toBe('broadcast');
+  });
+
+  it('should route debug and trace calls to the archive pool', () => {
+    expect(getMethodPool('debug_traceTransaction', ['0xabc'], 1000)).toBe('archive');
+    expect(getMethodPool('trace_block', ['0x10'], 1000)).toBe('archive');
+  });
+
+  it('should route state reads older than the state depth to the archive pool', () => {
+    const head = 20000;
+
+    expect(getMethodPool('eth_getBalance', [address, '0x4d91'], head)).toBe('archive'); // head - 143
+    expect(getMethodPool('eth_getBalance', [address, '0x4dc0'], head)).toBe('default'); // head - 96
+    expect(getMethodPool('eth_call', [{ to: address }, 'earliest'], head)).toBe('archive');
+    expect(getMethodPool('eth_getStorageAt', [address, '0x0', '0x1'], head)).toBe('archive');
+  });
+
+  it('should keep head and block-object reads on the default pool', () => {
+    expect(getMethodPool('eth_getBalance', [address, 'latest'], 20000)).toBe('default');
+    expect(getMethodPool('eth_getBalance', [address], 20000)).toBe('default');
+    expect(getMethodPool('eth_call', [{ to: address }, { blockHash: '0xabc' }], 20000)).toBe('default');
+  });
+
+  it('should use the default pool for explicit heights while the head is unknown', () => {
+    expect(getMethodPool('eth_getBalance', [address, '0x10'], null)).toBe('default');
+    expect(getMethodPool('eth_getBalance', [address, 'earliest'], null)).toBe('archive');
+  });
+
+  it('should detect pruned state errors of state reads at explicit heights', () => {
+    const missing = { code: -32000, message: 'missing trie node 0b9a6e1d (path ) state 0x0b9a6e1d is not available' };
+
+    expect(isPrunedStateError('eth_getBalance', [address, '0x10'], missing)).toBe(true);
+    expect(isPrunedStateError('eth_call', [{ to: address }, '0x10'], { code: -32000, message: 'historical state 0xabc is not available' })).toBe(true);
+    expect(isPrunedStateError('eth_getBalance', [address, 'latest'], missing)).toBe(false);
+    expect(isPrunedStateError('eth_getBalance', [address, '0x10'], { code: 3, message: 'execution reverted' })).toBe(false);
+    expect(isPrunedStateError('eth_getBalance', [address, '0x10'], undefined)).toBe(false);
+  });
+
+  it('should keep methods without state on the default pool', () => {
+    expect(getMethodPool('eth_getBlockByNumber', ['0x10', false], 20000)).toBe('default');
+    expect(getMethodPool('eth_getTransactionReceipt', ['0xabc'], 20000)).toBe('default');
+    expect(getMethodPool(undefined, [], 20000)).toBe('default');
+  });
+});
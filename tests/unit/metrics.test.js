@@ -0,0 +1,63 @@
+import { Registry, Counter, Gauge, Histogram, registry } from '../../src/utils/metrics.js';
+import { CircuitBreaker } from '../../src/utils/circuitBreaker.js';
+
+describe('Prometheus metrics', () => {
+  let testRegistry;
+
+  beforeEach(() => {
+    testRegistry = new Registry();
+  });
+
+  it('should render counters with labels', () => {
+    const counter = testRegistry.register(new Counter('test_requests_total', 'Test requests', ['method']));
+    counter.inc({ method: 'eth_call' });
+    counter.inc({ method: 'eth_call' }, 2);
+    counter.inc({ method: 'eth_getLogs' });
+
+    const output = testRegistry.render();
+
+    expect(output).toContain('# HELP test_requests_total Test requests');
+    expect(output).toContain('# TYPE test_requests_total counter');
+    expect(output).toContain('test_requests_total{method="eth_call"} 3');
+    expect(output).toContain('test_requests_total{method="eth_getLogs"} 1');
+  });
+
+  it('should render gauges without labels', () => {
+    const gauge = testRegistry.register(new Gauge('test_in_flight', 'In flight'));
+    gauge.inc();
+    gauge.inc();
+    gauge.dec();
+
+    expect(testRegistry.render()).toContain('test_in_flight 1');
+  });
+
+  it('should render cumulative histogram buckets', () => {
+    const histogram = testRegistry.register(new Histogram('test_latency_seconds', 'Latency', ['url'], [0.1, 1]));
+    histogram.observe({ url: 'a' }, 0.05);
+    histogram.observe({ url: 'a' }, 0.5);
+    histogram.observe({ url: 'a' }, 5);
+
+    const output = testRegistry.render();
+
+    expect(output).toContain('test_latency_seconds_bucket{url="a",le="0.1"} 1');
+    expect(output).toContain('test_latency_seconds_bucket{url="a",le="1"} 2');
+    expect(output).toContain('test_latency_seconds_bucket{url="a",le="+Inf"} 3');
+    expect(output).toContain('test_latency_seconds_sum{url="a"} 5.55');
+    expect(output).toContain('test_latency_seconds_count{url="a"} 3');
+  });
+
+  it('should escape label values', () => {
+    const counter = testRegistry.register(new Counter('test_escape_total', 'Escape', ['value']));
+    counter.inc({ value: 'a"b\\c' });
+
+    expect(testRegistry.render()).toContain('test_escape_total{value="a\\"b\\\\c"} 1');
+  });
+
+  it('should export circuit breaker state in the default registry', () => {
+    const breaker = new CircuitBreaker('metrics-test');
+    expect(registry.render()).toContain('rpc_circuit_breaker_state{name="metrics-test"} 0');
+
+    breaker.trip();
+    expect(registry.render()).toContain('rpc_circuit_breaker_state{name="metrics-test"} 2');
+  });
+});
@@ -0,0 +1,71 @@
+import { normalizeParams } from '../../src/utils/paramNormalizer.js';
+import { generateMethodCacheKey } from '../../src/config/methodCaching.js';
+
+const CHECKSUMMED = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+const LOWERCASE = CHECKSUMMED.toLowerCase();
+
+describe('normalizeParams', () => {
+  it('should canonicalize hex quantities', () => {
+    expect(normalizeParams('eth_getBlockByNumber', ['0x010', false])).toEqual(['0x10', false]);
+    expect(normalizeParams('eth_getBlockByNumber', ['0x00', false])).toEqual(['0x0', false]);
+    expect(normalizeParams('eth_getStorageAt', [LOWERCASE, '0x000', '0x1'])).toEqual([LOWERCASE, '0x0', '0x1']);
+  });
+
+  it('should lowercase addresses and hashes', () => {
+    expect(normalizeParams('eth_getBalance', [CHECKSUMMED, 'latest'])).toEqual([LOWERCASE, 'latest']);
+    expect(normalizeParams('eth_getTransactionReceipt', ['0xABCDEF'])).toEqual(['0xabcdef']);
+  });
+
+  it('should fill default params', () => {
+    expect(normalizeParams('eth_getBalance', [LOWERCASE])).toEqual([LOWERCASE, 'latest']);
+    expect(normalizeParams('eth_getBlockByNumber', ['0x1'])).toEqual(['0x1', false]);
+    expect(normalizeParams('eth_call', [{ to: LOWERCASE, data: '0x' }])).toEqual([{ data: '0x', to: LOWERCASE }, 'latest']);
+  });
+
+  it('should not fill a block for eth_estimateGas', () => {
+    expect(normalizeParams('eth_estimateGas', [{ to: LOWERCASE }])).toEqual([{ to: LOWERCASE }]);
+  });
+
+  it('should produce the same cache key regardless of key order and casing', () => {
+    const a = normalizeParams('eth_call', [{ to: CHECKSUMMED, data: '0xABCD', value: '0x00' }, '0x0100']);
+    const b = normalizeParams('eth_call', [{ value: '0x0', data: '0xabcd', to: LOWERCASE }, '0x100']);
+
+    expect(generateMethodCacheKey('eth_call', a)).toBe(generateMethodCacheKey('eth_call', b));
+  });
+
+  it('should normalize log filters', () => {
+    const result = normalizeParams('eth_getLogs', [{
+      toBlock: '0x0200',
+      fromBlock: '0x0100',
+      address: [CHECKSUMMED, '0xBBBB', LOWERCASE],
+      topics: ['0xAA', null, ['0xBB', '0xCC']]
+    }]);
+
+    expect(result).toEqual([{
+      address: [LOWERCASE, '0xbbbb'],
+      fromBlock: '0x100',
+      toBlock: '0x200',
+      topics: ['0xaa', null, ['0xbb', '0xcc']]
+    }]);
+  });
+
+  it('should pin block tags when a resolver is given', () => {
+    const resolveTag = (tag) => (tag === 'latest' ? 1000 : null);
+
+    expect(normalizeParams('eth_getBalance', [LOWERCASE, 'latest'], { resolveTag })).toEqual([LOWERCASE, '0x3e8']);
+    expect(normalizeParams('eth_getBalance', [LOWERCASE, 'finalized'], { resolveTag })).toEqual([LOWERCASE, 'finalized']);
+    expect(normalizeParams('eth_getBalance', [LOWERCASE, 'pending'], { resolveTag })).toEqual([LOWERCASE, 'pending']);
+  });
+
+  it('should leave malformed access list entries to the upstream', () => {
+    const result = normalizeParams('eth_call', [{ to: LOWERCASE, accessList: [null, { address: CHECKSUMMED }] }, 'latest']);
+
+    expect(result[0].accessList).toEqual([null, { address: LOWERCASE }]);
+  });
+
+  it('should leave unknown methods untouched', () => {
+    const params = [{ Foo: '0xABC' }];
+    expect(normalizeParams('debug_traceTransaction', params)).toBe(params);
+    expect(normalizeParams('eth_blockNumber', undefined)).toBeUndefined();
+  });
+});
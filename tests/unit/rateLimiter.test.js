@@ -0,0 +1,133 @@
+import { jest } from '@jest/globals';
+import { RateLimiter } from '../../src/cache/rateLimiter.js';
+
+describe('RateLimiter', () => {
+  const createLimiter = (options = {}) => new RateLimiter({
+    enabled: true,
+    defaultLimit: { requestsPerSecond: 1, burst: 3 },
+    methodLimits: { logs: { requestsPerSecond: 1, burst: 1 } },
+    ...options
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should allow everything when disabled', async () => {
+    const limiter = createLimiter({ enabled: false });
+
+    for (let i = 0; i < 10; i++) {
+      expect((await limiter.check('ip:1.2.3.4', 'eth_blockNumber')).allowed).toBe(true);
+    }
+  });
+
+  it('should allow a burst and then ask the client to retry', async () => {
+    const limiter = createLimiter();
+
+    for (let i = 0; i < 3; i++) {
+      expect((await limiter.check('ip:1.2.3.4', 'eth_blockNumber')).allowed).toBe(true);
+    }
+
+    const result = await limiter.check('ip:1.2.3.4', 'eth_blockNumber');
+    expect(result).toEqual({ allowed: false, retryAfter: 1, scope: 'client' });
+    expect(limiter.getMetrics().limited).toBe(1);
+
+    // Other clients have their own bucket
+    expect((await limiter.check('ip:5.6.7.8', 'eth_blockNumber')).allowed).toBe(true);
+  });
+
+  it('should refill tokens over time', async () => {
+    jest.useFakeTimers({ now: 0 });
+    const limiter = createLimiter();
+
+    for (let i = 0; i < 3; i++) {
+      await limiter.check('ip:1.2.3.4', 'eth_blockNumber');
+    }
+    expect((await limiter.check('ip:1.2.3.4', 'eth_blockNumber')).allowed).toBe(false);
+
+    jest.setSystemTime(1000);
+    expect((await limiter.check('ip:1.2.3.4', 'eth_blockNumber')).allowed).toBe(true);
+  });
+
+  it('should apply tighter limits per method category', async () => {
+    const limiter = createLimiter();
+
+    expect((await limiter.check('ip:1.2.3.4', 'eth_getLogs')).allowed).toBe(true);
+    expect(await limiter.check('ip:1.2.3.4', 'eth_getLogs')).toMatchObject({ allowed: false, scope: 'logs' });
+
+    // The client budget is still available for other methods
+    expect((await limiter.check('ip:1.2.3.4', 'eth_blockNumber')).allowed).toBe(true);
+  });
+
+  it('should prefer tenant overrides', async () => {
+    const limiter = createLimiter();
+    const tenant = {
+      name: 'dapp',
+      rateLimit: { requestsPerSecond: 10, burst: 10 },
+      methodLimits: { eth_getLogs: { requestsPerSecond: 5, burst: 2 } }
+    };
+
+    expect((await limiter.check('tenant:dapp', 'eth_getLogs', tenant)).allowed).toBe(true);
+    expect((await limiter.check('tenant:dapp', 'eth_getLogs', tenant)).allowed).toBe(true);
+    expect(await limiter.check('tenant:dapp', 'eth_getLogs', tenant)).toMatchObject({ allowed: false, scope: 'eth_getLogs' });
+
+    for (let i = 0; i < 7; i++) {
+      expect((await limiter.check('tenant:dapp', 'eth_chainId', tenant)).allowed).toBe(true);
+    }
+  });
+
+  it('should keep buckets in Redis when a client is set', async () => {
+    const limiter = createLimiter();
+    limiter.client = { eval: jest.fn().mockResolvedValue([0, 1500]) };
+
+    const result = await limiter.check('ip:1.2.3.4', 'eth_blockNumber');
+
+    expect(result).toEqual({ allowed: false, retryAfter: 2, scope: 'client' });
+    expect(limiter.client.eval).toHaveBeenCalledWith(expect.any(String), {
+      keys: ['ratelimit:ip:1.2.3.4'],
+      arguments: ['1', '3']
+    });
+    expect(limiter.getMetrics().localBuckets).toBe(0);
+  });
+
+  it('should prefix bucket keys with the chain namespace', async () => {
+    const limiter = createLimiter();
+    limiter.initialize('memory', 'chain:137');
+    limiter.stop();
+    limiter.client = { eval: jest.fn().mockResolvedValue([1, 0]) };
+
+    await limiter.check('ip:1.2.3.4', 'eth_getLogs');
+
+    expect(limiter.client.eval.mock.calls.map(call => call[1].keys[0])).toEqual([
+      'chain:137:ratelimit:ip:1.2.3.4:logs',
+      'chain:137:ratelimit:ip:1.2.3.4'
+    ]);
+  });
+
+  it('should prune buckets only once they are full again', async () => {
+    jest.useFakeTimers({ now: 0 });
+    const limiter = createLimiter();
+    const tenant = { name: 'dapp', rateLimit: { requestsPerSecond: 1, burst: 10 } };
+
+    await limiter.check('ip:1.2.3.4', 'eth_blockNumber');
+    await limiter.check('tenant:dapp', 'eth_blockNumber', tenant);
+
+    // The default bucket refills in 3s, the tenant bucket takes 10s
+    jest.setSystemTime(5000);
+    limiter.prune();
+    expect([...limiter.buckets.keys()]).toEqual(['ratelimit:tenant:dapp']);
+
+    jest.setSystemTime(10001);
+    limiter.prune();
+    expect(limiter.getMetrics().localBuckets).toBe(0);
+  });
+
+  it('should fall back to in-process buckets on Redis errors', async () => {
+    const limiter = createLimiter();
+    limiter.client = { eval: jest.fn().mockRejectedValue(new Error('Connection lost')) };
+
+    expect((await limiter.check('ip:1.2.3.4', 'eth_blockNumber')).allowed).toBe(true);
+    expect(limiter.getMetrics().redisErrors).toBe(1);
+    expect(limiter.getMetrics().localBuckets).toBe(1);
+  });
+});
@@ -0,0 +1,204 @@
+import { jest } from '@jest/globals';
+import { EventEmitter } from 'events';
+import { SubscriptionManager } from '../../src/services/subscriptionManager.js';
+import { WebSocketHandler } from '../../src/handlers/wsHandler.js';
+import { config } from '../../src/config/index.js';
+
+// Fake upstream node answering eth_subscribe / eth_unsubscribe
+class FakeUpstream extends EventEmitter {
+  constructor() {
+    super();
+    this.readyState = 0;
+    this.requests = [];
+    this.nextSubscription = 1;
+    setImmediate(() => {
+      this.readyState = 1;
+      this.emit('open');
+    });
+  }
+
+  send(data) {
+    const request = JSON.parse(data);
+    this.requests.push(request);
+    const result = request.method === 'eth_subscribe' ? `0xup${this.nextSubscription++}` : true;
+    setImmediate(() => this.emit('message', JSON.stringify({ jsonrpc: '2.0', id: request.id, result })));
+  }
+
+  publish(subscription, result) {
+    this.emit('message', JSON.stringify({ jsonrpc: '2.0', method: 'eth_subscription', params: { subscription, result } }));
+  }
+
+  close() {
+    this.readyState = 3;
+    this.emit('close');
+  }
+
+  methods() {
+    return this.requests.map(request => request.method);
+  }
+}
+
+class FakeClient extends EventEmitter {
+  constructor() {
+    super();
+    this.messages = [];
+  }
+
+  send(data) {
+    this.messages.push(JSON.parse(data));
+  }
+}
+
+describe('SubscriptionManager', () => {
+  let manager;
+  let upstreams;
+
+  beforeEach(() => {
+    upstreams = [];
+    manager = new SubscriptionManager({
+      upstreamUrl: 'ws://upstream',
+      reconnectDelay: 10,
+      createSocket: () => {
+        const socket = new FakeUpstream();
+        upstreams.push(socket);
+        return socket;
+      }
+    });
+  });
+
+  afterEach(() => {
+    manager.close();
+  });
+
+  it('should share one upstream subscription per topic', async () => {
+    const alice = new FakeClient();
+    const bob = new FakeClient();
+
+    const [aliceId, bobId] = await Promise.all([
+      manager.subscribe(alice, ['newHeads']),
+      manager.subscribe(bob, ['newHeads'])
+    ]);
+
+    expect(aliceId).not.toBe(bobId);
+    expect(upstreams).toHaveLength(1);
+    expect(upstreams[0].methods()).toEqual(['eth_subscribe']);
+
+    upstreams[0].publish('0xup1', { number: '0x10' });
+
+    expect(alice.messages).toEqual([{
+      jsonrpc: '2.0',
+      method: 'eth_subscription',
+      params: { subscription: aliceId, result: { number: '0x10' } }
+    }]);
+    expect(bob.messages[0].params.subscription).toBe(bobId);
+  });
+
+  it('should treat equivalent log filters as the same topic', async () => {
+    const client = new FakeClient();
+
+    await manager.subscribe(client, ['logs', { address: '0xABCD', topics: ['0xAA'] }]);
+    await manager.subscribe(client, ['logs', { topics: ['0xaa'], address: '0xabcd' }]);
+    await manager.subscribe(client, ['logs', { address: '0xabcd' }]);
+
+    expect(upstreams[0].methods()).toEqual(['eth_subscribe', 'eth_subscribe']);
+    expect(manager.getMetrics().topics).toBe(2);
+  });
+
+  it('should unsubscribe upstream when the last client leaves', async () => {
+    const alice = new FakeClient();
+    const bob = new FakeClient();
+    const aliceId = await manager.subscribe(alice, ['newHeads']);
+    await manager.subscribe(bob, ['newHeads']);
+
+    expect(await manager.unsubscribe(bob, aliceId)).toBe(false);
+    expect(await manager.unsubscribe(alice, aliceId)).toBe(true);
+    expect(upstreams[0].methods()).toEqual(['eth_subscribe']);
+
+    await manager.removeClient(bob);
+    expect(upstreams[0].methods()).toEqual(['eth_subscribe', 'eth_unsubscribe']);
+    expect(upstreams[0].requests[1].params).toEqual(['0xup1']);
+    expect(manager.getMetrics().topics).toBe(0);
+  });
+
+  it('should resubscribe after the upstream reconnects', async () => {
+    const client = new FakeClient();
+    const subscriptionId = await manager.subscribe(client, ['newHeads']);
+
+    upstreams[0].close();
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(upstreams).toHaveLength(2);
+    expect(upstreams[1].methods()).toEqual(['eth_subscribe']);
+
+    upstreams[1].publish('0xup1', { number: '0x11' });
+    expect(client.messages[0].params).toEqual({ subscription: subscriptionId, result: { number: '0x11' } });
+    expect(manager.getMetrics().reconnects).toBe(1);
+  });
+
+  it('should reject unsupported subscriptions and missing upstream', async () => {
+    const client = new FakeClient();
+    await expect(manager.subscribe(client, ['alchemy_minedTransactions'])).rejects.toMatchObject({ code: -32602 });
+
+    const unavailable = new SubscriptionManager({ upstreamUrl: null });
+    await expect(unavailable.subscribe(client, ['newHeads'])).rejects.toMatchObject({ code: -32601 });
+  });
+
+  it('should not fall back to the default upstream for a chain without one', () => {
+    const upstreamUrl = config.websocket.upstreamUrl;
+    config.websocket.upstreamUrl = 'ws://default.example.com';
+    try {
+      expect(new SubscriptionManager().upstreamUrl).toBe('ws://default.example.com');
+      expect(new SubscriptionManager({ upstreamUrl: null }).upstreamUrl).toBeNull();
+    } finally {
+      config.websocket.upstreamUrl = upstreamUrl;
+    }
+  });
+});
+
+describe('WebSocketHandler', () => {
+  it('should route subscriptions to the manager and other calls to the RPC handler', async () => {
+    const rpcHandler = {
+      handleRequest: jest.fn().mockResolvedValue({ jsonrpc: '2.0', result: '0x1', id: 2, cached: true }),
+      handleBatchRequest: jest.fn()
+    };
+    const subscriptionManager = {
+      subscribe: jest.fn().mockResolvedValue('0xsub'),
+      unsubscribe: jest.fn(),
+      removeClient: jest.fn().mockResolvedValue()
+    };
+    const handler = new WebSocketHandler(rpcHandler, subscriptionManager);
+    const socket = new FakeClient();
+
+    const subscribed = await handler.handleMessage(socket, JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'eth_subscribe', params: ['newHeads'] }));
+    expect(subscribed).toEqual({ jsonrpc: '2.0', result: '0xsub', id: 1 });
+    expect(subscriptionManager.subscribe).toHaveBeenCalledWith(socket, ['newHeads']);
+
+    const call = await handler.handleMessage(socket, JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'eth_blockNumber', params: [] }));
+    expect(call.result).toBe('0x1');
+    expect(rpcHandler.handleRequest).toHaveBeenCalledTimes(1);
+
+    const parseError = await handler.handleMessage(socket, '{not json');
+    expect(parseError.error.code).toBe(-32700);
+  });
+
+  it('should answer with an internal error when handling a message fails', async () => {
+    const rpcHandler = {
+      handleRequest: jest.fn().mockRejectedValue(new Error('boom')),
+      handleBatchRequest: jest.fn().mockRejectedValue(new Error('boom'))
+    };
+    const handler = new WebSocketHandler(rpcHandler, { removeClient: jest.fn().mockResolvedValue() });
+    const socket = new FakeClient();
+    handler.handleConnection(socket);
+
+    socket.emit('message', JSON.stringify({ jsonrpc: '2.0', id: 7, method: 'eth_blockNumber', params: [] }));
+    await new Promise(resolve => setImmediate(resolve));
+    socket.emit('message', JSON.stringify([{ jsonrpc: '2.0', id: 8, method: 'eth_blockNumber', params: [] }]));
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(socket.messages).toEqual([
+      { jsonrpc: '2.0', error: { code: -32603, message: 'Internal error', data: 'boom' }, id: 7 },
+      { jsonrpc: '2.0', error: { code: -32603, message: 'Internal error', data: 'boom' }, id: null }
+    ]);
+    socket.emit('close');
+  });
+});
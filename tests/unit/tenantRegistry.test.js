@@ -0,0 +1,75 @@
+import { writeFile, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { TenantRegistry, isMethodAllowed } from '../../src/services/tenantRegistry.js';
+
+describe('TenantRegistry', () => {
+  const tenantsFile = path.join(os.tmpdir(), `tenants-${process.pid}.json`);
+
+  afterEach(async () => {
+    await rm(tenantsFile, { force: true });
+  });
+
+  it('should be disabled without a tenants file', async () => {
+    const registry = new TenantRegistry({ tenantsFile: null });
+
+    expect(registry.isEnabled()).toBe(false);
+    expect(await registry.load()).toBe(0);
+  });
+
+  it('should load tenants and authenticate their API keys', async () => {
+    await writeFile(tenantsFile, JSON.stringify({
+      tenants: [
+        { name: 'dapp', apiKeys: ['key-a', 'key-b'], allowedCategories: ['blocks'] },
+        { name: 'ops', apiKey: 'key-admin', admin: true }
+      ]
+    }));
+
+    const registry = new TenantRegistry({ tenantsFile });
+    expect(await registry.load()).toBe(2);
+
+    expect(registry.authenticate('key-a').name).toBe('dapp');
+    expect(registry.authenticate('key-b').name).toBe('dapp');
+    expect(registry.authenticate('key-admin').admin).toBe(true);
+    expect(registry.authenticate('nope')).toBeNull();
+    expect(registry.authenticate(undefined)).toBeNull();
+    expect(registry.getTenantCount()).toBe(2);
+  });
+
+  it('should reject invalid tenant definitions', () => {
+    const registry = new TenantRegistry({ tenantsFile: null });
+
+    expect(() => registry.setTenants([{ apiKey: 'x' }])).toThrow('missing a name');
+    expect(() => registry.setTenants([{ name: 'a' }])).toThrow('has no API key');
+    expect(() => registry.setTenants([{ name: 'a', apiKey: 'x', allowedCategories: ['reads'] }])).toThrow('unknown categories: reads');
+    expect(() => registry.setTenants([{ name: 'a', apiKey: 'x', rateLimit: { requestsPerSecond: 10 } }])).toThrow('invalid rateLimit');
+    expect(() => registry.setTenants([
+      { name: 'a', apiKey: 'x', methodLimits: { logs: { requestsPerSecond: 0, burst: 5 } } }
+    ])).toThrow('invalid methodLimits.logs');
+    expect(() => registry.setTenants([
+      { name: 'a', apiKey: 'x' },
+      { name: 'b', apiKey: 'x' }
+    ])).toThrow('reuses an API key');
+  });
+
+  describe('isMethodAllowed', () => {
+    it('should allow everything without lists', () => {
+      expect(isMethodAllowed({ allowedCategories: null, allowedMethods: null }, 'eth_sendRawTransaction')).toBe(true);
+    });
+
+    it('should allow methods by category or by name', () => {
+      const tenant = { allowedCategories: ['blocks', 'logs'], allowedMethods: ['eth_call'] };
+
+      expect(isMethodAllowed(tenant, 'eth_getBlockByNumber')).toBe(true);
+      expect(isMethodAllowed(tenant, 'eth_getLogs')).toBe(true);
+      expect(isMethodAllowed(tenant, 'eth_call')).toBe(true);
+      expect(isMethodAllowed(tenant, 'eth_getBalance')).toBe(false);
+      expect(isMethodAllowed(tenant, 'eth_sendRawTransaction')).toBe(false);
+      expect(isMethodAllowed(tenant, 'debug_traceTransaction')).toBe(false);
+    });
+
+    it('should support a wildcard method list', () => {
+      expect(isMethodAllowed({ allowedCategories: null, allowedMethods: ['*'] }, 'debug_traceTransaction')).toBe(true);
+    });
+  });
+});
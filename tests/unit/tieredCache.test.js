@@ -0,0 +1,107 @@
+import { jest } from '@jest/globals';
+import { TieredCache } from '../../src/cache/tieredCache.js';
+
+// Minimal Redis stand-in: string values with expiry, MULTI and pub/sub
+function createRedis() {
+  const store = new Map(); // key -> { value, expiresAt }
+  const subscribers = [];
+
+  const pTTL = (key) => {
+    const entry = store.get(key);
+    if (!entry) return -2;
+    return entry.expiresAt === null ? -1 : entry.expiresAt - Date.now();
+  };
+
+  const client = {
+    store,
+    set: (key, value, ttlMs = null) => store.set(key, { value, expiresAt: ttlMs === null ? null : Date.now() + ttlMs }),
+    multi: jest.fn(() => {
+      const replies = [];
+      const pipeline = {
+        get: (key) => { replies.push(store.get(key)?.value ?? null); return pipeline; },
+        pTTL: (key) => { replies.push(pTTL(key)); return pipeline; },
+        exec: async () => replies
+      };
+      return pipeline;
+    }),
+    publish: jest.fn(async (channel, message) => {
+      await Promise.all(subscribers.filter(sub => sub.channel === channel).map(sub => sub.listener(message)));
+    }),
+    duplicate: () => ({
+      on: jest.fn(),
+      connect: jest.fn().mockResolvedValue(),
+      quit: jest.fn().mockResolvedValue(),
+      subscribe: jest.fn(async (channel, listener) => subscribers.push({ channel, listener }))
+    })
+  };
+  return client;
+}
+
+describe('TieredCache', () => {
+  let redis;
+  let caches;
+
+  const createCache = async (options = {}) => {
+    const cache = new TieredCache(redis, { maxEntries: 100, maxBytes: 0, ...options });
+    await cache.connect();
+    caches.push(cache);
+    return cache;
+  };
+
+  beforeEach(() => {
+    redis = createRedis();
+    caches = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(caches.map(cache => cache.disconnect()));
+    jest.useRealTimers();
+  });
+
+  it('should promote immutable entries and serve them from L1', async () => {
+    const cache = await createCache();
+    const key = 'chain:1:eth_getBlockByNumber:["0x1",false]';
+    redis.set(key, JSON.stringify({ number: '0x1' }));
+
+    expect(await cache.get(key)).toEqual({ number: '0x1' });
+    expect(await cache.get(key)).toEqual({ number: '0x1' });
+
+    expect(redis.multi).toHaveBeenCalledTimes(1);
+    expect(await cache.l1.ttl(key)).toBe(-1);
+    expect(cache.getStats()).toMatchObject({ hits: 1, misses: 1, promotions: 1, subscribed: true });
+  });
+
+  it('should cap promoted entries to their remaining Redis TTL', async () => {
+    jest.useFakeTimers();
+    const cache = await createCache();
+    redis.set('gas', '"0x5"', 1500);
+
+    expect(await cache.mGet(['gas', 'missing'])).toEqual(['0x5', null]);
+
+    jest.advanceTimersByTime(1500);
+    redis.store.delete('gas');
+
+    expect(await cache.get('gas')).toBeNull();
+    expect(redis.multi).toHaveBeenCalledTimes(2);
+  });
+
+  it('should invalidate L1 on other instances over pub/sub', async () => {
+    const a = await createCache();
+    const b = await createCache();
+    a.write('chain:1:block', { hash: '0xa' }, 14);
+    b.write('chain:1:block', { hash: '0xa' }, 14);
+    b.write('chain:1:receipt', {}, 2);
+    b.write('chain:137:block', {}, 2);
+
+    await a.invalidate(['chain:1:block']);
+    expect(await b.l1.exists('chain:1:block')).toBe(0);
+    expect(await b.l1.exists('chain:1:receipt')).toBe(1);
+
+    await a.invalidatePattern('chain:1:*');
+    expect(await b.l1.keys('*')).toEqual(['chain:137:block']);
+
+    // Own messages are applied locally before publishing and ignored on receipt
+    expect(a.getStats().invalidations).toBe(0);
+    expect(b.getStats().invalidations).toBe(2);
+  });
+});
@@ -0,0 +1,157 @@
+import { jest } from '@jest/globals';
+import axios from 'axios';
+import { EthereumService } from '../../src/services/ethereum.js';
+import { TransactionBroadcaster, getTransactionHash } from '../../src/services/txBroadcaster.js';
+
+jest.mock('axios');
+
+jest.mock('../../src/config/index.js', () => ({
+  config: {
+    ethereum: {
+      rpcUrl: 'https://rpc.example.com',
+      rpcUrls: ['https://rpc.example.com'],
+      broadcastRpcUrls: ['https://relay-a.example.com', 'https://relay-b.example.com', 'https://relay-c.example.com'],
+      maxRetriesPerUrl: 2,
+      fallbackEnabled: true
+    }
+  }
+}));
+
+// Signed transaction from the EIP-155 example
+const RAW_TX = '0xf86c098504a817c800825208943535353535353535353535353535353535353535880de0b6b3a76400008025a028ef61340bd939bc2195fe537567866003e1a15d3c71ff63e1590620aa636276a067cbe9d8997f761aecb703304b3800ccf555c9f3dc64214b297fb1966a3b6d83';
+const TX_HASH = '0x33469b22e9f636356c4160a87eb19df52b7412e8eac32a4a55ffe88ea8350788';
+
+const RELAYS = ['https://relay-a.example.com', 'https://relay-b.example.com', 'https://relay-c.example.com'];
+
+describe('TransactionBroadcaster', () => {
+  let broadcaster;
+
+  // answers: url -> result string, { error } or Error to throw
+  const mockRelays = (answers, knownTxs = {}) => axios.post.mockImplementation(async (url, payload) => {
+    if (payload.method === 'eth_getTransactionByHash') {
+      return { data: { jsonrpc: '2.0', result: knownTxs[url] ? { hash: TX_HASH } : null, id: payload.id } };
+    }
+    const answer = answers[url];
+    if (answer instanceof Error) throw answer;
+    return typeof answer === 'string'
+      ? { data: { jsonrpc: '2.0', result: answer, id: payload.id } }
+      : { data: { jsonrpc: '2.0', error: { code: -32000, message: answer.error }, id: payload.id } };
+  });
+
+  beforeEach(() => {
+    broadcaster = new TransactionBroadcaster(new EthereumService(), { enabled: true });
+  });
+
+  it('should compute transaction hashes locally', () => {
+    expect(getTransactionHash(RAW_TX)).toBe(TX_HASH);
+    expect(getTransactionHash('0x')).toBeNull();
+    expect(getTransactionHash('not hex')).toBeNull();
+  });
+
+  it('should submit to every broadcast provider and record acceptance per provider', async () => {
+    mockRelays({
+      [RELAYS[0]]: TX_HASH,
+      [RELAYS[1]]: { error: 'already known' },
+      [RELAYS[2]]: { error: 'insufficient funds for gas * price + value' }
+    });
+
+    await expect(broadcaster.send([RAW_TX])).resolves.toBe(TX_HASH);
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(axios.post.mock.calls.map(call => call[0])).toEqual(RELAYS);
+    expect(broadcaster.getMetrics().providers).toEqual({
+      'https://relay-a.example.com/': { accepted: 1, known: 0, rejected: 0, failed: 0 },
+      'https://relay-b.example.com/': { accepted: 0, known: 1, rejected: 0, failed: 0 },
+      'https://relay-c.example.com/': { accepted: 0, known: 0, rejected: 1, failed: 0 }
+    });
+  });
+
+  it('should treat "already known" as success', async () => {
+    mockRelays({
+      [RELAYS[0]]: new Error('Connection refused'),
+      [RELAYS[1]]: { error: 'already known' },
+      [RELAYS[2]]: new Error('Connection refused')
+    });
+
+    await expect(broadcaster.send([RAW_TX])).resolves.toBe(TX_HASH);
+  });
+
+  it('should accept "nonce too low" only when the provider has the same transaction', async () => {
+    mockRelays({
+      [RELAYS[0]]: { error: 'nonce too low' },
+      [RELAYS[1]]: { error: 'nonce too low' },
+      [RELAYS[2]]: { error: 'nonce too low' }
+    }, { [RELAYS[2]]: true });
+
+    await expect(broadcaster.send([RAW_TX])).resolves.toBe(TX_HASH);
+
+    broadcaster.recent.clear();
+    mockRelays({
+      [RELAYS[0]]: { error: 'nonce too low' },
+      [RELAYS[1]]: { error: 'nonce too low' },
+      [RELAYS[2]]: { error: 'nonce too low' }
+    });
+
+    await expect(broadcaster.send([RAW_TX])).rejects.toThrow('RPC Error: nonce too low');
+  });
+
+  it('should prefer node rejections over network errors when every provider fails', async () => {
+    mockRelays({
+      [RELAYS[0]]: new Error('Connection refused'),
+      [RELAYS[1]]: { error: 'insufficient funds for gas * price + value' },
+      [RELAYS[2]]: new Error('Connection refused')
+    });
+
+    await expect(broadcaster.send([RAW_TX])).rejects.toThrow('RPC Error: insufficient funds for gas * price + value');
+    expect(broadcaster.getMetrics().failed).toBe(1);
+  });
+
+  it('should recognize duplicate submissions', async () => {
+    mockRelays({ [RELAYS[0]]: TX_HASH, [RELAYS[1]]: TX_HASH, [RELAYS[2]]: TX_HASH });
+
+    const [first, second] = await Promise.all([broadcaster.send([RAW_TX]), broadcaster.send([RAW_TX])]);
+    expect(first).toBe(TX_HASH);
+    expect(second).toBe(TX_HASH);
+
+    // Recently accepted transactions aren't sent again
+    await expect(broadcaster.send([RAW_TX])).resolves.toBe(TX_HASH);
+    expect(axios.post).toHaveBeenCalledTimes(3);
+    expect(broadcaster.getMetrics()).toMatchObject({ transactions: 3, duplicates: 2, accepted: 1 });
+  });
+
+  it('should limit the number of providers', async () => {
+    broadcaster.maxProviders = 2;
+    mockRelays({ [RELAYS[0]]: TX_HASH, [RELAYS[1]]: TX_HASH, [RELAYS[2]]: TX_HASH });
+
+    await broadcaster.send([RAW_TX]);
+
+    expect(axios.post.mock.calls.map(call => call[0])).toEqual(RELAYS.slice(0, 2));
+  });
+
+  it('should skip providers with an open circuit', async () => {
+    broadcaster.ethereumService.breakers.get(RELAYS[0]).trip();
+    mockRelays({ [RELAYS[1]]: TX_HASH, [RELAYS[2]]: TX_HASH });
+
+    await broadcaster.send([RAW_TX]);
+
+    expect(axios.post.mock.calls.map(call => call[0])).toEqual(RELAYS.slice(1));
+  });
+
+  it('should always send to a lone broadcast provider', async () => {
+    const service = new EthereumService({ rpcUrl: 'https://rpc.example.com', broadcastRpcUrls: [RELAYS[0]] });
+    const lone = new TransactionBroadcaster(service, { enabled: true });
+    service.breakers.get(RELAYS[0]).trip();
+    mockRelays({ [RELAYS[0]]: TX_HASH });
+
+    await expect(lone.send([RAW_TX])).resolves.toBe(TX_HASH);
+  });
+
+  it('should report a broadcast no provider answered as an upstream failure', async () => {
+    mockRelays(Object.fromEntries(RELAYS.map(url => [url, new Error('connect ECONNREFUSED')])));
+
+    await expect(broadcaster.send([RAW_TX])).rejects.toMatchObject({
+      message: expect.stringMatching(/^All RPC endpoints failed/),
+      code: 'ALL_PROVIDERS_FAILED'
+    });
+  });
+});